@@ -20,11 +20,26 @@ const logger = require('./server/utils/logger');
 
 // Import services
 const websocketService = require('./server/services/websocketService');
+const healthCheckService = require('./server/services/healthCheckService');
+const canaryService = require('./server/services/canaryService');
+const maintenanceService = require('./server/services/maintenanceService');
+const schedulerService = require('./server/services/schedulerService');
+const approvalService = require('./server/services/approvalService');
+const projectService = require('./server/services/projectService');
 
 // Import route handlers
 const deploymentRoutes = require('./server/routes/deployments');
 const environmentRoutes = require('./server/routes/environments');
 const gitRoutes = require('./server/routes/git');
+const webhookRoutes = require('./server/routes/webhooks');
+const scheduleRoutes = require('./server/routes/schedules');
+const operationRoutes = require('./server/routes/operations');
+const authRoutes = require('./server/routes/auth');
+const auditRoutes = require('./server/routes/audit');
+const approvalRoutes = require('./server/routes/approvals');
+const projectRoutes = require('./server/routes/projects');
+const { correlationId, CORRELATION_HEADER } = require('./server/middlewares/audit');
+const { selectProject } = require('./server/middlewares/project');
 
 // Constants
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -32,6 +47,11 @@ const PORT = process.env.PORT || 3000;
 const WS_PORT = process.env.WS_PORT || 3001;
 const CONNECTION_RETRY_LIMIT = 5;
 const CONNECTION_RETRY_TIMEOUT = 5000; // 5 seconds
+// Dashboard origins allowed to call the API - defaults to the local web server serving /deployease/frontend/
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost,http://127.0.0.1')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
 
 // Application state
 let retryCount = 0;
@@ -48,10 +68,24 @@ const app = express();
 // Create HTTP server
 const server = http.createServer(app);
 
+// Webhook signatures are computed over the exact bytes received
+const captureWebhookBody = (req, res, buf) => {
+  if (/^\/api\/(projects\/[^/]+\/)?webhooks/.test(req.originalUrl)) {
+    req.rawBody = buf;
+  }
+};
+
 // Configure middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Requests are authenticated with bearer tokens, so no cookies are allowed across origins
+app.use(cors({
+  origin: CORS_ORIGINS,
+  allowedHeaders: ['Content-Type', 'Authorization', CORRELATION_HEADER],
+  exposedHeaders: [CORRELATION_HEADER, 'Content-Disposition'],
+  credentials: false
+}));
+app.use(correlationId);
+app.use(express.json({ limit: '50mb', verify: captureWebhookBody }));
+app.use(express.urlencoded({ extended: true, limit: '50mb', verify: captureWebhookBody }));
 
 // Set up request logging
 if (NODE_ENV === 'development') {
@@ -65,10 +99,23 @@ if (NODE_ENV === 'development') {
   app.use(morgan('combined', { stream: accessLogStream }));
 }
 
-// Configure routes
-app.use('/api/deployments', deploymentRoutes);
-app.use('/api/environments', environmentRoutes);
-app.use('/api/git', gitRoutes);
+// Routes that act on one project - its repository, Netlify site and environments
+const projectRouter = express.Router();
+projectRouter.use('/deployments', deploymentRoutes);
+projectRouter.use('/environments', environmentRoutes);
+projectRouter.use('/git', gitRoutes);
+projectRouter.use('/webhooks', webhookRoutes);
+projectRouter.use('/schedules', scheduleRoutes);
+projectRouter.use('/operations', operationRoutes);
+projectRouter.use('/approvals', approvalRoutes);
+
+// Configure routes - every route except auth/login and the signed webhooks needs a token
+app.use('/api/auth', authRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/projects/:projectId', selectProject, projectRouter);
+// Paths without a project ID act on the default project, as before projects existed
+app.use('/api', selectProject, projectRouter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -185,6 +232,13 @@ function getDeploymentStatus(branch) {
  */
 function startServer() {
   return new Promise((resolve, reject) => {
+    // Refuse to start without a usable project registry - the reason is logged by the caller
+    try {
+      projectService.checkConfiguration();
+    } catch (err) {
+      return reject(err);
+    }
+
     // Start HTTP server
     server.listen(PORT, err => {
       if (err) {
@@ -204,6 +258,14 @@ function startServer() {
 function shutdown() {
   logger.info('SIGINT received - shutting down');
   
+  projectService.forEach(() => {
+    healthCheckService.stop();
+    canaryService.stop();
+    maintenanceService.stop();
+    schedulerService.stop();
+    approvalService.stop();
+  });
+  
   // Close WebSocket server
   websocketService.close()
     .then(() => {
@@ -238,8 +300,22 @@ process.on('uncaughtException', err => {
   shutdown();
 });
 
+/**
+ * Start every project's background services - each runs in its project's context
+ */
+function startProjectServices() {
+  return Promise.all(projectService.forEach(() => Promise.resolve()
+    .then(() => healthCheckService.start())
+    .then(() => canaryService.resume())
+    .then(() => maintenanceService.start())
+    .then(() => schedulerService.start())
+    .then(() => approvalService.start())
+  ));
+}
+
 // Start the server and initialize WebSocket
 startServer()
+  .then(() => startProjectServices())
   .then(() => initializeWebSocket())
   .catch(err => {
     logger.error(`Failed to start the application: ${err.message}`);
@@ -1,9 +1,253 @@
 // backend/netlify/functions/route.js
 const { parse } = require('url');
+const crypto = require('crypto');
+const https = require('https');
+
+const BUCKET_COOKIE = 'deployease_bucket';
+const BUCKET_MAX_AGE = 30 * 24 * 60 * 60; // Keep visitors on the same side of a canary for 30 days
+const SITE_NAME = process.env.NETLIFY_SITE_NAME || 'deployeaselive';
+
+// Signed environment pins for QA - tokens are issued by the DeployEase backend (previewService)
+const PREVIEW_COOKIE = 'deployease_preview';
+const PREVIEW_HEADER = 'x-deployease-env';
+const PREVIEW_PATH = '/.deployease/preview';
+const PREVIEW_EXIT_PATH = '/.deployease/exit-preview';
+
+// Proxying to branch deploys
+const UPSTREAM_TIMEOUT = 9000; // Stay under the 10s function limit
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade', 'te', 'trailer', 'host', 'content-length'];
+
+/**
+ * Routing written by DeployEase (redirectService) on every switch or canary step
+ */
+const loadRouting = () => {
+  try {
+    return require('../deployease-routing.json');
+  } catch (error) {
+    return { mode: 'single', activeBranch: process.env.ACTIVE_BRANCH || 'blue' }; // Default to blue
+  }
+};
+
+/**
+ * Read a cookie from the request headers
+ */
+const getCookie = (headers, name) => {
+  const cookies = headers.cookie || headers.Cookie || '';
+  const match = cookies.match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return match ? match[1] : null;
+};
+
+/**
+ * Check a "<branch>.<expiry>.<signature>" preview token
+ * @returns {string|null} - Pinned branch, or null if the token is missing, forged or expired
+ */
+const verifyPreviewToken = (token) => {
+  const secret = process.env.PREVIEW_SIGNING_SECRET;
+  if (!secret || !token) {
+    return null; // Pins are off unless the site has the signing secret
+  }
+
+  let parts;
+  try {
+    parts = decodeURIComponent(token).split('.');
+  } catch (error) {
+    return null;
+  }
+
+  const [branch, expiresAt, signature = ''] = parts;
+  if (!['blue', 'green'].includes(branch)) {
+    return null;
+  }
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${branch}.${expiresAt}`).digest('base64url'));
+  const given = Buffer.from(signature);
+  const valid = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+
+  return valid && Number(expiresAt) * 1000 > Date.now() ? branch : null;
+};
+
+/**
+ * Branch pinned by a signed header (scripts) or cookie (browsers)
+ */
+const getPreviewBranch = (headers) => {
+  const headerToken = Object.keys(headers).find(name => name.toLowerCase() === PREVIEW_HEADER);
+  return verifyPreviewToken(headerToken && headers[headerToken]) ||
+    verifyPreviewToken(getCookie(headers, PREVIEW_COOKIE));
+};
+
+/**
+ * Path on this site to send a preview visitor to, or / for anything that would leave it
+ * Resolved the way browsers do, so /\evil.com or /\t/evil.com can't slip past a prefix check
+ */
+const getSafeRedirectPath = (path) => {
+  if (typeof path !== 'string' || !path.startsWith('/')) {
+    return '/';
+  }
+
+  try {
+    const base = 'https://preview.invalid';
+    const url = new URL(path, base);
+    if (url.origin !== base) {
+      return '/';
+    }
+    // Dot segments can leave a leading "//" (/..//evil.com), which browsers read as another host
+    return `${url.pathname.replace(/^\/+/, '/')}${url.search}${url.hash}`;
+  } catch (error) {
+    return '/';
+  }
+};
+
+/**
+ * Preview link landing - set the pin cookie and send the browser on to the page
+ */
+const startPreview = (query) => {
+  const branch = verifyPreviewToken(query.token);
+  if (!branch) {
+    return {
+      statusCode: 403,
+      headers: { 'Content-Type': 'text/plain', 'Cache-Control': 'no-store' },
+      body: 'Preview link is invalid or has expired'
+    };
+  }
+
+  // Only same-site paths, so the link can't be used as an open redirect
+  const target = getSafeRedirectPath(query.path);
+  const maxAge = Number(query.token.split('.')[1]) - Math.floor(Date.now() / 1000);
+
+  return {
+    statusCode: 302,
+    headers: {
+      'Location': target,
+      'Set-Cookie': `${PREVIEW_COOKIE}=${encodeURIComponent(query.token)}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax; Secure`,
+      'Cache-Control': 'no-store'
+    },
+    body: ''
+  };
+};
+
+/**
+ * Pick the branch for a visitor - a sticky 0-99 bucket below the canary weight gets the canary
+ */
+const chooseBranch = (routing, headers) => {
+  const cookieBucket = parseInt(getCookie(headers, BUCKET_COOKIE), 10);
+  const bucket = cookieBucket >= 0 && cookieBucket < 100 ? cookieBucket : Math.floor(Math.random() * 100);
+  const isCanary = routing.mode === 'canary' && routing.canary && bucket < routing.canary.weight;
+
+  return {
+    branch: isCanary ? routing.canary.branch : routing.activeBranch,
+    bucket,
+    newBucket: bucket !== cookieBucket
+  };
+};
+
+/**
+ * Response for when no color is taking traffic
+ */
+const maintenanceResponse = () => ({
+  statusCode: 503,
+  headers: {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Retry-After': '300',
+    'Cache-Control': 'no-store',
+    'X-Environment': 'none'
+  },
+  body: `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Down for maintenance</title></head>
+<body style="font-family: sans-serif; text-align: center; padding: 15vh 1rem;">
+  <h1>We'll be right back</h1>
+  <p>The site is undergoing maintenance. Please try again in a few minutes.</p>
+</body>
+</html>`
+});
+
+/**
+ * Forward the request to a branch deploy, keeping method, headers, body and query string
+ * @returns {Promise<{statusCode: number, headers: Object, multiValueHeaders: Object, body: Buffer}>}
+ */
+const proxyRequest = (event, targetUrl) => new Promise((resolve, reject) => {
+  const target = new URL(targetUrl);
+  const headers = {};
+
+  Object.entries(event.headers || {}).forEach(([name, value]) => {
+    const lowerName = name.toLowerCase();
+    // Preview tokens stay at the edge
+    if (!HOP_BY_HOP_HEADERS.includes(lowerName) && lowerName !== PREVIEW_HEADER) {
+      headers[lowerName] = value;
+    }
+  });
+
+  const body = event.body ? Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8') : null;
+  if (body) {
+    headers['content-length'] = body.length;
+  }
+
+  const request = https.request({
+    hostname: target.hostname,
+    port: target.port || 443,
+    path: `${target.pathname}${target.search}`,
+    method: event.httpMethod || 'GET',
+    headers: { ...headers, host: target.hostname },
+    timeout: UPSTREAM_TIMEOUT
+  }, (response) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('error', reject);
+    response.on('end', () => {
+      const responseHeaders = {};
+      const multiValueHeaders = {};
+
+      Object.entries(response.headers).forEach(([name, value]) => {
+        if (HOP_BY_HOP_HEADERS.includes(name)) {
+          return;
+        }
+        if (Array.isArray(value)) {
+          multiValueHeaders[name] = value; // set-cookie
+        } else {
+          responseHeaders[name] = value;
+        }
+      });
+
+      resolve({
+        statusCode: response.statusCode,
+        headers: responseHeaders,
+        multiValueHeaders,
+        body: Buffer.concat(chunks)
+      });
+    });
+  });
+
+  request.on('timeout', () => request.destroy(new Error(`Upstream timed out after ${UPSTREAM_TIMEOUT}ms`)));
+  request.on('error', reject);
+
+  if (body) {
+    request.write(body);
+  }
+  request.end();
+});
 
 exports.handler = async (event, context) => {
-  const { path } = parse(event.rawUrl);
-  const activeBranch = process.env.ACTIVE_BRANCH || 'blue'; // Default to blue
+  const { pathname: path, search, query } = parse(event.rawUrl, true);
+  const routing = loadRouting();
+  const headers = event.headers || {};
+
+  if (path === PREVIEW_PATH) {
+    return startPreview(query);
+  }
+
+  if (path === PREVIEW_EXIT_PATH) {
+    return {
+      statusCode: 302,
+      headers: {
+        'Location': '/',
+        'Set-Cookie': `${PREVIEW_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax; Secure`,
+        'Cache-Control': 'no-store'
+      },
+      body: ''
+    };
+  }
+
+  const activeBranch = routing.activeBranch;
 
   // New unified message endpoint
   if (path === '/routing-info') {
@@ -13,43 +257,72 @@ exports.handler = async (event, context) => {
         'Content-Type': 'application/json',
         'X-Environment': activeBranch
       },
-      body: JSON.stringify({ 
-        message: 'Routing handled by Netlify redirects',
-        activeBranch
+      body: JSON.stringify({
+        message: 'Routing handled by DeployEase route function',
+        activeBranch,
+        mode: routing.mode,
+        canary: routing.canary || null
       })
     };
   }
 
-  // Handle API routes
-  if (path.startsWith('/api/')) {
+  // A valid preview pin wins over the active branch and any canary split
+  const previewBranch = getPreviewBranch(headers);
+  if (!previewBranch && (routing.mode === 'maintenance' || !['blue', 'green'].includes(activeBranch))) {
+    return maintenanceResponse();
+  }
+
+  const { branch, bucket, newBucket } = previewBranch
+    ? { branch: previewBranch, newBucket: false }
+    : chooseBranch(routing, headers);
+  const branchUrl = routing.branchUrls?.[branch] || `https://${branch}--${SITE_NAME}.netlify.app`;
+
+  let upstream;
+  try {
+    upstream = await proxyRequest(event, `${branchUrl}${path}${search || ''}`);
+  } catch (error) {
     return {
-      statusCode: 200,
+      statusCode: 502,
       headers: {
-        'Content-Type': 'application/json',
-        'X-Environment': activeBranch
+        'Content-Type': 'text/plain',
+        'Cache-Control': 'no-store',
+        'X-Environment': branch
       },
-      body: JSON.stringify({ message: 'API request routed' })
+      body: `Could not reach the ${branch} environment: ${error.message}`
     };
   }
 
-  // Handle static asset routing
+  const responseHeaders = {
+    ...upstream.headers,
+    'x-environment': branch
+  };
+  const setCookies = upstream.multiValueHeaders['set-cookie'] || [];
+
+  // Redirects from the branch deploy should keep visitors on the production hostname
+  if (responseHeaders.location && responseHeaders.location.startsWith(branchUrl)) {
+    responseHeaders.location = responseHeaders.location.slice(branchUrl.length) || '/';
+  }
+
+  if (previewBranch) {
+    responseHeaders['x-deployease-preview'] = 'true';
+    responseHeaders['cache-control'] = 'no-store'; // Never let a CDN hand a pinned response to others
+  } else if (routing.mode === 'canary') {
+    responseHeaders['cache-control'] = 'private, no-cache'; // The answer depends on the visitor's bucket
+  }
+
+  if (newBucket) {
+    setCookies.push(`${BUCKET_COOKIE}=${bucket}; Path=/; Max-Age=${BUCKET_MAX_AGE}; SameSite=Lax; Secure`);
+  }
+
+  // Bodies go back base64-encoded so images, fonts and compressed responses survive intact
   return {
-    statusCode: 200,
-    headers: {
-      'Content-Type': 'text/html',
-      'X-Environment': activeBranch,
-      'Cache-Control': 'no-cache'
+    statusCode: upstream.statusCode,
+    headers: responseHeaders,
+    multiValueHeaders: {
+      ...upstream.multiValueHeaders,
+      ...(setCookies.length ? { 'set-cookie': setCookies } : {})
     },
-    body: `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <meta http-equiv="refresh" content="0; url=/${activeBranch}${path}" />
-        </head>
-        <body>
-          <p>Redirecting to ${activeBranch} environment...</p>
-        </body>
-      </html>
-    `
+    body: upstream.body.toString('base64'),
+    isBase64Encoded: true
   };
 };
@@ -0,0 +1,138 @@
+// backend/server/config/fileTypes.js
+const path = require('path');
+
+// Known deployable file types - extension -> MIME type
+const KNOWN_TYPES = {
+  // Markup, styles and scripts
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.map': 'application/json',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+
+  // Images
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.bmp': 'image/bmp',
+
+  // Fonts
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+
+  // Other assets
+  '.wasm': 'application/wasm',
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg'
+};
+
+// MIME types stored as utf-8 text even though they are not text/*
+const TEXT_MIME_TYPES = [
+  'application/javascript',
+  'application/json',
+  'application/manifest+json',
+  'application/xml',
+  'image/svg+xml'
+];
+
+// Allowed unless DEPLOY_ALLOWED_TYPES overrides it
+const DEFAULT_ALLOWED_TYPES = [
+  'text/*',
+  'image/*',
+  'font/*',
+  'application/javascript',
+  'application/json',
+  'application/manifest+json',
+  'application/xml',
+  'application/wasm',
+  'application/pdf',
+  'application/vnd.ms-fontobject'
+];
+
+/**
+ * Parse a comma separated env var into a trimmed, non-empty list
+ */
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Extra extension mappings, e.g. DEPLOY_EXTRA_FILE_TYPES=".glb=model/gltf-binary,.avifs=image/avif"
+ */
+const extraTypes = parseList(process.env.DEPLOY_EXTRA_FILE_TYPES).reduce((types, entry) => {
+  const [extension, mime] = entry.split('=');
+  if (extension && mime) {
+    types[extension.startsWith('.') ? extension : `.${extension}`] = mime;
+  }
+  return types;
+}, {});
+
+const fileTypes = { ...KNOWN_TYPES, ...extraTypes };
+
+// Entries may be MIME types ("image/png"), MIME wildcards ("image/*") or extensions (".wasm")
+const allowedTypes = parseList(process.env.DEPLOY_ALLOWED_TYPES).length > 0
+  ? parseList(process.env.DEPLOY_ALLOWED_TYPES)
+  : DEFAULT_ALLOWED_TYPES;
+
+const getMimeType = (filePath) => fileTypes[path.extname(filePath).toLowerCase()] || null;
+
+const isTextMimeType = (mime) => mime.startsWith('text/') ||
+  TEXT_MIME_TYPES.includes(mime) ||
+  mime.endsWith('+json') ||
+  mime.endsWith('+xml');
+
+module.exports = {
+  allowedTypes,
+
+  /**
+   * Get the MIME type for a path, or null if the extension is unknown
+   */
+  getMimeType,
+
+  /**
+   * Check a path against the deployment allow-list
+   */
+  isAllowed: (filePath) => {
+    const extension = path.extname(filePath).toLowerCase();
+    const mime = getMimeType(filePath);
+
+    return allowedTypes.some(allowed => {
+      if (allowed.startsWith('.')) return allowed === extension;
+      if (!mime) return false;
+      if (allowed.endsWith('/*')) return mime.startsWith(allowed.slice(0, -1));
+      return allowed === mime;
+    });
+  },
+
+  /**
+   * Whether a path holds binary content that must travel base64-encoded
+   */
+  isBinary: (filePath) => {
+    const mime = getMimeType(filePath);
+    return mime ? !isTextMimeType(mime) : false;
+  },
+
+  /**
+   * Human readable allow-list for error messages
+   */
+  describeAllowed: () => allowedTypes.join(', ')
+};
\ No newline at end of file
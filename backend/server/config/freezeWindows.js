@@ -0,0 +1,38 @@
+// backend/server/config/freezeWindows.js
+
+/**
+ * Parse the freeze window list - invalid JSON disables freezes rather than taking the server down
+ */
+const parseWindows = (value) => {
+  if (!value) {
+    return { windows: [], error: null };
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    const windows = (Array.isArray(parsed) ? parsed : [parsed]).map((window, index) => ({
+      name: window.name || `freeze-${index + 1}`,
+      // One-off window
+      start: window.start || null,
+      end: window.end || null,
+      // Recurring window - opens at each cron occurrence and stays open for durationMinutes
+      cron: window.cron || null,
+      durationMinutes: Number(window.durationMinutes) || 0,
+      timezone: window.timezone || 'UTC'
+    }));
+
+    return { windows, error: null };
+  } catch (error) {
+    return { windows: [], error: `FREEZE_WINDOWS is not valid JSON: ${error.message}` };
+  }
+};
+
+// Manual switches are refused while any window is open, e.g.
+// FREEZE_WINDOWS='[{"name":"Weekend","cron":"0 17 * * 5","durationMinutes":3780},
+//                  {"name":"Holidays","start":"2026-12-20T00:00:00Z","end":"2027-01-02T00:00:00Z"}]'
+const { windows, error } = parseWindows(process.env.FREEZE_WINDOWS);
+
+module.exports = {
+  windows,
+  error
+};
\ No newline at end of file
@@ -0,0 +1,60 @@
+// backend/server/config/healthChecks.js
+const projectService = require('../services/projectService');
+
+/**
+ * Parse a positive integer env var with a fallback
+ */
+const parseNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Parse a path list - each entry is a path, optionally followed by "|" and text the body must contain
+ */
+const parsePaths = (value) => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [path, bodyContains] = entry.split('|');
+    return {
+      path: path.startsWith('/') ? path : `/${path}`,
+      bodyContains: bodyContains || null
+    };
+  });
+
+// Probed paths, e.g. HEALTH_CHECK_PATHS="/,/health.json|\"status\":\"ok\""
+// The first path is the primary check - if it fails the environment is down
+const paths = parsePaths(process.env.HEALTH_CHECK_PATHS || '/,/health.json');
+
+// URLs that must answer 2xx before traffic is switched, e.g. PREFLIGHT_SMOKE_PATHS="/,/app.js"
+const smokePaths = parsePaths(process.env.PREFLIGHT_SMOKE_PATHS || '/');
+
+module.exports = {
+  paths,
+  smokePaths,
+
+  // How often every environment is probed
+  interval: parseNumber(process.env.HEALTH_CHECK_INTERVAL_MS, 60000),
+
+  // Per-request timeout
+  timeout: parseNumber(process.env.HEALTH_CHECK_TIMEOUT_MS, 10000),
+
+  // Responses slower than this mark the environment degraded
+  latencyThreshold: parseNumber(process.env.HEALTH_LATENCY_THRESHOLD_MS, 2000),
+
+  // Certificates expiring within this many days mark the environment degraded
+  tlsWarningDays: parseNumber(process.env.HEALTH_TLS_WARNING_DAYS, 14),
+
+  // Results kept per environment
+  historySize: parseNumber(process.env.HEALTH_HISTORY_SIZE, 50),
+
+  // Largest body read for assertions
+  maxBodySize: 512 * 1024,
+
+  /**
+   * Base URL probed for an environment of the current project
+   */
+  getBaseUrl: (environment) => projectService.branchUrl(environment)
+};
\ No newline at end of file
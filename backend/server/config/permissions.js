@@ -0,0 +1,56 @@
+// backend/server/config/permissions.js
+
+// Each role holds the permissions of the roles before it
+const ROLE_ORDER = ['viewer', 'deployer', 'approver', 'admin'];
+
+const GRANTS = {
+  // Read-only dashboard access
+  viewer: [
+    'environments:read',
+    'deployments:read',
+    'schedules:read',
+    'operations:read',
+    'approvals:read'
+  ],
+  // Change what blue and green serve, but not which one takes traffic
+  deployer: [
+    'deployments:create',
+    'deployments:rollback',
+    'deployments:promote',
+    'environments:preview'
+  ],
+  // Move production traffic, freeze environments, approve others' changes and review who did what
+  approver: [
+    'traffic:switch',
+    'traffic:maintenance',
+    'environments:lock',
+    'schedules:write',
+    'audit:read',
+    'approvals:decide'
+  ],
+  // Repository setup and user management
+  admin: [
+    'repository:admin',
+    'users:manage'
+  ]
+};
+
+const ROLES = ROLE_ORDER.reduce((roles, role, index) => {
+  roles[role] = ROLE_ORDER.slice(0, index + 1).flatMap(name => GRANTS[name]);
+  return roles;
+}, {});
+
+// DeployEase role in a project for a GitHub user's role on its repository - users without access to any project can't sign in
+const GITHUB_ROLES = {
+  read: 'viewer',
+  triage: 'viewer',
+  write: 'deployer',
+  maintain: 'approver',
+  admin: 'admin'
+};
+
+module.exports = {
+  ROLE_ORDER,
+  ROLES,
+  GITHUB_ROLES
+};
\ No newline at end of file
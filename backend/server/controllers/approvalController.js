@@ -0,0 +1,124 @@
+// backend/server/controllers/approvalController.js
+const approvalService = require('../services/approvalService');
+const logger = require('../utils/logger');
+
+/**
+ * Identify who made a request for logs
+ */
+const getInitiator = (req) => req.user?.username || `anonymous@${req.ip}`;
+
+/**
+ * Send a service error - 404, 403 and 409 carry their own message
+ */
+const errorResponse = (res, error, message) => {
+    const statusCode = error.statusCode || 500;
+
+    if (statusCode >= 500) {
+        logger.error(message, {
+            error: error.message,
+            stack: error.stack
+        });
+    }
+
+    return res.status(statusCode).json({
+        success: false,
+        message: statusCode >= 500 ? message : error.message,
+        error: error.message,
+        approval: error.approval
+    });
+};
+
+class ApprovalController {
+    /**
+     * List change requests (?status=pending|executed|failed|rejected|cancelled|expired)
+     */
+    async listApprovals(req, res) {
+        const approvals = approvalService.list({ status: req.query.status });
+
+        res.status(200).json({
+            success: true,
+            count: approvals.length,
+            approvals,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Get a single change request with its approvals and comments
+     */
+    async getApproval(req, res) {
+        const approval = approvalService.get(req.params.id);
+
+        if (!approval) {
+            return res.status(404).json({
+                success: false,
+                message: `Approval request not found: ${req.params.id}`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            approval
+        });
+    }
+
+    /**
+     * Approve a change request - the change runs once the quorum is met
+     */
+    async approve(req, res) {
+        try {
+            const approval = await approvalService.approve(req.params.id, getInitiator(req), req.body.comment);
+
+            // The change itself can fail after approval - pass its status on
+            const statusCode = approval.result ? approval.result.statusCode : 200;
+            const message = {
+                pending: `Approved - ${approval.approvals.length} of ${approval.quorum} approvals`,
+                executed: `Approved - ${approval.result?.message || `${approval.description} done`}`,
+                failed: `Approved, but ${approval.description} failed: ${approval.result?.message}`
+            }[approval.status];
+
+            res.status(statusCode).json({
+                success: approval.status !== 'failed',
+                message,
+                approval
+            });
+        } catch (error) {
+            errorResponse(res, error, "Failed to approve request");
+        }
+    }
+
+    /**
+     * Reject a change request, or cancel your own
+     */
+    async reject(req, res) {
+        try {
+            const approval = approvalService.reject(req.params.id, getInitiator(req), req.body.comment);
+
+            res.status(200).json({
+                success: true,
+                message: `${approval.description} ${approval.status}`,
+                approval
+            });
+        } catch (error) {
+            errorResponse(res, error, "Failed to reject request");
+        }
+    }
+
+    /**
+     * Comment on a change request
+     */
+    async addComment(req, res) {
+        try {
+            const approval = approvalService.addComment(req.params.id, getInitiator(req), req.body.comment);
+
+            res.status(201).json({
+                success: true,
+                approval
+            });
+        } catch (error) {
+            errorResponse(res, error, "Failed to add comment");
+        }
+    }
+}
+
+module.exports = new ApprovalController();
\ No newline at end of file
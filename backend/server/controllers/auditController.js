@@ -0,0 +1,78 @@
+// backend/server/controllers/auditController.js
+const auditService = require('../services/auditService');
+const authService = require('../services/authService');
+const logger = require('../utils/logger');
+
+class AuditController {
+    /**
+     * Query the audit log as JSON, or export it as CSV with ?format=csv
+     */
+    async listAuditLog(req, res) {
+        try {
+            const { format, ...filters } = req.query;
+
+            // /api/audit spans every project - GitHub users only see projects where their own role reads the audit log
+            const projects = authService.projectsWith(req.user, 'audit:read');
+            if (projects && filters.project && !projects.includes(filters.project)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `You can't read the audit log of project ${filters.project}`,
+                    permission: 'audit:read'
+                });
+            }
+
+            const { entries, total } = await auditService.query(filters, { projects });
+
+            if (format === 'csv') {
+                const filename = `deployease-audit-${new Date().toISOString().slice(0, 10)}.csv`;
+                res.set('Content-Type', 'text/csv; charset=utf-8');
+                res.set('Content-Disposition', `attachment; filename="${filename}"`);
+                return res.status(200).send(auditService.toCsv(entries));
+            }
+
+            res.status(200).json({
+                success: true,
+                entries,
+                total,
+                limit: filters.limit,
+                offset: filters.offset
+            });
+        } catch (error) {
+            logger.error('Failed to query the audit log', {
+                error: error.message,
+                stack: error.stack
+            });
+            res.status(500).json({
+                success: false,
+                message: "Failed to query the audit log",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Check that no audit entry was edited, inserted or removed
+     */
+    async verifyAuditLog(req, res) {
+        try {
+            const result = await auditService.verify();
+
+            res.status(200).json({
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            logger.error('Failed to verify the audit log', {
+                error: error.message,
+                stack: error.stack
+            });
+            res.status(500).json({
+                success: false,
+                message: "Failed to verify the audit log",
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = new AuditController();
\ No newline at end of file
@@ -0,0 +1,239 @@
+// backend/server/controllers/authController.js
+const authService = require('../services/authService');
+const ghAuth = require('../middlewares/ghAuth');
+const logger = require('../utils/logger');
+
+// Where GitHub sign-in returns to - the session is handed over in the URL fragment, which never reaches a server
+const DASHBOARD_URL = process.env.DASHBOARD_URL || 'http://localhost/deployease/frontend/';
+
+// Browser that started a GitHub sign-in - the callback is only accepted from the same one
+const OAUTH_STATE_COOKIE = 'deployease_oauth_state';
+const OAUTH_STATE_PATH = '/api/auth/github'; // Sent to the sign-in routes only
+
+/**
+ * Read a cookie from the request - only the OAuth state uses one, so there's no cookie parser
+ */
+const readCookie = (req, name) => {
+    const cookie = (req.headers.cookie || '')
+        .split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${name}=`));
+    return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+};
+
+/**
+ * Send the browser back to the dashboard with fragment parameters
+ */
+const redirectToDashboard = (res, params) => {
+    const url = new URL(DASHBOARD_URL);
+    url.hash = new URLSearchParams(params).toString();
+    res.redirect(302, url.toString());
+};
+
+/**
+ * Error body for a refused auth change
+ */
+const errorResponse = (res, error, message) => {
+    const statusCode = error.statusCode || 500;
+    if (statusCode >= 500) {
+        logger.error(message, {
+            error: error.message,
+            stack: error.stack
+        });
+    }
+
+    res.status(statusCode).json({
+        success: false,
+        message: statusCode >= 500 ? message : error.message
+    });
+};
+
+class AuthController {
+    /**
+     * Sign in to the dashboard with a username and password
+     */
+    async login(req, res) {
+        try {
+            const { token, expiresAt, user } = authService.login(req.body.username, req.body.password);
+
+            res.status(200).json({
+                success: true,
+                token,
+                expiresAt,
+                user
+            });
+        } catch (error) {
+            errorResponse(res, error, "Sign-in failed");
+        }
+    }
+
+    /**
+     * Sign-in methods the dashboard can offer
+     */
+    async getProviders(req, res) {
+        res.status(200).json({
+            success: true,
+            providers: {
+                password: true,
+                github: ghAuth.isOAuthEnabled()
+            }
+        });
+    }
+
+    /**
+     * Start a GitHub sign-in
+     */
+    async githubLogin(req, res) {
+        try {
+            const { url, state, expiresIn } = ghAuth.getAuthorizeUrl();
+
+            // Lax, not Strict - the callback is a navigation coming from github.com
+            res.cookie(OAUTH_STATE_COOKIE, state, {
+                httpOnly: true,
+                sameSite: 'lax',
+                secure: req.secure,
+                maxAge: expiresIn,
+                path: OAUTH_STATE_PATH
+            });
+            res.redirect(302, url);
+        } catch (error) {
+            errorResponse(res, error, "Failed to start GitHub sign-in");
+        }
+    }
+
+    /**
+     * GitHub sends the user back here - open a session with the roles their repository permissions allow
+     */
+    async githubCallback(req, res) {
+        const { code, state, error: oauthError, error_description: oauthErrorDescription } = req.query;
+        const browserState = readCookie(req, OAUTH_STATE_COOKIE);
+
+        // Each state is good for one attempt
+        res.clearCookie(OAUTH_STATE_COOKIE, { path: OAUTH_STATE_PATH });
+
+        if (oauthError) {
+            return redirectToDashboard(res, { authError: oauthErrorDescription || oauthError });
+        }
+
+        try {
+            const { profile, role, projectRoles } = await ghAuth.completeOAuth(code, state, browserState);
+            const { token, expiresAt } = authService.loginWithGitHub({ profile, role, projectRoles });
+
+            redirectToDashboard(res, { session: token, expiresAt });
+        } catch (error) {
+            if (error.statusCode === 403 && error.login) {
+                authService.removeGitHubUser(error.login);
+            }
+            if (!error.statusCode || error.statusCode >= 500) {
+                logger.error("GitHub sign-in failed", { error: error.message });
+            }
+
+            redirectToDashboard(res, { authError: error.message });
+        }
+    }
+
+    /**
+     * End the caller's dashboard session
+     */
+    async logout(req, res) {
+        authService.logout(authService.getRequestToken(req));
+
+        res.status(200).json({
+            success: true,
+            message: "Signed out"
+        });
+    }
+
+    /**
+     * Who the caller is and what they may do
+     */
+    async getCurrentUser(req, res) {
+        res.status(200).json({
+            success: true,
+            user: {
+                username: req.user.username,
+                role: req.user.role,
+                projectRoles: req.user.projectRoles,
+                via: req.user.via,
+                provider: authService.getProvider(req.user.username),
+                permissions: authService.getPermissions(req.user.role)
+            }
+        });
+    }
+
+    /**
+     * List the caller's API tokens
+     */
+    async listTokens(req, res) {
+        res.status(200).json({
+            success: true,
+            tokens: authService.listTokens(req.user.username)
+        });
+    }
+
+    /**
+     * Issue an API token for the caller - the value is only returned here
+     */
+    async createToken(req, res) {
+        try {
+            const token = authService.createToken(req.user.username, req.body);
+
+            res.status(201).json({
+                success: true,
+                message: "Store this token now - it can't be shown again",
+                token
+            });
+        } catch (error) {
+            errorResponse(res, error, "Failed to create token");
+        }
+    }
+
+    /**
+     * Revoke one of the caller's API tokens
+     */
+    async revokeToken(req, res) {
+        const token = authService.revokeToken(req.user.username, req.params.id);
+
+        if (!token) {
+            return res.status(404).json({
+                success: false,
+                message: `Token not found: ${req.params.id}`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Token ${token.name} revoked`,
+            token
+        });
+    }
+
+    /**
+     * List users and their roles
+     */
+    async listUsers(req, res) {
+        res.status(200).json({
+            success: true,
+            users: authService.listUsers()
+        });
+    }
+
+    /**
+     * Add a user
+     */
+    async createUser(req, res) {
+        try {
+            const user = authService.createUser(req.body, req.user.username);
+
+            res.status(201).json({
+                success: true,
+                message: `User ${user.username} created`,
+                user
+            });
+        } catch (error) {
+            errorResponse(res, error, "Failed to create user");
+        }
+    }
+}
+
+module.exports = new AuthController();
\ No newline at end of file
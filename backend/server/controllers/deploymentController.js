@@ -1,8 +1,28 @@
 // backend/server/controllers/deploymentController.js
+const archiveService = require('../services/archiveService');
 const gitService = require('../services/gitService');
-const netlifyService = require('../services/netlifyService');
+const deploymentService = require('../services/deploymentService');
+const deploymentStore = require('../services/deploymentStore');
+const lockService = require('../services/lockService');
+const projectService = require('../services/projectService');
 const logger = require('../utils/logger');
 
+/**
+ * 409 body for a change that raced another operation or a commit on the branch
+ * conflict tells a moved branch (expectedParentSha no longer matches) from a running operation
+ */
+const conflictResponse = (error) => ({
+    success: false,
+    message: error.message,
+    operation: error.operation,
+    conflict: error.conflict ? {
+        branch: error.branch,
+        expectedSha: error.expectedSha,
+        actualSha: error.actualSha
+    } : undefined,
+    timestamp: new Date().toISOString()
+});
+
 class DeploymentController {
     /**
      * Get deployment history for all environments (blue and green)
@@ -11,29 +31,15 @@ class DeploymentController {
         try {
             // Get history for both branches in parallel
             const [blueHistory, greenHistory] = await Promise.all([
-                gitService.getDeploymentHistory('blue'),
-                gitService.getDeploymentHistory('green')
+                deploymentService.getHistory('blue'),
+                deploymentService.getHistory('green')
             ]);
 
-            // Standardize the history format
-            const formatDeployment = (deployment, branch) => {
-                return {
-                    id: deployment.id || deployment.sha?.slice(0, 7),
-                    branch: branch,
-                    status: deployment.state || 'success',
-                    timestamp: deployment.timestamp || deployment.commit?.committer?.date || new Date().toISOString(),
-                    commitSha: deployment.sha,
-                    commitUrl: deployment.html_url,
-                    commitMessage: deployment.commit?.message || `Deployment to ${branch}`,
-                    committer: deployment.commit?.committer?.name || 'DeployEase System'
-                };
-            };
-
             res.status(200).json({
                 success: true,
-                blue: blueHistory.map(d => formatDeployment(d, 'blue')),
-                green: greenHistory.map(d => formatDeployment(d, 'green')),
-                repository: process.env.REPOSITORY_URL,
+                blue: blueHistory,
+                green: greenHistory,
+                repository: projectService.current().repositoryUrl,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
@@ -55,7 +61,7 @@ class DeploymentController {
     async getDeploymentHistory(req, res) {
         try {
             const { branch } = req.params;
-            
+
             if (!['blue', 'green'].includes(branch)) {
                 return res.status(400).json({
                     success: false,
@@ -63,25 +69,13 @@ class DeploymentController {
                 });
             }
 
-            const history = await gitService.getDeploymentHistory(branch);
-            
-            // Format the response consistently
-            const formattedHistory = history.map(deployment => ({
-                id: deployment.id || deployment.sha?.slice(0, 7),
-                branch: branch,
-                status: deployment.state || 'success',
-                timestamp: deployment.timestamp || deployment.commit?.committer?.date || new Date().toISOString(),
-                commitSha: deployment.sha,
-                commitUrl: deployment.html_url,
-                commitMessage: deployment.commit?.message || `Deployment to ${branch}`,
-                committer: deployment.commit?.committer?.name || 'DeployEase System'
-            }));
+            const history = await deploymentService.getHistory(branch);
 
             res.status(200).json({
                 success: true,
                 branch,
-                deployments: formattedHistory,
-                repository: process.env.REPOSITORY_URL,
+                deployments: history,
+                repository: projectService.current().repositoryUrl,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
@@ -97,12 +91,73 @@ class DeploymentController {
         }
     }
 
+    /**
+     * List recorded deployments, filtered by branch, state and creation time
+     */
+    async listDeployments(req, res) {
+        try {
+            const { branch, state, since, limit } = req.query;
+            const deployments = deploymentStore.query({ branch, state, since, limit });
+
+            res.status(200).json({
+                success: true,
+                count: deployments.length,
+                filters: { branch, state, since, limit },
+                deployments,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Failed to list deployments', {
+                error: error.message,
+                stack: error.stack,
+                query: req.query
+            });
+            res.status(500).json({
+                success: false,
+                message: "Failed to list deployments",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get a single recorded deployment
+     */
+    async getDeployment(req, res) {
+        try {
+            const deployment = deploymentStore.get(req.params.id);
+
+            if (!deployment) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Deployment not found: ${req.params.id}`
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                deployment
+            });
+        } catch (error) {
+            logger.error('Failed to get deployment', {
+                error: error.message,
+                stack: error.stack,
+                id: req.params.id
+            });
+            res.status(500).json({
+                success: false,
+                message: "Failed to get deployment",
+                error: error.message
+            });
+        }
+    }
+
     /**
      * Create a new deployment
      */
     async createDeployment(req, res) {
         try {
-            const { branch, files, commitMessage } = req.body;
+            const { branch, files, commitMessage, expectedParentSha, mode, deletions } = req.body;
 
             // Validate input
             if (!branch || !files) {
@@ -119,35 +174,65 @@ class DeploymentController {
                 });
             }
 
-            // Deploy to GitHub branch
-            const gitResult = await gitService.deployToBranch(
-                branch,
-                files,
-                commitMessage || `DeployEase: ${branch} deployment`
-            );
-
-            // Trigger Netlify build
-            const netlifyResult = await netlifyService.triggerDeploy(branch);
+            const lock = lockService.getLock(branch);
+            if (lock) {
+                return res.status(423).json({
+                    success: false,
+                    message: lockService.describe(lock),
+                    lock
+                });
+            }
 
-            logger.info('Deployment successful', {
+            const { record, gitResult, netlifyResult } = await deploymentService.deploy({
                 branch,
-                commitUrl: gitResult.commitUrl,
-                deployId: netlifyResult.deployId,
-                files: files.map(f => f.path)
+                files,
+                commitMessage: commitMessage || `DeployEase: ${branch} deployment`,
+                initiator: this.getInitiator(req),
+                source: 'api',
+                expectedParentSha,
+                mode,
+                deletions
             });
 
+            if (!gitResult.changed) {
+                return res.status(200).json({
+                    success: true,
+                    noChanges: true,
+                    message: `No changes - ${branch} already has these files`,
+                    git: gitResult,
+                    deploymentId: record.id
+                });
+            }
+
             res.status(200).json({
                 success: true,
-                message: `Deployment to ${branch} started`,
+                message: gitResult.removed.length > 0
+                    ? `Deployment to ${branch} started, ${gitResult.removed.length} files removed`
+                    : `Deployment to ${branch} started`,
                 git: gitResult,
                 netlify: netlifyResult,
-                deployId: `${branch}-${Date.now()}`
+                deployId: record.id,
+                deploymentId: record.id
             });
         } catch (error) {
+            // Another operation holds the branch, or the branch moved under the commit
+            if (error.statusCode === 409) {
+                return res.status(409).json(conflictResponse(error));
+            }
+
+            // Files or deletions the policy refuses (400), or sync mode on a branch GitHub can't list completely (422) - nothing was committed
+            if (error.statusCode === 400 || error.incompleteTree) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
             logger.error('Deployment failed', {
                 error: error.message,
                 stack: error.stack,
-                payload: req.body
+                branch: req.body.branch,
+                fileCount: req.body.files?.length || 0
             });
             res.status(500).json({
                 success: false,
@@ -157,6 +242,125 @@ class DeploymentController {
         }
     }
 
+    /**
+     * Compare a deployment payload with the target branch without committing it
+     */
+    async previewDeployment(req, res) {
+        try {
+            const { branch, files, mode, deletions } = req.body;
+            const preview = await gitService.previewDeployment(branch, files, { mode, deletions });
+
+            res.status(200).json({
+                success: true,
+                message: `${preview.summary.added} added, ${preview.summary.modified} modified, ${preview.summary.removed} removed, ${preview.summary.unchanged} unchanged`,
+                preview,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            logger.error('Deployment preview failed', {
+                error: error.message,
+                stack: error.stack,
+                branch: req.body.branch,
+                fileCount: req.body.files?.length || 0
+            });
+            res.status(statusCode).json({
+                success: false,
+                message: "Deployment preview failed",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Create a new deployment from an uploaded .zip/.tar.gz archive
+     */
+    async deployArchive(req, res) {
+        try {
+            const branch = req.body.branch || req.body.environment;
+            const { commitMessage, mode } = req.body;
+
+            if (!['blue', 'green'].includes(branch)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid branch specified. Must be 'blue' or 'green'"
+                });
+            }
+
+            if (mode && !['merge', 'sync'].includes(mode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Mode must be either 'merge' or 'sync'"
+                });
+            }
+
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: "An archive file is required"
+                });
+            }
+
+            const lock = lockService.getLock(branch);
+            if (lock) {
+                return res.status(423).json({
+                    success: false,
+                    message: lockService.describe(lock),
+                    lock
+                });
+            }
+
+            const files = await archiveService.extract(req.file.buffer, req.file.originalname);
+
+            const { record, gitResult, netlifyResult } = await deploymentService.deploy({
+                branch,
+                files,
+                commitMessage: commitMessage || `DeployEase: ${branch} deployment from ${req.file.originalname}`,
+                initiator: this.getInitiator(req),
+                source: 'upload',
+                mode
+            });
+
+            res.status(200).json({
+                success: true,
+                noChanges: !gitResult.changed || undefined,
+                message: gitResult.changed
+                    ? `Deployment to ${branch} started`
+                    : `No changes - ${branch} already has the files in ${req.file.originalname}`,
+                deploymentId: record.id,
+                archive: req.file.originalname,
+                fileCount: files.length,
+                git: gitResult,
+                netlify: netlifyResult
+            });
+        } catch (error) {
+            // Another operation holds the branch, or the branch moved under the commit
+            if (error.statusCode === 409) {
+                return res.status(409).json(conflictResponse(error));
+            }
+
+            // A file in the archive the policy refuses - say which and why
+            if (error.statusCode === 400) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    archive: req.file?.originalname
+                });
+            }
+
+            logger.error('Archive deployment failed', {
+                error: error.message,
+                stack: error.stack,
+                archive: req.file?.originalname
+            });
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: "Archive deployment failed",
+                error: error.message
+            });
+        }
+    }
+
     /**
      * Rollback to a specific commit
      */
@@ -171,26 +375,34 @@ class DeploymentController {
                 });
             }
 
-            // Revert to specific commit in GitHub
-            const gitResult = await gitService.rollbackToCommit(branch, commitSha);
-
-            // Trigger Netlify build
-            const netlifyResult = await netlifyService.triggerDeploy(branch);
+            const lock = lockService.getLock(branch);
+            if (lock) {
+                return res.status(423).json({
+                    success: false,
+                    message: lockService.describe(lock),
+                    lock
+                });
+            }
 
-            logger.info('Rollback successful', {
+            const { record, gitResult, netlifyResult } = await deploymentService.rollback({
                 branch,
                 commitSha,
-                commitUrl: gitResult.commitUrl,
-                deployId: netlifyResult.deployId
+                initiator: this.getInitiator(req)
             });
 
             res.status(200).json({
                 success: true,
                 message: `Rolled back ${branch} to commit ${commitSha.slice(0, 7)}`,
+                deploymentId: record.id,
                 git: gitResult,
                 netlify: netlifyResult
             });
         } catch (error) {
+            // Another operation holds the branch, or the branch moved under the commit
+            if (error.statusCode === 409) {
+                return res.status(409).json(conflictResponse(error));
+            }
+
             logger.error('Rollback failed', {
                 error: error.message,
                 stack: error.stack,
@@ -203,6 +415,15 @@ class DeploymentController {
             });
         }
     }
+
+    /**
+     * Identify who started a request for the deployment record
+     * @private
+     * @returns {string}
+     */
+    getInitiator(req) {
+        return req.user?.username || `anonymous@${req.ip}`;
+    }
 }
 
 module.exports = new DeploymentController();
\ No newline at end of file
@@ -4,13 +4,26 @@ const netlifyService = require('../services/netlifyService');
 const redirectService = require('../services/redirectService');
 const logger = require('../utils/logger');
 const websocketService = require('../services/websocketService');
+const healthCheckService = require('../services/healthCheckService');
+const preflightService = require('../services/preflightService');
+const trafficService = require('../services/trafficService');
+const switchVerifier = require('../services/switchVerifier');
+const canaryService = require('../services/canaryService');
+const previewService = require('../services/previewService');
+const maintenanceService = require('../services/maintenanceService');
+const schedulerService = require('../services/schedulerService');
+const lockService = require('../services/lockService');
+const operationService = require('../services/operationService');
+const deploymentService = require('../services/deploymentService');
+const approvalService = require('../services/approvalService');
+const projectService = require('../services/projectService');
 
-// Cache environment status to reduce API calls
-const statusCache = {
+// Cache environment status to reduce API calls - one cache per project
+const statusCache = projectService.scoped(() => ({
   lastUpdated: null,
   data: null,
   ttl: 30000 // 30 seconds cache
-};
+}));
 
 // Store original branch configuration for rollback capability
 const originalConfig = {
@@ -19,15 +32,369 @@ const originalConfig = {
   initialActiveBranch: 'blue' // Default initial active branch is blue
 };
 
+/**
+ * Trim a health report to what the status endpoint needs
+ */
+const summarizeHealth = (report) => ({
+    status: report.status,
+    reasons: report.reasons,
+    latency: report.latency,
+    tls: report.tls,
+    checkedAt: report.checkedAt
+});
+
+/**
+ * Identify who started a request for logs
+ */
+const getInitiator = (req) => req.user?.username || `anonymous@${req.ip}`;
+
+/**
+ * 423 body for a manual switch attempted during a freeze window
+ */
+const frozenResponse = (freezeWindow) => ({
+    success: false,
+    message: `Switches are frozen (${freezeWindow.name}) until ${freezeWindow.endsAt}`,
+    freezeWindow,
+    timestamp: new Date().toISOString()
+});
+
+/**
+ * 423 body for a change refused by an environment lock
+ */
+const lockedResponse = (lock) => ({
+    success: false,
+    message: lockService.describe(lock),
+    lock,
+    timestamp: new Date().toISOString()
+});
+
+/**
+ * 409 body for a change that raced another operation or a commit on the branch
+ */
+const conflictResponse = (error) => ({
+    success: false,
+    message: error.message,
+    operation: error.operation,
+    conflict: error.conflict ? {
+        branch: error.branch,
+        expectedSha: error.expectedSha,
+        actualSha: error.actualSha
+    } : undefined,
+    timestamp: new Date().toISOString()
+});
+
+/**
+ * Reason traffic can't be moved right now, or null if it can
+ */
+const getRoutingConflict = () => {
+    if (maintenanceService.isEnabled()) {
+        return "Maintenance mode is on - disable it before moving traffic";
+    }
+    if (canaryService.isActive()) {
+        return "A canary rollout is in progress - promote or abort it before switching";
+    }
+    return null;
+};
+
+/**
+ * Response shape of the shared switch and rollback flows
+ */
+const respond = (statusCode, body) => ({ statusCode, body });
+
+/**
+ * Park a traffic change until enough approvers agree - 202 with the pending request
+ */
+const requestChange = (res, change) => {
+    try {
+        const approval = approvalService.create(change);
+
+        return res.status(202).json({
+            success: true,
+            message: `${change.description} is awaiting approval (${approval.quorum} needed, expires ${approval.expiresAt})`,
+            approval,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message,
+            approval: error.approval,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+/**
+ * Switch production traffic - shared by the switch endpoint and approved switch requests
+ * @returns {Promise<{statusCode: number, body: Object}>}
+ */
+const performSwitch = async ({ targetBranch, expectedParentSha = null, force = false, initiator }) => {
+    try {
+        // A canary or maintenance window owns the routing until it ends
+        const conflict = getRoutingConflict();
+        if (conflict) {
+            return respond(409, {
+                success: false,
+                message: conflict,
+                canary: canaryService.getStatus(),
+                maintenance: maintenanceService.getStatus(),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Manual switches wait out configured freeze windows
+        const freezeWindow = schedulerService.getActiveFreezeWindow();
+        if (freezeWindow) {
+            logger.warn(`Switch to ${targetBranch} refused during freeze window ${freezeWindow.name}`, {
+                initiator: initiator
+            });
+            return respond(423, frozenResponse(freezeWindow));
+        }
+
+        // One routing change at a time - a second operator gets the running one back
+        return await operationService.run('production', {
+            type: 'switch',
+            description: `Switch traffic to ${targetBranch}`,
+            initiator: initiator
+        }, async () => {
+            // Get current branch
+            const currentBranch = await redirectService.getActiveBranch();
+        
+            // Check if already on target branch
+            if (currentBranch === targetBranch) {
+                return respond(200, {
+                    success: true,
+                    message: `Already on ${targetBranch} environment`,
+                    activeBranch: targetBranch,
+                    changed: false,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Neither the color losing traffic nor the one gaining it may be locked
+            const lock = lockService.findLock([currentBranch, targetBranch].filter(Boolean));
+            if (lock) {
+                logger.warn(`Switch to ${targetBranch} refused: ${lockService.describe(lock)}`, {
+                    initiator: initiator
+                });
+                return respond(423, lockedResponse(lock));
+            }
+
+            // Make sure the target is deployed and answering before it takes traffic
+            let preflight = { skipped: true, forced: true };
+            if (force) {
+                logger.warn(`Preflight bypassed with force for switch to ${targetBranch}`, {
+                    initiator: initiator,
+                    previousBranch: currentBranch,
+                    timestamp: new Date().toISOString()
+                });
+            } else {
+                preflight = await preflightService.run(targetBranch);
+
+                if (!preflight.passed) {
+                    return respond(412, {
+                        success: false,
+                        message: `Preflight checks failed for ${targetBranch}`,
+                        activeBranch: currentBranch,
+                        changed: false,
+                        preflight,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+            }
+
+            // Commit the new routing, then purge the CDN and rebuild main
+            const { redirectResult, purgeResult, deployResult } = await trafficService.switchTo(targetBranch, { expectedParentSha });
+
+            // Invalidate cache
+            statusCache.lastUpdated = null;
+
+            // Watch production and go back to the previous branch if the new one misbehaves
+            const verification = switchVerifier.start({
+                targetBranch,
+                previousBranch: currentBranch,
+                initiator: initiator
+            });
+
+            // Notify all connected clients via WebSocket
+            websocketService.broadcast({
+                type: 'environment_switch',
+                newActive: targetBranch,
+                timestamp: new Date().toISOString()
+            });
+
+            logger.info(`Traffic switched to ${targetBranch}`, {
+                repository: projectService.current().repositoryUrl,
+                commitUrl: redirectResult.commitUrl,
+                branch: targetBranch,
+                forced: force,
+                timestamp: new Date().toISOString()
+            });
+
+            return respond(200, {
+                success: true,
+                message: `Traffic switched to ${targetBranch}`,
+                previousEnvironment: currentBranch,
+                activeEnvironment: targetBranch,
+                changed: true,
+                redirects: {
+                    commitUrl: redirectResult.commitUrl,
+                    rulesPreview: redirectResult.rulesPreview,
+                    updated: redirectResult.updated
+                },
+                cachePurge: {
+                    purgedAt: new Date().toISOString(),
+                    success: purgeResult.success
+                },
+                deployTriggered: deployResult.success,
+                preflight,
+                verification,
+                timestamp: new Date().toISOString()
+            });
+        });
+    } catch (error) {
+        if (error.statusCode === 409) {
+            return respond(409, conflictResponse(error));
+        }
+
+        logger.error('Environment switch failed', {
+            error: error.message,
+            stack: error.stack,
+            repository: projectService.current().repositoryUrl,
+            timestamp: new Date().toISOString()
+        });
+
+        return respond(500, {
+            success: false,
+            message: "Environment switch failed",
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+/**
+ * Move traffic back to the original environment - shared by the rollback endpoint and approved rollback requests
+ * @returns {Promise<{statusCode: number, body: Object}>}
+ */
+const performRollback = async ({ initiator }) => {
+    try {
+        if (maintenanceService.isEnabled()) {
+            return respond(409, {
+                success: false,
+                message: "Maintenance mode is on - disable it to restore traffic",
+                maintenance: maintenanceService.getStatus(),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Rolling back moves traffic off one color and onto the other
+        const lock = lockService.findLock(['blue', 'green']);
+        if (lock) {
+            return respond(423, lockedResponse(lock));
+        }
+
+        return await operationService.run('production', {
+            type: 'switch',
+            description: `Rollback to ${originalConfig.initialActiveBranch}`,
+            initiator: initiator
+        }, async () => {
+            // Rolling back takes every visitor off a canary first
+            if (canaryService.isActive()) {
+                await canaryService.abort('manual rollback', initiator);
+            }
+
+            // Get current active branch
+            const currentBranch = await redirectService.getActiveBranch();
+        
+            // If already on the initial branch, no need to rollback
+            if (currentBranch === originalConfig.initialActiveBranch) {
+                return respond(200, {
+                    success: true,
+                    message: `Already on initial environment (${originalConfig.initialActiveBranch})`,
+                    activeBranch: currentBranch,
+                    changed: false,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        
+            // A manual rollback replaces any switch still being verified
+            switchVerifier.cancel('manual rollback');
+
+            // Execute rollback to initial branch
+            const { redirectResult, purgeResult, deployResult } = await trafficService.switchTo(originalConfig.initialActiveBranch);
+
+            // Invalidate cache
+            statusCache.lastUpdated = null;
+
+            // Notify all connected clients via WebSocket
+            websocketService.broadcast({
+                type: 'environment_rollback',
+                newActive: originalConfig.initialActiveBranch,
+                previousActive: currentBranch,
+                timestamp: new Date().toISOString()
+            });
+
+            logger.info(`Environment rolled back to ${originalConfig.initialActiveBranch}`, {
+                repository: projectService.current().repositoryUrl,
+                commitUrl: redirectResult.commitUrl,
+                previousBranch: currentBranch,
+                timestamp: new Date().toISOString()
+            });
+
+            return respond(200, {
+                success: true,
+                message: `Environment rolled back to ${originalConfig.initialActiveBranch}`,
+                previousEnvironment: currentBranch,
+                activeEnvironment: originalConfig.initialActiveBranch,
+                changed: true,
+                redirects: {
+                    commitUrl: redirectResult.commitUrl,
+                    rulesPreview: redirectResult.rulesPreview,
+                    updated: redirectResult.updated
+                },
+                cachePurge: {
+                    purgedAt: new Date().toISOString(),
+                    success: purgeResult.success
+                },
+                deployTriggered: deployResult.success,
+                timestamp: new Date().toISOString()
+            });
+        });
+    } catch (error) {
+        if (error.statusCode === 409) {
+            return respond(409, conflictResponse(error));
+        }
+
+        logger.error('Environment rollback failed', {
+            error: error.message,
+            stack: error.stack,
+            repository: projectService.current().repositoryUrl,
+            timestamp: new Date().toISOString()
+        });
+
+        return respond(500, {
+            success: false,
+            message: "Environment rollback failed",
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
 class EnvironmentController {
     /**
      * Get status of both environments with caching
      */
     async getEnvironmentStatus(req, res) {
         try {
-            // Check cache first
-            if (statusCache.data && Date.now() - statusCache.lastUpdated < statusCache.ttl) {
+            // Check cache first - anything cached before the last switch is stale
+            if (statusCache.data && Date.now() - statusCache.lastUpdated < statusCache.ttl &&
+                statusCache.lastUpdated > trafficService.lastSwitchAt) {
                 statusCache.data.cache = { cached: true };
+                statusCache.data.canary = canaryService.getStatus();
+                statusCache.data.maintenance = maintenanceService.getStatus();
+                statusCache.data.locks = lockService.getLocks();
                 return res.status(200).json(statusCache.data);
             }
 
@@ -35,8 +402,8 @@ class EnvironmentController {
                 redirectService.getActiveBranch(),
                 netlifyService.getLatestDeploy('blue'),
                 netlifyService.getLatestDeploy('green'),
-                netlifyService.getBranchHealth('blue'),
-                netlifyService.getBranchHealth('green')
+                healthCheckService.getReport('blue'),
+                healthCheckService.getReport('green')
             ]);
 
             // Determine active branch with fallback
@@ -49,21 +416,27 @@ class EnvironmentController {
                 blue: {
                     status: currentBranch === 'blue' ? 'active' : 'inactive',
                     branch: 'blue',
-                    url: 'https://blue--deployeaselive.netlify.app/',
+                    url: `${projectService.branchUrl('blue')}/`,
                     deployStatus: blueDeploy.status === 'fulfilled' ? blueDeploy.value : { error: 'Status unavailable' },
-                    health: blueHealth.status === 'fulfilled' ? blueHealth.value : 'unknown',
+                    health: blueHealth.status === 'fulfilled' ? blueHealth.value.status : 'unknown',
+                    healthReport: blueHealth.status === 'fulfilled' ? summarizeHealth(blueHealth.value) : null,
                     lastUpdated: new Date().toISOString()
                 },
                 green: {
                     status: currentBranch === 'green' ? 'active' : 'inactive',
                     branch: 'green',
-                    url: 'https://green--deployeaselive.netlify.app/',
+                    url: `${projectService.branchUrl('green')}/`,
                     deployStatus: greenDeploy.status === 'fulfilled' ? greenDeploy.value : { error: 'Status unavailable' },
-                    health: greenHealth.status === 'fulfilled' ? greenHealth.value : 'unknown',
+                    health: greenHealth.status === 'fulfilled' ? greenHealth.value.status : 'unknown',
+                    healthReport: greenHealth.status === 'fulfilled' ? summarizeHealth(greenHealth.value) : null,
                     lastUpdated: new Date().toISOString()
                 },
                 activeBranch: currentBranch,
+                siteUrl: projectService.siteUrl(),
                 isSwapped: currentBranch !== originalConfig.initialActiveBranch,
+                canary: canaryService.getStatus(),
+                maintenance: maintenanceService.getStatus(),
+                locks: lockService.getLocks(),
                 timestamp: new Date().toISOString(),
                 cache: {
                     cached: false,
@@ -98,12 +471,60 @@ class EnvironmentController {
         }
     }
 
+    /**
+     * Get detailed health probe results and recent history for both environments
+     */
+    async getEnvironmentHealth(req, res) {
+        try {
+            // ?refresh=true probes now instead of returning the last scheduled result
+            const reports = req.query.refresh === 'true'
+                ? await healthCheckService.checkAll()
+                : {
+                    blue: await healthCheckService.getReport('blue'),
+                    green: await healthCheckService.getReport('green')
+                };
+
+            res.status(200).json({
+                success: true,
+                blue: {
+                    ...reports.blue,
+                    history: healthCheckService.getHistory('blue')
+                },
+                green: {
+                    ...reports.green,
+                    history: healthCheckService.getHistory('green')
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Failed to get environment health', {
+                error: error.message,
+                stack: error.stack
+            });
+            res.status(500).json({
+                success: false,
+                message: "Failed to get environment health",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Drop the cached environment status so the next request rebuilds it
+     * Called when a Netlify deploy notification reports a change
+     */
+    invalidateStatusCache() {
+        // Keep the data itself as the stale fallback for API failures
+        statusCache.lastUpdated = null;
+    }
+
     /**
      * Switch traffic between blue and green environments
      */
     async switchTraffic(req, res) {
         try {
-            const { targetBranch } = req.body;
+            const { targetBranch, expectedParentSha, requestApproval, comment } = req.body;
+            const force = req.body.force === true;
             
             // Validate target branch
             if (!['blue', 'green'].includes(targetBranch)) {
@@ -115,73 +536,239 @@ class EnvironmentController {
                 });
             }
 
-            // Get current branch
-            const currentBranch = await redirectService.getActiveBranch();
-            
-            // Check if already on target branch
-            if (currentBranch === targetBranch) {
-                return res.status(200).json({
-                    success: true,
-                    message: `Already on ${targetBranch} environment`,
-                    activeBranch: targetBranch,
-                    changed: false,
-                    timestamp: new Date().toISOString()
+            // Compliance - a second person approves before traffic moves
+            if (approvalService.isRequired('switch') || requestApproval === true) {
+                return requestChange(res, {
+                    action: 'switch',
+                    params: { targetBranch, expectedParentSha: expectedParentSha || null, force },
+                    description: `Switch traffic to ${targetBranch}`,
+                    requestedBy: getInitiator(req),
+                    comment
                 });
             }
 
-            // Execute switch operations in parallel
-            const [redirectResult, purgeResult, deployResult] = await Promise.all([
-                redirectService.updateRedirects(targetBranch),
-                netlifyService.purgeCache(),
-                netlifyService.triggerDeploy('main')
-            ]);
+            const { statusCode, body } = await performSwitch({ targetBranch, expectedParentSha, force, initiator: getInitiator(req) });
+            res.status(statusCode).json(body);
+        } catch (error) {
+            logger.error('Environment switch failed', {
+                error: error.message,
+                stack: error.stack
+            });
+            res.status(500).json({
+                success: false,
+                message: "Environment switch failed",
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Get the current or last canary rollout
+     */
+    async getCanaryStatus(req, res) {
+        res.status(200).json({
+            success: true,
+            canary: canaryService.getStatus(),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Start, pause, promote or abort a weighted canary rollout
+     */
+    async controlCanary(req, res) {
+        const { action, targetBranch, steps, holdMinutes, force } = req.body;
+        const initiator = getInitiator(req);
+
+        try {
+            let result = { rollout: null, preflight: null };
+
+            // Refusals come back from the operation - only this method answers the request
+            const refusal = await operationService.run('production', {
+                type: 'canary',
+                description: `Canary ${action}`,
+                initiator
+            }, async () => {
+                if (action === 'start') {
+                    const freezeWindow = schedulerService.getActiveFreezeWindow();
+                    if (freezeWindow) {
+                        return respond(423, frozenResponse(freezeWindow));
+                    }
+
+                    const baseBranch = await redirectService.getActiveBranch();
+                    const canaryBranch = targetBranch || (baseBranch === 'blue' ? 'green' : 'blue');
+
+                    const lock = lockService.findLock([baseBranch, canaryBranch].filter(Boolean));
+                    if (lock) {
+                        return respond(423, lockedResponse(lock));
+                    }
+
+                    result = await canaryService.start({
+                        baseBranch,
+                        canaryBranch,
+                        steps,
+                        holdMs: holdMinutes ? holdMinutes * 60 * 1000 : undefined,
+                        force,
+                        initiator
+                    });
+                } else if (action === 'pause') {
+                    result.rollout = canaryService.pause(initiator);
+                } else if (action === 'promote') {
+                    result.rollout = await canaryService.promote(initiator);
+                } else if (action === 'abort') {
+                    result.rollout = await canaryService.abort('aborted by user', initiator);
+                }
+                return null;
+            });
+
+            if (refusal) {
+                return res.status(refusal.statusCode).json(refusal.body);
+            }
 
-            // Invalidate cache
             statusCache.lastUpdated = null;
 
-            // Notify all connected clients via WebSocket
-            websocketService.broadcast({
-                type: 'environment_switch',
-                newActive: targetBranch,
+            logger.info(`Canary ${action} by ${initiator}`, {
+                canaryBranch: result.rollout.canaryBranch,
+                weight: result.rollout.weight,
+                status: result.rollout.status
+            });
+
+            res.status(200).json({
+                success: true,
+                message: `Canary ${result.rollout.status} at ${result.rollout.weight}%`,
+                canary: result.rollout,
+                preflight: result.preflight,
                 timestamp: new Date().toISOString()
             });
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode >= 500) {
+                logger.error(`Canary ${action} failed`, {
+                    error: error.message,
+                    stack: error.stack
+                });
+            }
 
-            logger.info(`Traffic switched to ${targetBranch}`, {
-                repository: process.env.REPOSITORY_URL,
-                commitUrl: redirectResult.commitUrl,
-                branch: targetBranch,
+            res.status(statusCode).json({
+                success: false,
+                message: statusCode >= 500 ? `Canary ${action} failed` : error.message,
+                error: error.message,
+                canary: canaryService.getStatus(),
+                preflight: error.preflight,
+                operation: error.operation,
                 timestamp: new Date().toISOString()
             });
+        }
+    }
+
+    /**
+     * Get the maintenance mode state
+     */
+    async getMaintenanceStatus(req, res) {
+        res.status(200).json({
+            success: true,
+            maintenance: maintenanceService.getStatus(),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Turn maintenance mode on or off
+     */
+    async setMaintenanceMode(req, res) {
+        const { action, title, message, endsAt, restoreBranch } = req.body;
+        const initiator = getInitiator(req);
+
+        try {
+            if (action === 'enable' && canaryService.isActive()) {
+                return res.status(409).json({
+                    success: false,
+                    message: "A canary rollout is in progress - abort it before enabling maintenance",
+                    canary: canaryService.getStatus(),
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const maintenance = await operationService.run('production', {
+                type: 'maintenance',
+                description: `Maintenance mode ${action}`,
+                initiator
+            }, async () => {
+                if (action === 'disable') {
+                    return maintenanceService.disable({ restoreBranch, initiator });
+                }
+
+                // A running switch verification would treat the maintenance page as a failure
+                switchVerifier.cancel('maintenance mode enabled');
+                return maintenanceService.enable({ title, message, endsAt, initiator });
+            });
+
+            statusCache.lastUpdated = null;
 
             res.status(200).json({
                 success: true,
-                message: `Traffic switched to ${targetBranch}`,
-                previousEnvironment: currentBranch,
-                activeEnvironment: targetBranch,
-                changed: true,
-                redirects: {
-                    commitUrl: redirectResult.commitUrl,
-                    rulesPreview: redirectResult.rulesPreview,
-                    updated: redirectResult.updated
-                },
-                cachePurge: {
-                    purgedAt: new Date().toISOString(),
-                    success: purgeResult.success
-                },
-                deployTriggered: deployResult.success,
+                message: action === 'enable'
+                    ? "Maintenance mode enabled"
+                    : `Maintenance mode disabled - traffic restored to ${maintenance.restoredBranch}`,
+                maintenance,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            logger.error('Environment switch failed', {
+            const statusCode = error.statusCode || 500;
+            if (statusCode >= 500) {
+                logger.error(`Failed to ${action} maintenance mode`, {
+                    error: error.message,
+                    stack: error.stack
+                });
+            }
+
+            res.status(statusCode).json({
+                success: false,
+                message: statusCode >= 500 ? `Failed to ${action} maintenance mode` : error.message,
                 error: error.message,
-                stack: error.stack,
-                repository: process.env.REPOSITORY_URL,
+                maintenance: maintenanceService.getStatus(),
+                operation: error.operation,
                 timestamp: new Date().toISOString()
             });
+        }
+    }
 
-            res.status(500).json({
+    /**
+     * Issue a signed link that pins a browser to one environment on the production hostname
+     */
+    async createPreviewLink(req, res) {
+        try {
+            const { ttlMinutes, path } = req.body;
+            let { branch } = req.body;
+
+            // Default to the environment that isn't taking traffic
+            if (!branch) {
+                const activeBranch = await redirectService.getActiveBranch();
+                branch = activeBranch === 'green' ? 'blue' : 'green';
+            }
+
+            const preview = previewService.createLink(branch, {
+                ttlMinutes,
+                path,
+                initiator: getInitiator(req)
+            });
+
+            res.status(201).json({
+                success: true,
+                message: `Preview link for ${branch} created`,
+                preview,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            logger.error('Failed to create preview link', {
+                error: error.message,
+                stack: error.stack
+            });
+            res.status(statusCode).json({
                 success: false,
-                message: "Environment switch failed",
+                message: "Failed to create preview link",
                 error: error.message,
                 timestamp: new Date().toISOString()
             });
@@ -189,75 +776,208 @@ class EnvironmentController {
     }
 
     /**
-     * Rollback to the original environment configuration
+     * Get the locks held on blue and green
      */
-    async rollbackEnvironment(req, res) {
+    async getLocks(req, res) {
+        res.status(200).json({
+            success: true,
+            locks: lockService.getLocks(),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Lock an environment against deployments, rollbacks and traffic switches
+     */
+    async acquireLock(req, res) {
+        const { branch } = req.params;
+
         try {
-            // Get current active branch
-            const currentBranch = await redirectService.getActiveBranch();
-            
-            // If already on the initial branch, no need to rollback
-            if (currentBranch === originalConfig.initialActiveBranch) {
-                return res.status(200).json({
-                    success: true,
-                    message: `Already on initial environment (${originalConfig.initialActiveBranch})`,
-                    activeBranch: currentBranch,
-                    changed: false,
-                    timestamp: new Date().toISOString()
+            if (!['blue', 'green'].includes(branch)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid branch specified. Must be 'blue' or 'green'"
                 });
             }
-            
-            // Execute rollback to initial branch
-            const [redirectResult, purgeResult, deployResult] = await Promise.all([
-                redirectService.updateRedirects(originalConfig.initialActiveBranch),
-                netlifyService.purgeCache(),
-                netlifyService.triggerDeploy('main')
-            ]);
 
-            // Invalidate cache
+            const lock = lockService.acquire(branch, {
+                reason: req.body.reason,
+                owner: getInitiator(req),
+                expiresAt: req.body.expiresAt
+            });
+
             statusCache.lastUpdated = null;
 
-            // Notify all connected clients via WebSocket
-            websocketService.broadcast({
-                type: 'environment_rollback',
-                newActive: originalConfig.initialActiveBranch,
-                previousActive: currentBranch,
+            res.status(201).json({
+                success: true,
+                message: `${branch} locked`,
+                lock,
                 timestamp: new Date().toISOString()
             });
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode >= 500) {
+                logger.error(`Failed to lock ${branch}`, {
+                    error: error.message,
+                    stack: error.stack
+                });
+            }
 
-            logger.info(`Environment rolled back to ${originalConfig.initialActiveBranch}`, {
-                repository: process.env.REPOSITORY_URL,
-                commitUrl: redirectResult.commitUrl,
-                previousBranch: currentBranch,
+            res.status(statusCode).json({
+                success: false,
+                message: statusCode >= 500 ? `Failed to lock ${branch}` : error.message,
+                error: error.message,
+                lock: error.lock,
                 timestamp: new Date().toISOString()
             });
+        }
+    }
+
+    /**
+     * Lift the lock on an environment
+     */
+    async releaseLock(req, res) {
+        const { branch } = req.params;
+
+        if (!['blue', 'green'].includes(branch)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid branch specified. Must be 'blue' or 'green'"
+            });
+        }
+
+        const lock = lockService.release(branch, getInitiator(req));
+        if (!lock) {
+            return res.status(404).json({
+                success: false,
+                message: `${branch} is not locked`
+            });
+        }
+
+        statusCache.lastUpdated = null;
+
+        res.status(200).json({
+            success: true,
+            message: `${branch} unlocked`,
+            lock,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Compare the blue and green trees - what promoting source onto target would change
+     */
+    async getEnvironmentDiff(req, res) {
+        const source = req.query.source || 'green';
+        const target = req.query.target || (source === 'green' ? 'blue' : 'green');
+
+        if (![source, target].every(branch => ['blue', 'green'].includes(branch)) || source === target) {
+            return res.status(400).json({
+                success: false,
+                message: "Source and target must be 'blue' and 'green' in either order"
+            });
+        }
+
+        try {
+            const diff = await gitService.compareBranches(target, source);
 
             res.status(200).json({
                 success: true,
-                message: `Environment rolled back to ${originalConfig.initialActiveBranch}`,
-                previousEnvironment: currentBranch,
-                activeEnvironment: originalConfig.initialActiveBranch,
-                changed: true,
-                redirects: {
-                    commitUrl: redirectResult.commitUrl,
-                    rulesPreview: redirectResult.rulesPreview,
-                    updated: redirectResult.updated
-                },
-                cachePurge: {
-                    purgedAt: new Date().toISOString(),
-                    success: purgeResult.success
-                },
-                deployTriggered: deployResult.success,
+                message: diff.identical
+                    ? `${target} already matches ${source}`
+                    : `${diff.summary.added} added, ${diff.summary.modified} modified, ${diff.summary.removed} removed on ${target}`,
+                diff,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            logger.error('Environment rollback failed', {
+            logger.error(`Failed to compare ${target} with ${source}`, {
+                error: error.message,
+                stack: error.stack
+            });
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: "Failed to compare environments",
                 error: error.message,
-                stack: error.stack,
-                repository: process.env.REPOSITORY_URL,
                 timestamp: new Date().toISOString()
             });
+        }
+    }
+
+    /**
+     * Copy one environment's tree onto the other (green to blue after QA by default)
+     */
+    async promoteEnvironment(req, res) {
+        const { source, target, expectedParentSha } = req.body;
+
+        try {
+            const lock = lockService.getLock(target);
+            if (lock) {
+                return res.status(423).json(lockedResponse(lock));
+            }
+
+            const { record, gitResult, netlifyResult } = await deploymentService.promote({
+                source,
+                target,
+                expectedParentSha,
+                initiator: getInitiator(req)
+            });
 
+            statusCache.lastUpdated = null;
+
+            res.status(200).json({
+                success: true,
+                message: !gitResult.changed
+                    ? `${target} already matches ${source}`
+                    : `Promoted ${source} to ${target}${gitResult.fastForward ? ' (fast-forward)' : ''}`,
+                deploymentId: record.id,
+                git: gitResult,
+                netlify: netlifyResult,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            // Another operation holds the target, or the target moved past expectedParentSha
+            if (error.statusCode === 409) {
+                return res.status(409).json(conflictResponse(error));
+            }
+
+            logger.error(`Promotion of ${source} to ${target} failed`, {
+                error: error.message,
+                stack: error.stack
+            });
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: "Promotion failed",
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Rollback to the original environment configuration
+     */
+    async rollbackEnvironment(req, res) {
+        try {
+            const { requestApproval, comment } = req.body;
+
+            // Compliance - a second person approves before traffic moves
+            if (approvalService.isRequired('rollback') || requestApproval === true) {
+                return requestChange(res, {
+                    action: 'rollback',
+                    params: {},
+                    description: `Rollback to ${originalConfig.initialActiveBranch}`,
+                    requestedBy: getInitiator(req),
+                    comment
+                });
+            }
+
+            const { statusCode, body } = await performRollback({ initiator: getInitiator(req) });
+            res.status(statusCode).json(body);
+        } catch (error) {
+            logger.error('Environment rollback failed', {
+                error: error.message,
+                stack: error.stack
+            });
             res.status(500).json({
                 success: false,
                 message: "Environment rollback failed",
@@ -276,10 +996,10 @@ class EnvironmentController {
             // Get current active branch from redirect rules
             const activeBranch = await redirectService.getActiveBranch();
             
-            // Get health status from Netlify for both branches
+            // Get health status from the HTTP probes for both branches
             const [blueHealth, greenHealth] = await Promise.all([
-                netlifyService.getBranchHealth('blue'),
-                netlifyService.getBranchHealth('green')
+                healthCheckService.getReport('blue').then(report => report.status),
+                healthCheckService.getReport('green').then(report => report.status)
             ]);
             
             res.status(200).json({
@@ -287,12 +1007,12 @@ class EnvironmentController {
                 blue: {
                     status: activeBranch === 'blue' ? 'active' : 'inactive',
                     health: blueHealth || 'unknown',
-                    url: 'https://blue--deployeaselive.netlify.app/'
+                    url: `${projectService.branchUrl('blue')}/`
                 },
                 green: {
                     status: activeBranch === 'green' ? 'active' : 'inactive',
                     health: greenHealth || 'unknown',
-                    url: 'https://green--deployeaselive.netlify.app/'
+                    url: `${projectService.branchUrl('green')}/`
                 },
                 activeBranch: activeBranch,
                 timestamp: new Date().toISOString()
@@ -316,28 +1036,64 @@ class EnvironmentController {
      */
     async legacySwitchTraffic(req, res) {
         try {
-            // Get current active branch
-            const currentActive = await redirectService.getActiveBranch();
+            // The blind toggle can't be parked for approval - send callers to /switch
+            if (approvalService.isRequired('switch')) {
+                return res.status(409).json({
+                    success: false,
+                    message: "Traffic switches need approval - use POST /api/environments/switch"
+                });
+            }
+
+            const conflict = getRoutingConflict();
+            if (conflict) {
+                return res.status(409).json({
+                    success: false,
+                    message: conflict
+                });
+            }
+
+            const freezeWindow = schedulerService.getActiveFreezeWindow();
+            if (freezeWindow) {
+                return res.status(423).json(frozenResponse(freezeWindow));
+            }
+
+            const lock = lockService.findLock(['blue', 'green']);
+            if (lock) {
+                return res.status(423).json(lockedResponse(lock));
+            }
+
+            await operationService.run('production', {
+                type: 'switch',
+                description: 'Legacy traffic switch',
+                initiator: getInitiator(req)
+            }, async () => {
+                // Get current active branch
+                const currentActive = await redirectService.getActiveBranch();
             
-            // Switch to the other branch
-            const targetBranch = currentActive === 'blue' ? 'green' : 'blue';
+                // Switch to the other branch
+                const targetBranch = currentActive === 'blue' ? 'green' : 'blue';
             
-            // Update redirects in GitHub and trigger Netlify rebuild
-            const result = await redirectService.updateRedirects(targetBranch);
+                // Update redirects in GitHub and trigger Netlify rebuild
+                const result = await redirectService.updateRedirects(targetBranch);
             
-            // Force Netlify to rebuild the site to pick up the new redirects
-            await netlifyService.triggerDeploy('main');
+                // Force Netlify to rebuild the site to pick up the new redirects
+                await netlifyService.triggerDeploy('main');
             
-            // Return updated status
-            res.status(200).json({
-                success: true,
-                message: `Traffic switched to ${targetBranch}`,
-                previousEnvironment: currentActive,
-                activeEnvironment: targetBranch,
-                updated: result.updated,
-                redirectsUrl: result.commitUrl
+                // Return updated status
+                res.status(200).json({
+                    success: true,
+                    message: `Traffic switched to ${targetBranch}`,
+                    previousEnvironment: currentActive,
+                    activeEnvironment: targetBranch,
+                    updated: result.updated,
+                    redirectsUrl: result.commitUrl
+                });
             });
         } catch (error) {
+            if (error.statusCode === 409) {
+                return res.status(409).json(conflictResponse(error));
+            }
+
             logger.error('Failed to switch traffic', {
                 error: error.message,
                 stack: error.stack
@@ -351,4 +1107,8 @@ class EnvironmentController {
     }
 }
 
+// Approved requests run the same flow the endpoints do, on behalf of the requester
+approvalService.registerExecutor('switch', (request) => performSwitch({ ...request.params, initiator: request.requestedBy }));
+approvalService.registerExecutor('rollback', (request) => performRollback({ initiator: request.requestedBy }));
+
 module.exports = new EnvironmentController();
\ No newline at end of file
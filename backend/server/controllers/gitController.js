@@ -1,9 +1,15 @@
 // backend/server/controllers/gitController.js
 const gitService = require('../services/gitService');
 const ghAuth = require('../middlewares/ghAuth');
+const lockService = require('../services/lockService');
+const environmentController = require('./environmentController');
+const operationService = require('../services/operationService');
+const projectService = require('../services/projectService');
 const logger = require('../utils/logger');
 const { validateDeploymentPayload } = require('../validators/gitValidators');
-const REPOSITORY_URL = 'https://github.com/Aswanthrajan/blue';
+
+// Repository of the project the request is for
+const repositoryUrl = () => projectService.current().repositoryUrl;
 
 class GitController {
   /**
@@ -17,24 +23,24 @@ class GitController {
       
       const result = await gitService.initializeRepository();
       
-      logger.info(`Repository initialized: ${REPOSITORY_URL}`, {
+      logger.info(`Repository initialized: ${repositoryUrl()}`, {
         branches: result.branches
       });
 
       res.status(200).json({
         success: true,
-        repository: REPOSITORY_URL,
+        repository: repositoryUrl(),
         ...result
       });
     } catch (error) {
       logger.error('Repository initialization failed', {
         error: error.message,
-        repository: REPOSITORY_URL
+        repository: repositoryUrl()
       });
       res.status(error.statusCode || 500).json({
         success: false,
         error: error.message,
-        repository: REPOSITORY_URL
+        repository: repositoryUrl()
       });
     }
   }
@@ -52,39 +58,54 @@ class GitController {
       if (error) throw new Error(`Invalid payload: ${error.details[0].message}`);
 
       const { branch, files, commitMessage } = req.body;
+
+      const lock = lockService.getLock(branch);
+      if (lock) {
+        return res.status(423).json({
+          success: false,
+          error: lockService.describe(lock),
+          lock,
+          repository: repositoryUrl()
+        });
+      }
       
-      // Verify write access before deployment
+      // The caller's own permission is checked by the route - this checks the token commits are made with
       const { hasWriteAccess } = await ghAuth.verifyRepositoryAccess();
       if (!hasWriteAccess) {
-        throw new Error('Insufficient permissions for deployment');
+        throw new Error('GITHUB_TOKEN lacks write access to the repository');
       }
 
-      const result = await gitService.deployToBranch(
+      const result = await operationService.run(branch, {
+        type: 'deploy',
+        description: `Deployment to ${branch}`,
+        initiator: req.user?.username || 'git API'
+      }, () => gitService.deployToBranch(
         branch,
         files,
         commitMessage || `DeployEase: Automated deployment to ${branch} branch`
-      );
+      ));
 
       logger.info(`Deployment successful to ${branch} branch`, {
         commitUrl: result.commitUrl,
-        repository: REPOSITORY_URL
+        repository: repositoryUrl()
       });
 
       res.status(200).json({
         success: true,
-        repository: REPOSITORY_URL,
+        repository: repositoryUrl(),
         ...result
       });
     } catch (error) {
       logger.error('Deployment failed', {
         error: error.message,
-        repository: REPOSITORY_URL,
+        repository: repositoryUrl(),
         payload: req.body
       });
       res.status(error.statusCode || 500).json({
         success: false,
         error: error.message,
-        repository: REPOSITORY_URL
+        operation: error.operation,
+        repository: repositoryUrl()
       });
     }
   }
@@ -102,43 +123,25 @@ class GitController {
         throw new Error('Invalid target branch specified');
       }
 
-      // Verify admin access for environment switching
-      const { permissions } = await ghAuth.verifyRepositoryAccess();
-      if (permissions.permission !== 'admin') {
-        throw new Error('Admin privileges required for environment switching');
-      }
-
-      const currentBranch = await gitService.getActiveBranch();
-      if (currentBranch === targetBranch) {
-        return res.status(200).json({
-          success: true,
-          message: `Already on ${targetBranch} environment`,
-          activeBranch: targetBranch,
-          repository: REPOSITORY_URL
-        });
+      // Switching commits _redirects to main - who may switch is checked by the route (traffic:switch)
+      const { hasWriteAccess } = await ghAuth.verifyRepositoryAccess();
+      if (!hasWriteAccess) {
+        throw new Error('GITHUB_TOKEN lacks write access to the repository');
       }
 
-      const result = await gitService.switchEnvironment(targetBranch);
-
-      logger.info(`Environment switched to ${targetBranch}`, {
-        repository: REPOSITORY_URL,
-        commitUrl: result.commitUrl
-      });
-
-      res.status(200).json({
-        success: true,
-        repository: REPOSITORY_URL,
-        ...result
-      });
+      // Same flow as the environments endpoint - approval, locks, freeze windows, canary/maintenance and preflight apply
+      return environmentController.switchTraffic(req, res);
     } catch (error) {
       logger.error('Environment switch failed', {
         error: error.message,
-        repository: REPOSITORY_URL
+        operation: error.operation,
+        repository: repositoryUrl()
       });
       res.status(error.statusCode || 500).json({
         success: false,
         error: error.message,
-        repository: REPOSITORY_URL
+        operation: error.operation,
+        repository: repositoryUrl()
       });
     }
   }
@@ -149,27 +152,28 @@ class GitController {
    */
   async getDeploymentStatus(req, res) {
     try {
+      const { owner, repo } = gitService.parseRepositoryUrl();
       const [activeBranch, branches] = await Promise.all([
         gitService.getActiveBranch(),
-        gitService.listBranches()
+        gitService.listBranches(owner, repo)
       ]);
 
       res.status(200).json({
         success: true,
-        repository: REPOSITORY_URL,
+        repository: repositoryUrl(),
         activeBranch,
         branches,
-        redirectsFile: `${REPOSITORY_URL}/blob/main/_redirects`
+        redirectsFile: `${repositoryUrl()}/blob/${projectService.gitBranch('main')}/_redirects`
       });
     } catch (error) {
       logger.error('Failed to get deployment status', {
         error: error.message,
-        repository: REPOSITORY_URL
+        repository: repositoryUrl()
       });
       res.status(error.statusCode || 500).json({
         success: false,
         error: error.message,
-        repository: REPOSITORY_URL
+        repository: repositoryUrl()
       });
     }
   }
@@ -0,0 +1,21 @@
+// backend/server/controllers/operationController.js
+const operationService = require('../services/operationService');
+
+class OperationController {
+    /**
+     * List running and queued switches, deployments and rollbacks
+     */
+    async listOperations(req, res) {
+        const { running, queued, recent } = operationService.list();
+
+        res.status(200).json({
+            success: true,
+            running,
+            queued,
+            recent,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = new OperationController();
\ No newline at end of file
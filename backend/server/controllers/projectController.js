@@ -0,0 +1,48 @@
+// backend/server/controllers/projectController.js
+const projectService = require('../services/projectService');
+const authService = require('../services/authService');
+
+/**
+ * A project as the caller sees it - with their role in it
+ */
+const describeFor = (user, project) => {
+    const role = authService.roleFor(user, project.id);
+
+    return {
+        ...projectService.describe(project),
+        role,
+        permissions: authService.getPermissions(role)
+    };
+};
+
+class ProjectController {
+    /**
+     * List the projects the caller can access, for the dashboard's project switcher
+     */
+    async listProjects(req, res) {
+        const projects = projectService.list()
+            .filter(project => authService.roleFor(req.user, project.id))
+            .map(project => describeFor(req.user, project));
+        const defaultProject = projectService.getDefault();
+
+        res.status(200).json({
+            success: true,
+            projects,
+            defaultProjectId: projects.some(project => project.id === defaultProject.id)
+                ? defaultProject.id
+                : projects[0]?.id || null
+        });
+    }
+
+    /**
+     * Get one project
+     */
+    async getProject(req, res) {
+        res.status(200).json({
+            success: true,
+            project: describeFor(req.user, req.project)
+        });
+    }
+}
+
+module.exports = new ProjectController();
\ No newline at end of file
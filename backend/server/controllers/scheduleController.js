@@ -0,0 +1,136 @@
+// backend/server/controllers/scheduleController.js
+const schedulerService = require('../services/schedulerService');
+const archiveService = require('../services/archiveService');
+const approvalService = require('../services/approvalService');
+const logger = require('../utils/logger');
+
+/**
+ * Identify who made a request for logs
+ */
+const getInitiator = (req) => req.user?.username || `anonymous@${req.ip}`;
+
+class ScheduleController {
+    /**
+     * List schedules, optionally filtered by status
+     */
+    async listSchedules(req, res) {
+        const schedules = schedulerService.list({ status: req.query.status });
+
+        res.status(200).json({
+            success: true,
+            count: schedules.length,
+            schedules,
+            freezeWindow: schedulerService.getActiveFreezeWindow(),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Get a single schedule with its run history
+     */
+    async getSchedule(req, res) {
+        const schedule = schedulerService.get(req.params.id);
+
+        if (!schedule) {
+            return res.status(404).json({
+                success: false,
+                message: `Schedule not found: ${req.params.id}`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            schedule
+        });
+    }
+
+    /**
+     * Queue a switch, a deployment of staged files or a cache purge
+     */
+    async createSchedule(req, res) {
+        try {
+            const { action, name, runAt, cron, timezone, targetBranch, force, branch, commitMessage } = req.body;
+            let files = null;
+            let params = {};
+
+            if (action === 'switch') {
+                params = { targetBranch, force };
+            }
+
+            if (action === 'deploy') {
+                // Stage the upload now so a bad archive is rejected up front
+                files = req.file
+                    ? await archiveService.extract(req.file.buffer, req.file.originalname)
+                    : req.body.files;
+
+                if (!files || files.length === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: "A deploy schedule needs files or an archive"
+                    });
+                }
+
+                params = {
+                    branch,
+                    commitMessage: commitMessage ||
+                        (req.file ? `DeployEase: scheduled ${branch} deployment from ${req.file.originalname}` : null)
+                };
+            }
+
+            const schedule = schedulerService.create({
+                action,
+                name,
+                runAt,
+                cron,
+                timezone,
+                params,
+                files,
+                createdBy: getInitiator(req)
+            });
+
+            // The run only files a change request - approvers still decide when traffic moves
+            const needsApproval = schedule.action === 'switch' && approvalService.isRequired('switch');
+
+            res.status(201).json({
+                success: true,
+                message: `${schedule.name} scheduled for ${schedule.nextRunAt}${needsApproval ? " - it will be sent for approval when it runs" : ""}`,
+                schedule
+            });
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            logger.error('Failed to create schedule', {
+                error: error.message,
+                stack: error.stack
+            });
+            res.status(statusCode).json({
+                success: false,
+                message: "Failed to create schedule",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Cancel a schedule
+     */
+    async cancelSchedule(req, res) {
+        const schedule = schedulerService.cancel(req.params.id, getInitiator(req));
+
+        if (!schedule) {
+            return res.status(404).json({
+                success: false,
+                message: `Schedule not found: ${req.params.id}`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: schedule.status === 'cancelled'
+                ? `${schedule.name} cancelled`
+                : `${schedule.name} already ${schedule.status}`,
+            schedule
+        });
+    }
+}
+
+module.exports = new ScheduleController();
\ No newline at end of file
@@ -0,0 +1,224 @@
+// backend/server/controllers/webhookController.js
+const netlifyService = require('../services/netlifyService');
+const gitService = require('../services/gitService');
+const deploymentService = require('../services/deploymentService');
+const deploymentStore = require('../services/deploymentStore');
+const deployTracker = require('../services/deployTracker');
+const lockService = require('../services/lockService');
+const websocketService = require('../services/websocketService');
+const projectService = require('../services/projectService');
+const environmentController = require('./environmentController');
+const logger = require('../utils/logger');
+
+// Environments DeployEase manages on the Netlify site - each project names their branches
+const ENVIRONMENTS = ['blue', 'green', 'main'];
+const NETLIFY_EVENTS = ['deploy_started', 'deploy_succeeded', 'deploy_failed', 'deploy_locked', 'deploy_unlocked'];
+
+// Environments a git push may auto-deploy
+const PUSH_BRANCHES = ['blue', 'green'];
+
+/**
+ * Work out which notification a deploy payload belongs to
+ * Netlify sends the same deploy object for every event, so an explicit ?event= on the
+ * notification URL wins, otherwise the event is derived from the deploy state
+ */
+const getNetlifyEvent = (req) => {
+    if (NETLIFY_EVENTS.includes(req.query.event)) {
+        return req.query.event;
+    }
+
+    const deploy = req.body;
+    if (deploy.locked) return 'deploy_locked';
+    if (deploy.state === 'ready') return 'deploy_succeeded';
+    if (['error', 'rejected'].includes(deploy.state)) return 'deploy_failed';
+    return 'deploy_started';
+};
+
+/**
+ * Paths added or modified across every commit in a push
+ */
+const getPushedPaths = (commits = []) => Array.from(new Set(
+    commits.flatMap(commit => [...(commit.added || []), ...(commit.modified || [])])
+));
+
+class WebhookController {
+    /**
+     * Receive a Netlify deploy notification (started, succeeded, failed, locked)
+     */
+    async handleNetlifyDeploy(req, res) {
+        try {
+            const deploy = req.body;
+
+            if (!deploy || !deploy.id) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Payload is not a Netlify deploy"
+                });
+            }
+
+            const event = getNetlifyEvent(req);
+            const { netlify } = projectService.current();
+
+            // Notifications carry the site they came from - another project's site has its own URL
+            if (netlify.siteId && deploy.site_id && deploy.site_id !== netlify.siteId) {
+                return res.status(200).json({
+                    success: true,
+                    ignored: true,
+                    message: `Site ${deploy.site_id} is not the site of project ${projectService.current().id}`
+                });
+            }
+
+            const environment = projectService.environmentFor(deploy.branch);
+
+            if (!ENVIRONMENTS.includes(environment)) {
+                logger.debug(`Ignoring Netlify ${event} for unmanaged branch ${deploy.branch}`);
+                return res.status(200).json({
+                    success: true,
+                    ignored: true,
+                    message: `Branch ${deploy.branch} is not managed by DeployEase`
+                });
+            }
+
+            const formatted = netlifyService.recordDeployEvent(deploy);
+            environmentController.invalidateStatusCache();
+
+            // Advance a deployment started by DeployEase without waiting for the next poll
+            const tracked = await deployTracker.handleDeployEvent(deploy);
+
+            websocketService.broadcast({
+                type: 'environment_deploy',
+                event,
+                environment,
+                state: formatted.state,
+                deployId: formatted.id,
+                deployUrl: formatted.url,
+                commitRef: formatted.commitRef,
+                errorMessage: formatted.errorMessage,
+                timestamp: new Date().toISOString()
+            });
+
+            logger.info(`Netlify ${event} for ${environment}`, {
+                deployId: deploy.id,
+                state: deploy.state,
+                tracked
+            });
+
+            res.status(200).json({
+                success: true,
+                event,
+                environment,
+                tracked
+            });
+        } catch (error) {
+            logger.error('Failed to handle Netlify webhook', {
+                error: error.message,
+                stack: error.stack,
+                deployId: req.body?.id
+            });
+            res.status(500).json({
+                success: false,
+                message: "Failed to handle Netlify webhook",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Receive a GitHub push and record it as a blue/green deployment
+     */
+    async handleGithubPush(req, res) {
+        try {
+            const event = req.get('X-GitHub-Event');
+
+            if (event === 'ping') {
+                return res.status(200).json({ success: true, message: "pong" });
+            }
+
+            if (event !== 'push') {
+                return res.status(200).json({
+                    success: true,
+                    ignored: true,
+                    message: `Event ${event} is not handled`
+                });
+            }
+
+            // Form-encoded deliveries wrap the JSON in a "payload" field
+            const push = typeof req.body.payload === 'string' ? JSON.parse(req.body.payload) : req.body;
+
+            const { owner, repo } = gitService.parseRepositoryUrl();
+            if ((push.repository?.full_name || '').toLowerCase() !== `${owner}/${repo}`.toLowerCase()) {
+                return res.status(200).json({
+                    success: true,
+                    ignored: true,
+                    message: `Repository ${push.repository?.full_name} is not ${owner}/${repo}`
+                });
+            }
+
+            const branch = projectService.environmentFor((push.ref || '').replace(/^refs\/heads\//, ''));
+            if (!PUSH_BRANCHES.includes(branch) || push.deleted) {
+                return res.status(200).json({
+                    success: true,
+                    ignored: true,
+                    message: `Push to ${push.ref} does not deploy an environment`
+                });
+            }
+
+            // Commits made by DeployEase itself are already recorded
+            const existing = deploymentStore.findByCommit(push.after, branch);
+            if (existing) {
+                return res.status(200).json({
+                    success: true,
+                    ignored: true,
+                    message: `Commit ${push.after.slice(0, 7)} is already recorded`,
+                    deploymentId: existing.id
+                });
+            }
+
+            // Nobody deploys to a locked environment - the commit is recorded but not built
+            const lock = lockService.getLock(branch);
+
+            const { record, netlifyResult } = await deploymentService.recordPush({
+                branch,
+                commitSha: push.after,
+                commitUrl: push.head_commit?.url || push.compare || null,
+                commitMessage: push.head_commit?.message || `Push to ${branch}`,
+                initiator: push.pusher?.email || push.pusher?.name || push.sender?.login || 'github',
+                paths: getPushedPaths(push.commits),
+                skipReason: lock ? lockService.describe(lock) : null
+            });
+
+            websocketService.broadcastDeploymentUpdate(deploymentStore.toHistoryEntry(record));
+
+            if (lock) {
+                return res.status(202).json({
+                    success: true,
+                    skipped: true,
+                    message: `Push to ${branch} recorded but not deployed - ${lockService.describe(lock)}`,
+                    deploymentId: record.id,
+                    lock,
+                    deployTriggered: false
+                });
+            }
+
+            res.status(202).json({
+                success: true,
+                message: `Push to ${branch} recorded`,
+                deploymentId: record.id,
+                deployTriggered: Boolean(netlifyResult)
+            });
+        } catch (error) {
+            logger.error('Failed to handle GitHub webhook', {
+                error: error.message,
+                stack: error.stack,
+                delivery: req.get('X-GitHub-Delivery')
+            });
+            res.status(error instanceof SyntaxError ? 400 : 500).json({
+                success: false,
+                message: "Failed to handle GitHub webhook",
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = new WebhookController();
\ No newline at end of file
@@ -0,0 +1,43 @@
+// backend/server/middlewares/archiveUpload.js
+const multer = require('multer');
+const archiveService = require('../services/archiveService');
+const { resumeProject } = require('./project');
+const logger = require('../utils/logger');
+
+// Archives are kept in memory only long enough to be extracted
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: archiveService.maxArchiveSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!archiveService.getArchiveType(file.originalname)) {
+      const error = new Error('Only .zip and .tar.gz archives are supported');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Accept an optional .zip/.tar.gz archive in the "file" field of a multipart request
+ * Rejections are answered here (413 for oversized archives, 400 otherwise)
+ */
+const uploadArchive = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return resumeProject(req, next);
+
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    logger.warn(`Archive upload rejected: ${error.message}`);
+    res.status(tooLarge ? 413 : error.statusCode || 400).json({
+      success: false,
+      error: tooLarge
+        ? `Archive exceeds maximum size of ${archiveService.maxArchiveSize / (1024 * 1024)}MB`
+        : error.message
+    });
+  });
+};
+
+module.exports = { uploadArchive };
\ No newline at end of file
@@ -0,0 +1,78 @@
+// backend/server/middlewares/audit.js
+const crypto = require('crypto');
+const auditService = require('../services/auditService');
+
+const CORRELATION_HEADER = 'X-Correlation-Id';
+const CORRELATION_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Give every request a correlation ID - the caller's X-Correlation-Id (or X-Request-Id) if it
+ * looks sane, a new one otherwise - and echo it back so clients can quote it
+ */
+const correlationId = (req, res, next) => {
+  const supplied = req.get(CORRELATION_HEADER) || req.get('X-Request-Id');
+  req.correlationId = supplied && CORRELATION_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+
+  res.set(CORRELATION_HEADER, req.correlationId);
+  next();
+};
+
+/**
+ * Where most routes name the environment they change
+ */
+const defaultTarget = (req) => req.params.branch
+  || req.body?.targetBranch
+  || req.body?.branch
+  || req.body?.target
+  || req.params.id
+  || null;
+
+/**
+ * Record a mutating request in the audit log once the response is sent
+ * Mount it before authorize() so refused attempts are recorded too
+ * @param {string} action - e.g. traffic.switch
+ * @param {Object} [options]
+ * @param {Function|string} [options.target] - Target, or a function of the request
+ * @param {Function|string} [options.actor] - Actor when the request isn't authenticated (webhooks)
+ */
+const audit = (action, { target = defaultTarget, actor = null } = {}) => (req, res, next) => {
+  // Keep what the handler sends so the entry can say why a request failed
+  let responseBody = null;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const message = responseBody && (responseBody.message || responseBody.error);
+    const params = { ...req.params, ...(req.body || {}) };
+    if (req.file) {
+      params.upload = { name: req.file.originalname, size: req.file.size };
+    }
+
+    auditService.record({
+      actor: req.user?.username || (typeof actor === 'function' ? actor(req) : actor),
+      via: req.user?.via || null,
+      project: req.project?.id || null,
+      action,
+      target: typeof target === 'function' ? target(req) : target,
+      params,
+      result: {
+        outcome: res.statusCode < 400 ? 'success' : 'failure',
+        statusCode: res.statusCode,
+        message: typeof message === 'string' ? message : null
+      },
+      ip: req.ip || req.socket?.remoteAddress || null,
+      correlationId: req.correlationId || null
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  CORRELATION_HEADER,
+  correlationId,
+  audit
+};
\ No newline at end of file
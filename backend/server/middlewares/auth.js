@@ -0,0 +1,63 @@
+// backend/server/middlewares/auth.js
+const authService = require('../services/authService');
+const logger = require('../utils/logger');
+
+/**
+ * Require a valid session or API token (Authorization: Bearer <token>) and set req.user
+ */
+const authenticate = (req, res, next) => {
+  const user = authService.authenticate(authService.getRequestToken(req));
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
+/**
+ * Refuse requests whose role lacks a permission (see config/permissions.js)
+ * Inside /api/projects/:projectId the caller's role in that project counts
+ * @param {string} permission
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  const projectId = req.project?.id;
+  const role = authService.roleFor(req.user, projectId);
+
+  if (!role) {
+    logger.warn(`Refused ${req.method} ${req.originalUrl} for ${req.user.username}: no access to project ${projectId}`);
+    return res.status(403).json({
+      success: false,
+      message: `You have no access to project ${projectId}`,
+      permission
+    });
+  }
+
+  if (!authService.hasPermission(role, permission)) {
+    logger.warn(`Refused ${req.method} ${req.originalUrl} for ${req.user.username}: ${role} lacks ${permission}`);
+    return res.status(403).json({
+      success: false,
+      message: `The ${role} role can't do this - it needs the ${permission} permission`,
+      permission
+    });
+  }
+
+  next();
+};
+
+/**
+ * Authenticate and check a permission in one step, e.g. router.post('/', authorize('traffic:switch'), handler)
+ * @param {string} permission
+ * @returns {Array<Function>}
+ */
+const authorize = (permission) => [authenticate, requirePermission(permission)];
+
+module.exports = {
+  authenticate,
+  requirePermission,
+  authorize
+};
\ No newline at end of file
@@ -1,10 +1,18 @@
 // backend/server/middlewares/ghAuth.js
 const { Octokit } = require('@octokit/rest');
+const axios = require('axios');
 const crypto = require('crypto');
+const { GITHUB_ROLES, ROLE_ORDER } = require('../config/permissions');
+const projectService = require('../services/projectService');
 const logger = require('../utils/logger');
 
 // Configuration constants
-const REPOSITORY_URL = 'https://github.com/Aswanthrajan/blue';
+// OAuth app used for dashboard sign-in - leave unset to allow only local users
+const OAUTH_CLIENT_ID = process.env.GITHUB_OAUTH_CLIENT_ID;
+const OAUTH_CLIENT_SECRET = process.env.GITHUB_OAUTH_CLIENT_SECRET;
+const OAUTH_CALLBACK_URL = process.env.GITHUB_OAUTH_CALLBACK_URL || `http://localhost:${process.env.PORT || 3000}/api/auth/github/callback`;
+const OAUTH_SCOPES = 'read:user user:email'; // Identity only - repository access is checked with the server token
+const OAUTH_STATE_TTL = 10 * 60 * 1000; // 10 minutes to finish signing in on GitHub
 
 class GitHubAuth {
   constructor() {
@@ -17,6 +25,8 @@ class GitHubAuth {
         timeout: 10000
       }
     });
+
+    this.pendingStates = new Map(); // OAuth state -> expiry
   }
 
   /**
@@ -28,28 +38,110 @@ class GitHubAuth {
   }
 
   /**
-   * Verify repository access permissions
-   * @returns {Promise<{hasWriteAccess: boolean}>}
+   * Verify what the server token (GITHUB_TOKEN) may do on the current project's repository
+   * @returns {Promise<{hasWriteAccess: boolean, permissions: {permission: string}}>}
    */
   async verifyRepositoryAccess() {
     try {
       const { owner, repo } = this.parseRepositoryUrl();
-      
-      // For PAT, we'll check if we can access the repo
-      await this.octokit.repos.get({
+
+      const { data } = await this.octokit.repos.get({
         owner,
         repo
       });
 
+      // Only present when the token can see its own permissions, i.e. on repositories it has access to
+      const permission = this.describePermissions(data.permissions);
+
       return {
-        hasWriteAccess: true, // PAT with repo access is assumed to have write
-        permissions: { permission: 'write' }
+        hasWriteAccess: ['admin', 'maintain', 'write'].includes(permission),
+        permissions: { permission }
       };
     } catch (error) {
       this.handleError('Repository access verification failed', error);
     }
   }
 
+  /**
+   * Whether GitHub sign-in is configured
+   * @returns {boolean}
+   */
+  isOAuthEnabled() {
+    return Boolean(OAUTH_CLIENT_ID && OAUTH_CLIENT_SECRET);
+  }
+
+  /**
+   * GitHub page that asks the user to authorize DeployEase
+   * The caller keeps the state in the browser (a cookie) - completeOAuth only accepts it back from there
+   * @returns {{url: string, state: string, expiresIn: number}} - expiresIn in milliseconds
+   * @throws {Error} - statusCode 501 when no OAuth app is configured
+   */
+  getAuthorizeUrl() {
+    this.requireOAuth();
+    this.expireStates();
+
+    // Single use and short-lived - matching it to the browser's copy stops login CSRF, where someone sends
+    // a victim the callback URL of a sign-in they started themselves
+    const state = crypto.randomBytes(16).toString('hex');
+    this.pendingStates.set(state, Date.now() + OAUTH_STATE_TTL);
+
+    const url = new URL('https://github.com/login/oauth/authorize');
+    url.searchParams.set('client_id', OAUTH_CLIENT_ID);
+    url.searchParams.set('redirect_uri', OAUTH_CALLBACK_URL);
+    url.searchParams.set('scope', OAUTH_SCOPES);
+    url.searchParams.set('state', state);
+    url.searchParams.set('allow_signup', 'false');
+    return { url: url.toString(), state, expiresIn: OAUTH_STATE_TTL };
+  }
+
+  /**
+   * Finish a GitHub sign-in - exchange the code, identify the user and check their access to every project's repository
+   * @param {string} code - Code GitHub passed to the callback
+   * @param {string} state - State GitHub passed to the callback
+   * @param {string} browserState - State the browser kept since getAuthorizeUrl
+   * @returns {Promise<{profile: {id: number, login: string, name: string|null, email: string|null}, projectRoles: Object<string, string>, role: string}>}
+   * @throws {Error} - statusCode 400 for an unknown or expired state or one started in another browser, 403 when the user has no access to any project's repository
+   */
+  async completeOAuth(code, state, browserState) {
+    this.requireOAuth();
+    this.expireStates();
+
+    if (!state || state !== browserState || !this.pendingStates.delete(state)) {
+      const error = new Error('GitHub sign-in expired or was not started from this browser - try again');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const accessToken = await this.exchangeCode(code);
+    const profile = await this.getProfile(accessToken);
+
+    // One role per project, following the user's permission on that project's repository
+    const projectRoles = {};
+    for (const project of projectService.list()) {
+      const permission = await projectService.run(project, () => this.getUserPermission(profile.login));
+      if (GITHUB_ROLES[permission]) {
+        projectRoles[project.id] = GITHUB_ROLES[permission];
+        logger.info(`GitHub user ${profile.login} has ${permission} access to ${project.repositoryUrl}`);
+      }
+    }
+
+    const roles = Object.values(projectRoles);
+    if (roles.length === 0) {
+      logger.warn(`GitHub user ${profile.login} has no access to any project repository`);
+      const error = new Error(`${profile.login} has no access to the repository of any DeployEase project`);
+      error.statusCode = 403;
+      error.login = profile.login;
+      throw error;
+    }
+
+    // Account-wide role - the highest one, used outside projects
+    const role = roles.reduce((highest, projectRole) => (
+      ROLE_ORDER.indexOf(projectRole) > ROLE_ORDER.indexOf(highest) ? projectRole : highest
+    ));
+
+    return { profile, projectRoles, role };
+  }
+
   /**
    * Create a repository dispatch event
    * @param {string} eventType - Custom event type
@@ -74,20 +166,113 @@ class GitHubAuth {
 
   // ==================== PRIVATE METHODS ====================
 
-  /** Parse repository URL into owner and repo */
-  parseRepositoryUrl() {
-    const match = REPOSITORY_URL.match(/github\.com\/([^/]+)\/([^/]+)/);
-    if (!match || !match[1] || !match[2]) {
-      throw new Error(`Invalid repository URL: ${REPOSITORY_URL}`);
+  /** Trade an OAuth code for the user's access token */
+  async exchangeCode(code) {
+    try {
+      const { data } = await axios.post('https://github.com/login/oauth/access_token', {
+        client_id: OAUTH_CLIENT_ID,
+        client_secret: OAUTH_CLIENT_SECRET,
+        code,
+        redirect_uri: OAUTH_CALLBACK_URL
+      }, {
+        headers: { Accept: 'application/json' },
+        timeout: 10000
+      });
+
+      // GitHub answers 200 with an error body for bad or reused codes
+      if (!data.access_token) {
+        const error = new Error(data.error_description || data.error || 'No access token returned');
+        error.status = 400;
+        throw error;
+      }
+
+      return data.access_token;
+    } catch (error) {
+      this.handleError('GitHub sign-in failed', error);
     }
-    return { owner: match[1], repo: match[2].replace(/\.git$/, '') };
+  }
+
+  /** Who the access token belongs to - the token is only used here and never stored */
+  async getProfile(accessToken) {
+    try {
+      const client = new Octokit({
+        auth: accessToken,
+        userAgent: 'DeployEase v2.0',
+        request: { timeout: 10000 }
+      });
+
+      const { data } = await client.users.getAuthenticated();
+      return {
+        id: data.id,
+        login: data.login,
+        name: data.name || null,
+        email: data.email || null
+      };
+    } catch (error) {
+      this.handleError('Failed to read the GitHub profile', error);
+    }
+  }
+
+  /** A user's role on the repository (admin, maintain, write, triage, read), or 'none' */
+  async getUserPermission(username) {
+    try {
+      const { owner, repo } = this.parseRepositoryUrl();
+      const { data } = await this.octokit.repos.getCollaboratorPermissionLevel({
+        owner,
+        repo,
+        username
+      });
+
+      // role_name tells maintain and triage apart from write and read
+      return data.role_name || data.permission || 'none';
+    } catch (error) {
+      if (error.status === 404) {
+        return 'none';
+      }
+      this.handleError(`Failed to check ${username}'s access to the repository`, error);
+    }
+  }
+
+  /** Highest permission in a repository's permissions object */
+  describePermissions(permissions = {}) {
+    if (permissions.admin) return 'admin';
+    if (permissions.maintain) return 'maintain';
+    if (permissions.push) return 'write';
+    if (permissions.triage) return 'triage';
+    if (permissions.pull) return 'read';
+    return 'none';
+  }
+
+  /** Refuse OAuth calls when no OAuth app is configured */
+  requireOAuth() {
+    if (!this.isOAuthEnabled()) {
+      const error = new Error('GitHub sign-in is not configured - set GITHUB_OAUTH_CLIENT_ID and GITHUB_OAUTH_CLIENT_SECRET');
+      error.statusCode = 501;
+      throw error;
+    }
+  }
+
+  /** Forget sign-ins that were never finished */
+  expireStates() {
+    const now = Date.now();
+    this.pendingStates.forEach((expiresAt, state) => {
+      if (expiresAt <= now) {
+        this.pendingStates.delete(state);
+      }
+    });
+  }
+
+  /** Owner and repo of the current project's repository */
+  parseRepositoryUrl() {
+    const { owner, repo } = projectService.current();
+    return { owner, repo };
   }
 
   /** Standardized error handling */
   handleError(context, error) {
     const errorId = crypto.randomBytes(8).toString('hex');
     logger.error(`${context} [${errorId}]: ${error.message}`, {
-      repository: REPOSITORY_URL,
+      repository: projectService.peek()?.repositoryUrl || null,
       stack: error.stack,
       timestamp: new Date().toISOString()
     });
@@ -0,0 +1,35 @@
+// backend/server/middlewares/project.js
+const projectService = require('../services/projectService');
+
+/**
+ * Pick the project named by :projectId (the default project on paths without one), set req.project
+ * and run the rest of the request in its context
+ */
+const selectProject = (req, res, next) => {
+  const { projectId } = req.params;
+  const project = projectId ? projectService.get(projectId) : projectService.getDefault();
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: `Project not found: ${projectId}`,
+      projects: projectService.list().map(({ id }) => id)
+    });
+  }
+
+  req.project = project;
+  projectService.run(project, next);
+};
+
+/**
+ * Continue in the request's project - for callbacks fired from the request stream (multer),
+ * which run outside the context selectProject started
+ * @param {Object} req
+ * @param {Function} next
+ */
+const resumeProject = (req, next) => (req.project ? projectService.run(req.project, next) : next());
+
+module.exports = {
+  selectProject,
+  resumeProject
+};
\ No newline at end of file
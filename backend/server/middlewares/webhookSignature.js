@@ -0,0 +1,125 @@
+// backend/server/middlewares/webhookSignature.js
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const NETLIFY_SIGNATURE_HEADER = 'X-Webhook-Signature';
+const GITHUB_SIGNATURE_HEADER = 'X-Hub-Signature-256';
+
+/**
+ * Decode a base64url JWS segment
+ */
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Constant-time string comparison
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Check a Netlify JWS signature (HS256) against the raw request body
+ * @param {string} token - Value of the X-Webhook-Signature header
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {string} secret - Shared JWS secret configured on the Netlify notification
+ * @returns {string|null} - Reason the signature is invalid, or null if it is valid
+ */
+const checkNetlifySignature = (token, rawBody, secret) => {
+  const segments = (token || '').split('.');
+  if (segments.length !== 3) {
+    return 'Malformed signature';
+  }
+
+  const [header, payload, signature] = segments;
+
+  let decodedHeader;
+  let decodedPayload;
+  try {
+    decodedHeader = decodeSegment(header);
+    decodedPayload = decodeSegment(payload);
+  } catch (error) {
+    return 'Malformed signature';
+  }
+
+  if (decodedHeader.alg !== 'HS256') {
+    return `Unsupported signature algorithm: ${decodedHeader.alg}`;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  if (!safeEqual(signature, expected)) {
+    return 'Signature mismatch';
+  }
+
+  if (decodedPayload.iss !== 'netlify') {
+    return 'Unexpected signature issuer';
+  }
+
+  const bodyHash = crypto.createHash('sha256').update(rawBody || '').digest('hex');
+  if (!decodedPayload.sha256 || !safeEqual(decodedPayload.sha256, bodyHash)) {
+    return 'Body hash mismatch';
+  }
+
+  return null;
+};
+
+/**
+ * Reject Netlify deploy notifications that aren't signed with NETLIFY_WEBHOOK_SECRET
+ * Needs req.rawBody, captured by the express.json verify hook in app.js
+ */
+const verifyNetlifySignature = (req, res, next) => {
+  const secret = process.env.NETLIFY_WEBHOOK_SECRET;
+  if (!secret) {
+    logger.error('Rejected Netlify webhook: NETLIFY_WEBHOOK_SECRET is not configured');
+    return res.status(503).json({
+      success: false,
+      message: 'Netlify webhooks are not configured'
+    });
+  }
+
+  const reason = checkNetlifySignature(req.get(NETLIFY_SIGNATURE_HEADER), req.rawBody, secret);
+  if (reason) {
+    logger.warn(`Rejected Netlify webhook from ${req.ip}: ${reason}`);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook signature',
+      error: reason
+    });
+  }
+
+  next();
+};
+
+/**
+ * Reject GitHub webhook deliveries that aren't signed with GITHUB_WEBHOOK_SECRET
+ * Needs req.rawBody, captured by the express.json verify hook in app.js
+ */
+const verifyGithubSignature = (req, res, next) => {
+  const secret = process.env.GITHUB_WEBHOOK_SECRET;
+  if (!secret) {
+    logger.error('Rejected GitHub webhook: GITHUB_WEBHOOK_SECRET is not configured');
+    return res.status(503).json({
+      success: false,
+      message: 'GitHub webhooks are not configured'
+    });
+  }
+
+  const signature = req.get(GITHUB_SIGNATURE_HEADER) || '';
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex')}`;
+
+  if (!safeEqual(signature, expected)) {
+    logger.warn(`Rejected GitHub webhook from ${req.ip}: signature mismatch`, {
+      delivery: req.get('X-GitHub-Delivery')
+    });
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook signature',
+      error: signature ? 'Signature mismatch' : `Missing ${GITHUB_SIGNATURE_HEADER} header`
+    });
+  }
+
+  next();
+};
+
+module.exports = { verifyNetlifySignature, verifyGithubSignature };
\ No newline at end of file
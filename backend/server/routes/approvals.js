@@ -0,0 +1,24 @@
+// backend/server/routes/approvals.js
+const express = require("express");
+const router = express.Router();
+const approvalController = require("../controllers/approvalController");
+const { authorize } = require("../middlewares/auth");
+const { audit } = require("../middlewares/audit");
+const { validateDecision, validateComment } = require("../validators/approvalValidators");
+
+// List change requests (?status=pending|executed|failed|rejected|cancelled|expired)
+router.get("/", authorize("approvals:read"), approvalController.listApprovals);
+
+// Get one change request with its approvals and comments
+router.get("/:id", authorize("approvals:read"), approvalController.getApproval);
+
+// Approve - runs the change once enough approvers agree; requesters can't approve their own
+router.post("/:id/approve", audit("approval.approve"), authorize("approvals:decide"), validateDecision, approvalController.approve);
+
+// Reject someone else's request, or cancel your own
+router.post("/:id/reject", audit("approval.reject"), authorize("approvals:decide"), validateDecision, approvalController.reject);
+
+// Discuss a request
+router.post("/:id/comments", audit("approval.comment"), authorize("approvals:read"), validateComment, approvalController.addComment);
+
+module.exports = router;
\ No newline at end of file
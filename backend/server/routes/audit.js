@@ -0,0 +1,14 @@
+// backend/server/routes/audit.js
+const express = require("express");
+const router = express.Router();
+const auditController = require("../controllers/auditController");
+const { authorize } = require("../middlewares/auth");
+const { validateAuditQuery } = require("../validators/auditValidators");
+
+// Who did what - filter by actor, action, target, outcome, correlation ID and time; ?format=csv to export
+router.get("/", authorize("audit:read"), validateAuditQuery, auditController.listAuditLog);
+
+// Re-check the hash chain
+router.get("/verify", authorize("audit:read"), auditController.verifyAuditLog);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,30 @@
+// backend/server/routes/auth.js
+const express = require("express");
+const router = express.Router();
+const authController = require("../controllers/authController");
+const { authenticate, authorize } = require("../middlewares/auth");
+const { audit } = require("../middlewares/audit");
+const {
+    validateLoginRequest,
+    validateUserRequest,
+    validateTokenRequest
+} = require("../validators/authValidators");
+
+// Dashboard sessions
+router.get("/providers", authController.getProviders);
+router.post("/login", audit("auth.login", { target: (req) => req.body.username || null }), validateLoginRequest, authController.login);
+router.get("/github", authController.githubLogin);
+router.get("/github/callback", audit("auth.github-login", { target: null }), authController.githubCallback);
+router.post("/logout", audit("auth.logout", { target: null }), authenticate, authController.logout);
+router.get("/me", authenticate, authController.getCurrentUser);
+
+// API tokens for scripts and CI - each user manages their own
+router.get("/tokens", authenticate, authController.listTokens);
+router.post("/tokens", audit("token.create", { target: (req) => req.body.name || null }), authenticate, validateTokenRequest, authController.createToken);
+router.delete("/tokens/:id", audit("token.revoke"), authenticate, authController.revokeToken);
+
+// Users
+router.get("/users", authorize("users:manage"), authController.listUsers);
+router.post("/users", audit("user.create", { target: (req) => req.body.username || null }), authorize("users:manage"), validateUserRequest, authController.createUser);
+
+module.exports = router;
\ No newline at end of file
@@ -2,8 +2,78 @@
 const express = require("express");
 const router = express.Router();
 const deploymentController = require("../controllers/deploymentController");
+const { uploadArchive } = require("../middlewares/archiveUpload");
+const { authorize } = require("../middlewares/auth");
+const { audit } = require("../middlewares/audit");
+const { validateDeploymentQuery } = require("../validators/deploymentValidators");
 const logger = require("../utils/logger");
 
+/**
+ * Reject deployment payloads without a valid branch and file list
+ */
+const validateDeploymentBody = (req, res, next) => {
+    const { deletions = [] } = req.body;
+
+    if (!req.body.branch || !req.body.files) {
+        logger.warn("Invalid deployment request - missing branch or files");
+        return res.status(400).json({ 
+            success: false,
+            error: "Branch and files are required" 
+        });
+    }
+
+    if (!['blue', 'green'].includes(req.body.branch)) {
+        logger.warn(`Invalid branch specified: ${req.body.branch}`);
+        return res.status(400).json({
+            success: false,
+            error: "Invalid branch specified. Must be 'blue' or 'green'"
+        });
+    }
+
+    if (!Array.isArray(deletions) || deletions.some(filePath => typeof filePath !== 'string' || !filePath)) {
+        logger.warn("Invalid deletions array received");
+        return res.status(400).json({
+            success: false,
+            error: "Deletions must be an array of file paths"
+        });
+    }
+
+    // A deployment may only delete files, but it has to change something
+    if (!Array.isArray(req.body.files) || (req.body.files.length === 0 && deletions.length === 0)) {
+        logger.warn("Invalid files array received");
+        return res.status(400).json({
+            success: false,
+            error: "Files must be a non-empty array"
+        });
+    }
+
+    if (req.body.mode && !['merge', 'sync'].includes(req.body.mode)) {
+        logger.warn(`Invalid deploy mode: ${req.body.mode}`);
+        return res.status(400).json({
+            success: false,
+            error: "Mode must be either 'merge' or 'sync'"
+        });
+    }
+
+    if (req.body.mode === 'sync' && req.body.files.length === 0) {
+        logger.warn("Sync deployment without files");
+        return res.status(400).json({
+            success: false,
+            error: "A sync deployment needs the complete file set"
+        });
+    }
+
+    if (req.body.expectedParentSha && !/^[0-9a-f]{40}$/i.test(req.body.expectedParentSha)) {
+        logger.warn(`Invalid expected parent SHA: ${req.body.expectedParentSha}`);
+        return res.status(400).json({
+            success: false,
+            error: "expectedParentSha must be a full 40 character commit SHA"
+        });
+    }
+
+    next();
+};
+
 /**
  * @swagger
  * /api/deployments:
@@ -28,50 +98,42 @@ const logger = require("../utils/logger");
  *                       type: string
  *                     content:
  *                       type: string
+ *                     encoding:
+ *                       type: string
+ *                       enum: [utf-8, base64]
+ *                       description: base64 for binary assets (images, fonts, wasm)
  *               commitMessage:
  *                 type: string
+ *               expectedParentSha:
+ *                 type: string
+ *                 description: Branch head the caller last saw - refused with 409 if the branch has moved
+ *               mode:
+ *                 type: string
+ *                 enum: [merge, sync]
+ *                 default: merge
+ *                 description: sync makes the uploaded files the complete site - anything else is deleted except _redirects, _headers and netlify.toml
+ *               deletions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Paths to delete in the same commit (files may then be empty)
  *     responses:
  *       200:
  *         description: Deployment started successfully
  *       400:
  *         description: Invalid input
+ *       409:
+ *         description: Another operation is running on the branch, or the branch moved
  *       500:
  *         description: Deployment failed
  */
-router.post("/", async (req, res) => {
+router.post("/", audit("deployment.create"), authorize("deployments:create"), validateDeploymentBody, async (req, res) => {
     try {
         logger.info("New deployment request received", { 
             branch: req.body.branch,
-            fileCount: req.body.files?.length || 0
+            fileCount: req.body.files.length
         });
 
-        // Validate input
-        if (!req.body.branch || !req.body.files) {
-            logger.warn("Invalid deployment request - missing branch or files");
-            return res.status(400).json({ 
-                success: false,
-                error: "Branch and files are required" 
-            });
-        }
-
-        // Validate branch
-        if (!['blue', 'green'].includes(req.body.branch)) {
-            logger.warn(`Invalid branch specified: ${req.body.branch}`);
-            return res.status(400).json({
-                success: false,
-                error: "Invalid branch specified. Must be 'blue' or 'green'"
-            });
-        }
-
-        // Validate files
-        if (!Array.isArray(req.body.files) || req.body.files.length === 0) {
-            logger.warn("Invalid files array received");
-            return res.status(400).json({
-                success: false,
-                error: "Files must be a non-empty array"
-            });
-        }
-
         await deploymentController.createDeployment(req, res);
     } catch (error) {
         logger.error("Deployment route error", {
@@ -85,6 +147,132 @@ router.post("/", async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/deployments/preview:
+ *   post:
+ *     summary: Show what a deployment would change without committing it
+ *     description: Takes the same payload as POST /api/deployments and compares the files with the branch's current tree
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               branch:
+ *                 type: string
+ *                 enum: [blue, green]
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               mode:
+ *                 type: string
+ *                 enum: [merge, sync]
+ *               deletions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Added, modified, unchanged and removed files with unified diffs for text files
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 preview:
+ *                   $ref: '#/components/schemas/DeploymentPreview'
+ *       400:
+ *         description: Invalid input
+ *       500:
+ *         description: Preview failed
+ */
+router.post("/preview", authorize("deployments:create"), validateDeploymentBody, async (req, res) => {
+    try {
+        logger.debug("Deployment preview requested", {
+            branch: req.body.branch,
+            fileCount: req.body.files.length
+        });
+
+        await deploymentController.previewDeployment(req, res);
+    } catch (error) {
+        logger.error("Deployment preview route error", {
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/deployments/upload:
+ *   post:
+ *     summary: Deploy a whole site from a .zip or .tar.gz archive
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               branch:
+ *                 type: string
+ *                 enum: [blue, green]
+ *               environment:
+ *                 type: string
+ *                 enum: [blue, green]
+ *                 description: Alias of branch, sent by older dashboards
+ *               commitMessage:
+ *                 type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [merge, sync]
+ *                 default: merge
+ *                 description: sync deletes every file missing from the archive except _redirects, _headers and netlify.toml
+ *     responses:
+ *       200:
+ *         description: Deployment started successfully
+ *       400:
+ *         description: Invalid archive or branch
+ *       409:
+ *         description: Another operation is running on the branch
+ *       413:
+ *         description: Archive too large
+ *       500:
+ *         description: Deployment failed
+ */
+router.post("/upload", audit("deployment.upload"), authorize("deployments:create"), uploadArchive, async (req, res) => {
+    try {
+        logger.info("New archive deployment request received", {
+            branch: req.body.branch || req.body.environment,
+            archive: req.file?.originalname,
+            size: req.file?.size || 0
+        });
+
+        await deploymentController.deployArchive(req, res);
+    } catch (error) {
+        logger.error("Archive deployment route error", {
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/deployments/history/all:
@@ -115,7 +303,7 @@ router.post("/", async (req, res) => {
  *       500:
  *         description: Failed to get history
  */
-router.get("/history/all", async (req, res) => {
+router.get("/history/all", authorize("deployments:read"), async (req, res) => {
     try {
         logger.debug("Fetching all deployment history");
         await deploymentController.getAllDeploymentHistory(req, res);
@@ -168,7 +356,7 @@ router.get("/history/all", async (req, res) => {
  *       500:
  *         description: Failed to get history
  */
-router.get("/history/:branch", async (req, res) => {
+router.get("/history/:branch", authorize("deployments:read"), async (req, res) => {
     try {
         const { branch } = req.params;
         logger.debug(`Fetching deployment history for branch: ${branch}`);
@@ -216,10 +404,12 @@ router.get("/history/:branch", async (req, res) => {
  *         description: Rollback successful
  *       400:
  *         description: Invalid branch specified
+ *       409:
+ *         description: Another operation is running on the branch
  *       500:
  *         description: Rollback failed
  */
-router.post("/rollback/:branch/:commitSha", async (req, res) => {
+router.post("/rollback/:branch/:commitSha", audit("deployment.rollback"), authorize("deployments:rollback"), async (req, res) => {
     try {
         const { branch, commitSha } = req.params;
         logger.info(`Rollback request received for ${branch} to commit ${commitSha}`);
@@ -254,6 +444,110 @@ router.post("/rollback/:branch/:commitSha", async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/deployments:
+ *   get:
+ *     summary: Query recorded deployments, newest first
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           enum: [blue, green, main]
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [pending, committed, enqueued, building, processing, ready, error, failed]
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 deployments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeploymentRecord'
+ *       400:
+ *         description: Invalid filters
+ */
+router.get("/", authorize("deployments:read"), validateDeploymentQuery, async (req, res) => {
+    try {
+        logger.debug("Querying deployment records", { query: req.query });
+        await deploymentController.listDeployments(req, res);
+    } catch (error) {
+        logger.error('Failed to query deployments', {
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/deployments/{id}:
+ *   get:
+ *     summary: Get a recorded deployment
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 deployment:
+ *                   $ref: '#/components/schemas/DeploymentRecord'
+ *       404:
+ *         description: Deployment not found
+ */
+router.get("/:id", authorize("deployments:read"), async (req, res) => {
+    try {
+        logger.debug(`Fetching deployment record: ${req.params.id}`);
+        await deploymentController.getDeployment(req, res);
+    } catch (error) {
+        logger.error(`Failed to get deployment ${req.params.id}`, {
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * @swagger
  * components:
@@ -278,6 +572,114 @@ router.post("/rollback/:branch/:commitSha", async (req, res) => {
  *           type: string
  *         committer:
  *           type: string
+ *     DeploymentRecord:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [deployment, rollback]
+ *         branch:
+ *           type: string
+ *         state:
+ *           type: string
+ *         initiator:
+ *           type: string
+ *         commitMessage:
+ *           type: string
+ *         commitSha:
+ *           type: string
+ *         commitUrl:
+ *           type: string
+ *         netlifyDeployId:
+ *           type: string
+ *         deployUrl:
+ *           type: string
+ *         files:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *               size:
+ *                 type: integer
+ *               encoding:
+ *                 type: string
+ *         error:
+ *           type: string
+ *         transitions:
+ *           type: array
+ *           description: Every state the deployment went through
+ *           items:
+ *             type: object
+ *             properties:
+ *               state:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *         createdAt:
+ *           type: string
+ *         updatedAt:
+ *           type: string
+ *         finishedAt:
+ *           type: string
+ *     DeploymentPreviewFile:
+ *       type: object
+ *       properties:
+ *         path:
+ *           type: string
+ *         size:
+ *           type: integer
+ *         previousSize:
+ *           type: integer
+ *         binary:
+ *           type: boolean
+ *         diff:
+ *           type: string
+ *           description: Unified diff, null for binary or very large files
+ *     DeploymentPreview:
+ *       type: object
+ *       properties:
+ *         branch:
+ *           type: string
+ *         baseSha:
+ *           type: string
+ *           description: Branch head compared against - send as expectedParentSha to deploy exactly this change
+ *         added:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DeploymentPreviewFile'
+ *         modified:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DeploymentPreviewFile'
+ *         unchanged:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DeploymentPreviewFile'
+ *         removed:
+ *           type: array
+ *           description: Files the deployment would delete (sync mode or deletions)
+ *           items:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *               size:
+ *                 type: integer
+ *         summary:
+ *           type: object
+ *           properties:
+ *             added:
+ *               type: integer
+ *             modified:
+ *               type: integer
+ *             unchanged:
+ *               type: integer
+ *             removed:
+ *               type: integer
  */
 
 module.exports = router;
\ No newline at end of file
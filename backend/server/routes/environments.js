@@ -2,19 +2,52 @@
 const express = require("express");
 const router = express.Router();
 const environmentController = require("../controllers/environmentController");
-const { validateSwitchRequest } = require("../validators/environmentValidators.js");
+const { authorize } = require("../middlewares/auth");
+const { audit } = require("../middlewares/audit");
+const {
+    validateSwitchRequest,
+    validateRollbackRequest,
+    validateCanaryRequest,
+    validatePreviewRequest,
+    validateMaintenanceRequest,
+    validateLockRequest,
+    validatePromoteRequest
+} = require("../validators/environmentValidators.js");
 
 // Get current environment status
-router.get("/status", environmentController.getEnvironmentStatus);
+router.get("/status", authorize("environments:read"), environmentController.getEnvironmentStatus);
 
-// Switch traffic between blue and green environments
-router.post("/switch", validateSwitchRequest, environmentController.switchTraffic);
+// HTTP health probe results and history
+router.get("/health", authorize("environments:read"), environmentController.getEnvironmentHealth);
+
+// Switch traffic between blue and green environments (or request approval to)
+router.post("/switch", audit("traffic.switch"), authorize("traffic:switch"), validateSwitchRequest, environmentController.switchTraffic);
+
+// Weighted canary rollout - status and start/pause/promote/abort
+router.get("/canary", authorize("environments:read"), environmentController.getCanaryStatus);
+router.post("/canary", audit("traffic.canary", { target: "production" }), authorize("traffic:switch"), validateCanaryRequest, environmentController.controlCanary);
+
+// Maintenance mode - serve maintenance.html instead of either color
+router.get("/maintenance", authorize("environments:read"), environmentController.getMaintenanceStatus);
+router.post("/maintenance", audit("traffic.maintenance", { target: "production" }), authorize("traffic:maintenance"), validateMaintenanceRequest, environmentController.setMaintenanceMode);
+
+// Signed preview links that pin a browser to blue or green on the production hostname
+router.post("/preview-link", audit("environment.preview-link"), authorize("environments:preview"), validatePreviewRequest, environmentController.createPreviewLink);
+
+// Change locks - a locked color can't be deployed, rolled back or switched
+router.get("/locks", authorize("environments:read"), environmentController.getLocks);
+router.post("/:branch/lock", audit("environment.lock"), authorize("environments:lock"), validateLockRequest, environmentController.acquireLock);
+router.delete("/:branch/lock", audit("environment.unlock"), authorize("environments:lock"), environmentController.releaseLock);
+
+// Compare blue and green, and copy one onto the other
+router.get("/diff", authorize("environments:read"), environmentController.getEnvironmentDiff);
+router.post("/promote", audit("environment.promote", { target: (req) => req.body.target || "blue" }), authorize("deployments:promote"), validatePromoteRequest, environmentController.promoteEnvironment);
 
 // Rollback to original environment configuration
-router.post("/rollback", environmentController.rollbackEnvironment);
+router.post("/rollback", audit("traffic.rollback", { target: "production" }), authorize("traffic:switch"), validateRollbackRequest, environmentController.rollbackEnvironment);
 
 // Legacy routes for backward compatibility
-router.get("/environments-status", environmentController.getEnvironmentsStatus);
-router.post("/legacy-switch", environmentController.legacySwitchTraffic);
+router.get("/environments-status", authorize("environments:read"), environmentController.getEnvironmentsStatus);
+router.post("/legacy-switch", audit("traffic.legacy-switch", { target: "production" }), authorize("traffic:switch"), environmentController.legacySwitchTraffic);
 
 module.exports = router;
\ No newline at end of file
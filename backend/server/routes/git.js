@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const gitController = require('../controllers/gitController');
+const { authorize } = require('../middlewares/auth');
+const { audit } = require('../middlewares/audit');
 
-router.post('/initialize', gitController.initializeRepository);
-router.post('/deploy', gitController.deployToEnvironment);
-router.post('/switch', gitController.switchEnvironment);
-router.get('/status', gitController.getDeploymentStatus);
+router.post('/initialize', audit('repository.initialize', { target: 'repository' }), authorize('repository:admin'), gitController.initializeRepository);
+router.post('/deploy', audit('deployment.git'), authorize('deployments:create'), gitController.deployToEnvironment);
+router.post('/switch', audit('traffic.git-switch'), authorize('traffic:switch'), gitController.switchEnvironment);
+router.get('/status', authorize('environments:read'), gitController.getDeploymentStatus);
 
 module.exports = router;
\ No newline at end of file
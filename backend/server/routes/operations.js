@@ -0,0 +1,10 @@
+// backend/server/routes/operations.js
+const express = require("express");
+const router = express.Router();
+const operationController = require("../controllers/operationController");
+const { authorize } = require("../middlewares/auth");
+
+// Running and queued operations per environment (production, blue, green)
+router.get("/", authorize("operations:read"), operationController.listOperations);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+// backend/server/routes/projects.js
+const express = require("express");
+const router = express.Router();
+const projectController = require("../controllers/projectController");
+const { authenticate, authorize } = require("../middlewares/auth");
+const { selectProject } = require("../middlewares/project");
+
+// Projects the caller can access
+router.get("/", authenticate, projectController.listProjects);
+
+// A project's repository, branches and URLs
+router.get("/:projectId", selectProject, authorize("environments:read"), projectController.getProject);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+// backend/server/routes/schedules.js
+const express = require("express");
+const router = express.Router();
+const scheduleController = require("../controllers/scheduleController");
+const { uploadArchive } = require("../middlewares/archiveUpload");
+const { authorize } = require("../middlewares/auth");
+const { audit } = require("../middlewares/audit");
+const { validateScheduleRequest } = require("../validators/scheduleValidators");
+
+// List schedules (?status=active|completed|failed|skipped|cancelled)
+router.get("/", authorize("schedules:read"), scheduleController.listSchedules);
+
+// Get one schedule and its runs
+router.get("/:id", authorize("schedules:read"), scheduleController.getSchedule);
+
+// Schedule a switch, deployment or cache purge - deployments may upload an archive to stage
+router.post("/", audit("schedule.create", { target: (req) => req.body.action || null }), authorize("schedules:write"), uploadArchive, validateScheduleRequest, scheduleController.createSchedule);
+
+// Cancel a schedule
+router.delete("/:id", audit("schedule.cancel"), authorize("schedules:write"), scheduleController.cancelSchedule);
+
+module.exports = router;
\ No newline at end of file
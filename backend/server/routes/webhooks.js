@@ -0,0 +1,15 @@
+// backend/server/routes/webhooks.js
+const express = require("express");
+const router = express.Router();
+const webhookController = require("../controllers/webhookController");
+const { verifyNetlifySignature, verifyGithubSignature } = require("../middlewares/webhookSignature");
+const { audit } = require("../middlewares/audit");
+
+// Audited only once the signature checks out - anyone can post unsigned payloads here
+// Netlify deploy notifications (started, succeeded, failed, locked)
+router.post("/netlify", verifyNetlifySignature, audit("webhook.netlify", { actor: "netlify", target: (req) => req.body.branch || null }), webhookController.handleNetlifyDeploy);
+
+// GitHub pushes to blue/green
+router.post("/github", verifyGithubSignature, audit("webhook.github-push", { actor: "github", target: (req) => (req.body.ref || "").replace("refs/heads/", "") || null }), webhookController.handleGithubPush);
+
+module.exports = router;
\ No newline at end of file
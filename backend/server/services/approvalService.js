@@ -0,0 +1,376 @@
+// backend/server/services/approvalService.js
+const fs = require('fs');
+const crypto = require('crypto');
+const websocketService = require('./websocketService');
+const authService = require('./authService');
+const projectService = require('./projectService');
+const logger = require('../utils/logger');
+
+// Each project's change requests are kept on disk so pending approvals survive restarts
+const STATE_FILE = 'approvals.json';
+// Actions that always need a second person, e.g. APPROVAL_REQUIRED_FOR=switch,rollback
+// Others only go through approval when the caller asks for it
+const APPROVAL_ACTIONS = ['switch', 'rollback'];
+const REQUIRED_FOR = (process.env.APPROVAL_REQUIRED_FOR || '')
+  .split(',')
+  .map(action => action.trim())
+  .filter(action => APPROVAL_ACTIONS.includes(action));
+const QUORUM = Math.max(1, Number(process.env.APPROVAL_QUORUM) || 1); // Approvals needed besides the requester
+const REQUEST_TTL = (Number(process.env.APPROVAL_TTL_MINUTES) || 60) * 60 * 1000;
+const EXPIRY_CHECK_INTERVAL = 30000;
+const HISTORY_LIMIT = 100; // Decided requests kept for the dashboard
+
+// action -> async (request) => { statusCode, body } - shared by every project, run in the request's project
+const executors = {};
+
+/**
+ * Whether an action must be approved before it runs
+ * @param {string} action - switch or rollback
+ * @returns {boolean}
+ */
+const isRequired = (action) => REQUIRED_FOR.includes(action);
+
+/**
+ * Set how an approved action is carried out
+ * @param {string} action - switch or rollback
+ * @param {Function} executor - async (request) => ({ statusCode, body })
+ */
+const registerExecutor = (action, executor) => {
+  executors[action] = executor;
+};
+
+class ApprovalService {
+  constructor(project) {
+    this.project = project;
+    this.requests = [];
+    this.timer = null;
+
+    this.stateFile = projectService.dataPath(STATE_FILE);
+
+    this.load();
+  }
+
+  /**
+   * Expire unanswered requests in the background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.expire();
+    this.timer = setInterval(() => this.expire(), EXPIRY_CHECK_INTERVAL);
+    logger.info(`Approval service started for ${this.project.id}`, { requiredFor: REQUIRED_FOR, quorum: QUORUM });
+  }
+
+  /**
+   * Stop expiring requests
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Ask for a change to be approved instead of running it now
+   * @param {Object} options
+   * @param {string} options.action - switch or rollback
+   * @param {Object} options.params - What the executor needs to run it later
+   * @param {string} options.description - e.g. "Switch traffic to green"
+   * @param {string} options.requestedBy - Who asked for it
+   * @param {string} [options.comment] - Why
+   * @returns {Object} - Pending request
+   * @throws {Error} - statusCode 409 while another production change is awaiting approval
+   */
+  create({ action, params, description, requestedBy, comment = null }) {
+    this.expire();
+
+    // Both actions move production traffic - approving two at once would race
+    const pending = this.requests.find(request => request.status === 'pending');
+    if (pending) {
+      const error = new Error(`${pending.description} (requested by ${pending.requestedBy}) is already awaiting approval`);
+      error.statusCode = 409;
+      error.approval = pending;
+      throw error;
+    }
+
+    const now = new Date();
+    const request = {
+      id: `approval-${Date.now()}-${crypto.randomBytes(2).toString('hex')}`,
+      action,
+      params,
+      description,
+      requestedBy,
+      status: 'pending',
+      quorum: QUORUM,
+      approvals: [],
+      rejection: null,
+      comments: comment ? [{ by: requestedBy, text: comment, at: now.toISOString() }] : [],
+      result: null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + REQUEST_TTL).toISOString(),
+      decidedAt: null
+    };
+
+    this.requests.push(request);
+    this.save();
+
+    logger.info(`${description} requested by ${requestedBy} - awaiting ${QUORUM} approval(s)`, { id: request.id });
+    this.broadcast(request, 'requested', requestedBy);
+
+    return request;
+  }
+
+  /**
+   * Change requests, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - pending, executed, failed, rejected, cancelled or expired
+   * @returns {Array<Object>}
+   */
+  list({ status } = {}) {
+    this.expire();
+    return this.requests
+      .filter(request => !status || request.status === status)
+      .slice()
+      .reverse();
+  }
+
+  /**
+   * Get a change request
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    this.expire();
+    return this.requests.find(request => request.id === id) || null;
+  }
+
+  /**
+   * Approve a pending request - the change runs once the quorum is met
+   * @param {string} id
+   * @param {string} approver - Who approves
+   * @param {string} [comment]
+   * @returns {Promise<Object>} - Updated request, with the change's result once it ran
+   * @throws {Error} - statusCode 404 for an unknown request, 403 when approving your own, 409 when it isn't pending or already approved by you
+   */
+  async approve(id, approver, comment = null) {
+    const request = this.getPending(id);
+
+    if (request.requestedBy === approver) {
+      const error = new Error("You can't approve your own request - a second person has to");
+      error.statusCode = 403;
+      throw error;
+    }
+    if (request.approvals.some(approval => approval.by === approver)) {
+      const error = new Error(`${approver} already approved this request`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const at = new Date().toISOString();
+    request.approvals.push({ by: approver, at });
+    if (comment) {
+      request.comments.push({ by: approver, text: comment, at });
+    }
+
+    logger.info(`${request.description} approved by ${approver} (${request.approvals.length}/${request.quorum})`, { id });
+
+    if (request.approvals.length < request.quorum) {
+      this.save();
+      this.broadcast(request, 'approved', approver);
+      return request;
+    }
+
+    return this.execute(request, approver);
+  }
+
+  /**
+   * Turn down a pending request - the requester withdrawing it cancels it instead
+   * @param {string} id
+   * @param {string} user - Who rejects
+   * @param {string} [comment]
+   * @returns {Object} - Updated request
+   * @throws {Error} - statusCode 404 for an unknown request, 409 when it isn't pending
+   */
+  reject(id, user, comment = null) {
+    const request = this.getPending(id);
+    const at = new Date().toISOString();
+
+    request.status = request.requestedBy === user ? 'cancelled' : 'rejected';
+    request.rejection = { by: user, at };
+    request.decidedAt = at;
+    if (comment) {
+      request.comments.push({ by: user, text: comment, at });
+    }
+    this.save();
+
+    logger.info(`${request.description} ${request.status} by ${user}`, { id });
+    this.broadcast(request, request.status, user);
+
+    return request;
+  }
+
+  /**
+   * Add a comment to a request
+   * @param {string} id
+   * @param {string} user
+   * @param {string} text
+   * @returns {Object} - Updated request
+   * @throws {Error} - statusCode 404 for an unknown request
+   */
+  addComment(id, user, text) {
+    const request = this.get(id);
+    if (!request) {
+      throw this.notFound(id);
+    }
+
+    request.comments.push({ by: user, text, at: new Date().toISOString() });
+    this.save();
+    this.broadcast(request, 'commented', user);
+
+    return request;
+  }
+
+  /**
+   * Run an approved change and keep its outcome on the request
+   * @private
+   */
+  async execute(request, approver) {
+    const executor = executors[request.action];
+    request.status = 'executing';
+    request.decidedAt = new Date().toISOString();
+    this.save();
+    this.broadcast(request, 'executing', approver);
+
+    try {
+      if (!executor) {
+        throw new Error(`Nothing carries out ${request.action} requests`);
+      }
+
+      const { statusCode, body } = await executor(request);
+      request.status = statusCode < 400 ? 'executed' : 'failed';
+      request.result = { statusCode, ...body };
+    } catch (error) {
+      logger.error(`Approved ${request.description} failed: ${error.message}`, { id: request.id, stack: error.stack });
+      request.status = 'failed';
+      request.result = { statusCode: 500, success: false, message: error.message };
+    }
+
+    this.save();
+
+    logger.info(`Approved ${request.description} ${request.status}`, { id: request.id, approvedBy: request.approvals.map(approval => approval.by) });
+    this.broadcast(request, request.status, approver);
+
+    return request;
+  }
+
+  /**
+   * A request that can still be approved or rejected
+   * @private
+   */
+  getPending(id) {
+    const request = this.get(id);
+    if (!request) {
+      throw this.notFound(id);
+    }
+
+    if (request.status !== 'pending') {
+      const error = new Error(`${request.description} is ${request.status} - it can no longer be approved or rejected`);
+      error.statusCode = 409;
+      error.approval = request;
+      throw error;
+    }
+
+    return request;
+  }
+
+  /**
+   * @private
+   */
+  notFound(id) {
+    const error = new Error(`Approval request not found: ${id}`);
+    error.statusCode = 404;
+    return error;
+  }
+
+  /**
+   * Mark unanswered requests as expired
+   * @private
+   */
+  expire() {
+    const now = new Date();
+    const expired = this.requests.filter(request => request.status === 'pending' && new Date(request.expiresAt) <= now);
+
+    if (expired.length === 0) {
+      return;
+    }
+
+    expired.forEach(request => {
+      request.status = 'expired';
+      request.decidedAt = now.toISOString();
+      logger.info(`${request.description} expired without approval`, { id: request.id, approvals: request.approvals.length });
+    });
+    this.save();
+
+    expired.forEach(request => this.broadcast(request, 'expired'));
+  }
+
+  /**
+   * Tell dashboard clients that can see approvals about a change
+   * @private
+   */
+  broadcast(request, event, by = null) {
+    websocketService.broadcast({
+      type: 'approval_request',
+      event,
+      by,
+      request,
+      timestamp: new Date().toISOString()
+    }, client => client.user && authService.hasPermission(authService.roleFor(client.user, this.project.id), 'approvals:read'));
+  }
+
+  /**
+   * @private
+   */
+  load() {
+    if (!fs.existsSync(this.stateFile)) {
+      return;
+    }
+
+    try {
+      this.requests = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      logger.warn(`Ignoring unreadable approval requests in ${this.stateFile}: ${error.message}`);
+      return;
+    }
+
+    // The server stopped while an approved change ran - don't run it again blindly
+    this.requests
+      .filter(request => request.status === 'executing')
+      .forEach(request => {
+        request.status = 'failed';
+        request.result = { statusCode: 500, success: false, message: 'Interrupted by a server restart - check the environment and request again' };
+      });
+  }
+
+  /**
+   * Keep every pending request and the most recent decided ones
+   * @private
+   */
+  save() {
+    const decided = this.requests.filter(request => request.status !== 'pending');
+    if (decided.length > HISTORY_LIMIT) {
+      const dropped = new Set(decided.slice(0, decided.length - HISTORY_LIMIT));
+      this.requests = this.requests.filter(request => !dropped.has(request));
+    }
+
+    try {
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.requests, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save approval requests: ${error.message}`);
+    }
+  }
+}
+
+// One instance per project - approving in one project never touches another's requests
+module.exports = projectService.scoped(project => new ApprovalService(project), { isRequired, registerExecutor });
\ No newline at end of file
@@ -0,0 +1,318 @@
+// backend/server/services/archiveService.js
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const tar = require('tar-stream');
+const fileTypes = require('../config/fileTypes');
+const logger = require('../utils/logger');
+
+// Extraction limits - protect against oversized uploads and zip bombs
+const MAX_ARCHIVE_SIZE = 50 * 1024 * 1024; // 50MB compressed
+const MAX_EXTRACTED_SIZE = 200 * 1024 * 1024; // 200MB uncompressed
+const MAX_ARCHIVE_ENTRIES = 1000;
+const ZIP_METHOD_STORED = 0;
+const ZIP_METHOD_DEFLATED = 8;
+
+// OS metadata that should never end up in a deployment
+const IGNORED_ENTRIES = [
+  /^__MACOSX\//,
+  /(^|\/)\.DS_Store$/,
+  /(^|\/)Thumbs\.db$/,
+  /(^|\/)desktop\.ini$/i
+];
+
+class ArchiveService {
+  constructor() {
+    this.maxArchiveSize = MAX_ARCHIVE_SIZE;
+  }
+
+  /**
+   * Detect archive type from the uploaded file name
+   * @param {string} fileName - Original file name
+   * @returns {string|null} - 'zip', 'tar.gz' or null if unsupported
+   */
+  getArchiveType(fileName = '') {
+    if (/\.zip$/i.test(fileName)) {
+      return 'zip';
+    }
+    if (/\.(tar\.gz|tgz)$/i.test(fileName)) {
+      return 'tar.gz';
+    }
+    return null;
+  }
+
+  /**
+   * Extract an uploaded archive into deployable files
+   * @param {Buffer} buffer - Archive contents
+   * @param {string} fileName - Original file name (used to detect the format)
+   * @returns {Promise<Array<{path: string, content: string, encoding: string, mode?: string}>>}
+   */
+  async extract(buffer, fileName) {
+    const type = this.getArchiveType(fileName);
+    if (!type) {
+      throw this.createError(`Unsupported archive format: ${fileName}. Use .zip or .tar.gz`);
+    }
+
+    if (!buffer || buffer.length === 0) {
+      throw this.createError('Archive is empty');
+    }
+
+    const entries = type === 'zip'
+      ? this.readZipEntries(buffer)
+      : await this.readTarGzEntries(buffer);
+
+    const files = this.stripCommonRoot(entries).map(entry => this.toDeploymentFile(entry));
+
+    if (files.length === 0) {
+      throw this.createError('Archive does not contain any files');
+    }
+
+    logger.info(`Extracted ${files.length} files from ${fileName}`, {
+      type,
+      archiveSize: buffer.length
+    });
+
+    return files;
+  }
+
+  /**
+   * Convert an extracted entry into the {path, content, encoding} shape gitService expects
+   * @private
+   * @param {{path: string, data: Buffer, executable?: boolean}} entry - Extracted entry
+   * @returns {{path: string, content: string, encoding: string, mode?: string}}
+   */
+  toDeploymentFile(entry) {
+    const binary = fileTypes.isBinary(entry.path);
+    const file = {
+      path: entry.path,
+      content: entry.data.toString(binary ? 'base64' : 'utf8'),
+      encoding: binary ? 'base64' : 'utf-8'
+    };
+
+    if (entry.executable) {
+      file.mode = '100755';
+    }
+
+    return file;
+  }
+
+  /**
+   * Read file entries from a zip archive
+   * @private
+   * @param {Buffer} buffer - Zip contents
+   * @returns {Array<{path: string, data: Buffer}>}
+   */
+  readZipEntries(buffer) {
+    let zip;
+    try {
+      zip = new AdmZip(buffer);
+    } catch (error) {
+      throw this.createError(`Invalid zip archive: ${error.message}`);
+    }
+
+    const entries = [];
+    let totalSize = 0;
+
+    for (const entry of zip.getEntries()) {
+      if (entry.isDirectory) continue;
+
+      const entryPath = this.sanitizeEntryPath(entry.entryName);
+      if (this.isIgnored(entryPath)) continue;
+
+      // Check the declared size before inflating to avoid zip bombs
+      totalSize += entry.header.size;
+      this.checkLimits(entries.length + 1, totalSize);
+
+      entries.push({ path: entryPath, data: this.inflateZipEntry(entry) });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Inflate a zip entry without producing more than its declared size
+   * The declared size comes from the archive itself - a forged one must not get the whole payload inflated
+   * @private
+   * @param {Object} entry - adm-zip entry
+   * @returns {Buffer}
+   */
+  inflateZipEntry(entry) {
+    const { method, size, flags } = entry.header;
+
+    if (flags & 0x1) {
+      throw this.createError(`Encrypted zip entries are not supported: ${entry.entryName}`);
+    }
+
+    let data;
+    if (method === ZIP_METHOD_STORED) {
+      data = entry.getCompressedData();
+    } else if (method === ZIP_METHOD_DEFLATED) {
+      try {
+        // One byte over the declared size is enough to tell it was wrong
+        data = zlib.inflateRawSync(entry.getCompressedData(), { maxOutputLength: size + 1 });
+      } catch (error) {
+        throw this.createError(`Corrupt zip entry: ${entry.entryName}`);
+      }
+    } else {
+      throw this.createError(`Unsupported compression method ${method} in zip entry: ${entry.entryName}`);
+    }
+
+    if (data.length !== size) {
+      throw this.createError(`Corrupt zip entry: ${entry.entryName}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Read file entries from a gzipped tarball
+   * @private
+   * @param {Buffer} buffer - Tarball contents
+   * @returns {Promise<Array<{path: string, data: Buffer}>>}
+   */
+  readTarGzEntries(buffer) {
+    let tarball;
+    try {
+      tarball = zlib.gunzipSync(buffer, { maxOutputLength: MAX_EXTRACTED_SIZE });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw this.createError(`Archive exceeds maximum extracted size of ${MAX_EXTRACTED_SIZE / (1024 * 1024)}MB`);
+      }
+      throw this.createError(`Invalid gzip archive: ${error.message}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const extractor = tar.extract();
+      const entries = [];
+      let totalSize = 0;
+      let failure = null;
+
+      const skipEntry = (stream, next) => {
+        stream.on('end', next);
+        stream.resume();
+      };
+
+      extractor.on('entry', (header, stream, next) => {
+        // Only regular files are deployed - directories, symlinks and devices are skipped
+        if (failure || header.type !== 'file') {
+          return skipEntry(stream, next);
+        }
+
+        let entryPath;
+        try {
+          entryPath = this.sanitizeEntryPath(header.name);
+          totalSize += header.size;
+          this.checkLimits(entries.length + 1, totalSize);
+        } catch (error) {
+          // Remember the first failure and drain the rest of the archive
+          failure = error;
+          return skipEntry(stream, next);
+        }
+
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          if (!this.isIgnored(entryPath)) {
+            entries.push({
+              path: entryPath,
+              data: Buffer.concat(chunks),
+              executable: Boolean(header.mode & 0o111)
+            });
+          }
+          next();
+        });
+      });
+
+      extractor.on('finish', () => (failure ? reject(failure) : resolve(entries)));
+      extractor.on('error', error => {
+        reject(error.statusCode ? error : this.createError(`Invalid tar archive: ${error.message}`));
+      });
+
+      extractor.end(tarball);
+    });
+  }
+
+  /**
+   * Normalize an archive entry path and reject anything that escapes the site root
+   * @private
+   * @param {string} entryName - Raw entry name from the archive
+   * @returns {string} - Safe, relative POSIX path
+   */
+  sanitizeEntryPath(entryName) {
+    const rawPath = String(entryName || '').replace(/\\/g, '/');
+
+    if (!rawPath || rawPath.includes('\0')) {
+      throw this.createError(`Invalid archive entry name: ${JSON.stringify(entryName)}`);
+    }
+
+    // Absolute paths and Windows drive letters are never valid inside a site
+    if (rawPath.startsWith('/') || /^[a-zA-Z]:/.test(rawPath)) {
+      throw this.createError(`Archive entry uses an absolute path: ${entryName}`);
+    }
+
+    const normalized = path.posix.normalize(rawPath).replace(/^(\.\/)+/, '');
+    if (normalized === '..' || normalized.startsWith('../') || normalized === '.' || normalized === '') {
+      throw this.createError(`Archive entry escapes the site root: ${entryName}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Drop a single top-level folder shared by every entry (e.g. "dist/" or "build/")
+   * @private
+   * @param {Array<{path: string, data: Buffer}>} entries - Extracted entries
+   * @returns {Array<{path: string, data: Buffer}>}
+   */
+  stripCommonRoot(entries) {
+    if (entries.length === 0) return entries;
+
+    const roots = new Set(entries.map(entry => entry.path.split('/')[0]));
+    const everyEntryNested = entries.every(entry => entry.path.includes('/'));
+
+    if (roots.size !== 1 || !everyEntryNested) {
+      return entries;
+    }
+
+    const [root] = roots;
+    logger.debug(`Stripping common archive root folder: ${root}/`);
+    return entries.map(entry => ({
+      ...entry,
+      path: entry.path.slice(root.length + 1)
+    }));
+  }
+
+  /**
+   * Check whether an entry is OS metadata that should be skipped
+   * @private
+   */
+  isIgnored(entryPath) {
+    return IGNORED_ENTRIES.some(pattern => pattern.test(entryPath));
+  }
+
+  /**
+   * Enforce entry count and extracted size limits
+   * @private
+   */
+  checkLimits(entryCount, totalSize) {
+    if (entryCount > MAX_ARCHIVE_ENTRIES) {
+      throw this.createError(`Archive contains more than ${MAX_ARCHIVE_ENTRIES} files`);
+    }
+    if (totalSize > MAX_EXTRACTED_SIZE) {
+      throw this.createError(`Archive exceeds maximum extracted size of ${MAX_EXTRACTED_SIZE / (1024 * 1024)}MB`);
+    }
+  }
+
+  /**
+   * Create a client error (bad archive) with a 400 status code
+   * @private
+   */
+  createError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+// Singleton instance
+module.exports = new ArchiveService();
\ No newline at end of file
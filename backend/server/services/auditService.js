@@ -0,0 +1,366 @@
+// backend/server/services/auditService.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const logger = require('../utils/logger');
+
+// Append-only JSON-lines file - each entry carries the hash of the one before it,
+// so editing or removing an entry breaks every hash after it
+// Only the chain head is kept in memory - queries and verification stream the file
+const DATA_DIR = process.env.DEPLOYEASE_DATA_DIR || path.join(__dirname, '../../data');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.jsonl');
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_QUERY_LIMIT = 100;
+const TAIL_CHUNK = 64 * 1024; // Read backwards in these steps to find the chain head on startup
+const REDACTED_KEYS = /password|secret|token|authorization/i;
+const MAX_PARAM_LENGTH = 200; // Longer strings (file contents, messages) are cut short
+const MAX_LISTED_PATHS = 50;
+const CSV_COLUMNS = ['seq', 'timestamp', 'actor', 'via', 'project', 'action', 'target', 'outcome', 'statusCode', 'message', 'ip', 'correlationId', 'params', 'hash'];
+
+class AuditService {
+  constructor() {
+    this.lastSeq = 0;
+    this.lastHash = GENESIS_HASH;
+    this.writeQueue = Promise.resolve();
+
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    this.load();
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {Object} data
+   * @param {string} data.actor - Who did it
+   * @param {string} data.action - e.g. traffic.switch, deployment.create
+   * @param {string} [data.target] - What it was done to (blue, green, production, a schedule...)
+   * @param {Object} [data.params] - Request parameters, secrets are redacted
+   * @param {{outcome: string, statusCode?: number, message?: string}} data.result - success, failure or skipped
+   * @param {string} [data.via] - session, token, scheduler...
+   * @param {string} [data.project] - Project the change was made in, null for account and audit actions
+   * @param {string} [data.ip] - Request IP
+   * @param {string} [data.correlationId] - Ties the entry to the request and its log lines
+   * @returns {Object} - Stored entry
+   */
+  record({ actor, action, target = null, params = {}, result, via = null, project = null, ip = null, correlationId = null }) {
+    const entry = {
+      seq: this.lastSeq + 1,
+      id: `audit-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      timestamp: new Date().toISOString(),
+      actor: actor || 'anonymous',
+      via,
+      project,
+      action,
+      target,
+      params: this.sanitize(params),
+      result,
+      ip,
+      correlationId,
+      prevHash: this.lastHash
+    };
+    entry.hash = this.hashEntry(entry);
+
+    this.lastSeq = entry.seq;
+    this.lastHash = entry.hash;
+
+    // Serialize appends so the file keeps the chain order
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.appendFile(AUDIT_FILE, `${JSON.stringify(entry)}\n`, { mode: 0o600 }))
+      .catch(error => {
+        logger.error(`Failed to persist audit entry ${entry.seq}: ${error.message}`);
+      });
+
+    // The log line keeps a copy of the chain head outside the audit file
+    logger.info(`Audit: ${entry.actor} ${action}${target ? ` ${target}` : ''} - ${result.outcome}`, {
+      seq: entry.seq,
+      project,
+      hash: entry.hash,
+      correlationId
+    });
+
+    return entry;
+  }
+
+  /**
+   * Query entries, newest first
+   * @param {Object} filters
+   * @param {string} [filters.actor]
+   * @param {string} [filters.action] - Exact action, or a prefix ending in "." (e.g. traffic.)
+   * @param {string} [filters.target]
+   * @param {string} [filters.project]
+   * @param {string} [filters.outcome] - success, failure or skipped
+   * @param {string} [filters.correlationId]
+   * @param {string|Date} [filters.from] - At or after this time
+   * @param {string|Date} [filters.to] - At or before this time
+   * @param {number} [filters.limit]
+   * @param {number} [filters.offset]
+   * @param {Object} [scope]
+   * @param {Array<string>|null} [scope.projects] - Only entries made in these projects; null for every entry,
+   *   including account-wide ones
+   * @returns {Promise<{entries: Array<Object>, total: number}>}
+   */
+  async query({ actor, action, target, project, outcome, correlationId, from, to, limit = DEFAULT_QUERY_LIMIT, offset = 0 } = {}, { projects = null } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const matches = (entry) => (!actor || entry.actor === actor)
+      && (!action || (action.endsWith('.') ? entry.action.startsWith(action) : entry.action === action))
+      && (!target || entry.target === target)
+      && (!project || entry.project === project)
+      && (!projects || projects.includes(entry.project))
+      && (!outcome || entry.result.outcome === outcome)
+      && (!correlationId || entry.correlationId === correlationId)
+      && (!fromTime || new Date(entry.timestamp).getTime() >= fromTime)
+      && (!toTime || new Date(entry.timestamp).getTime() <= toTime);
+
+    // The file runs oldest to newest - keep only the newest offset + limit matches, in a ring
+    const size = offset + limit;
+    const newest = new Array(size);
+    let total = 0;
+
+    for await (const line of this.readLines()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue; // verify() reports it
+      }
+
+      if (matches(entry)) {
+        newest[total % size] = entry;
+        total++;
+      }
+    }
+
+    const entries = [];
+    for (let index = total - 1 - offset; index >= Math.max(0, total - size); index--) {
+      entries.push(newest[index % size]);
+    }
+
+    return { entries, total };
+  }
+
+  /**
+   * Re-check the hash chain in the audit file
+   * Catches edited, inserted and removed entries - not the newest entries being cut off,
+   * which the chain head in deployease.log shows
+   * @returns {Promise<{valid: boolean, entries: number, headHash: string, brokenAt: number|null, reason: string|null}>}
+   */
+  async verify() {
+    let prevHash = GENESIS_HASH;
+    let count = 0;
+
+    for await (const line of this.readLines()) {
+      count++;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        return this.broken(count, prevHash, 'Unreadable entry');
+      }
+
+      if (entry.seq !== count) {
+        return this.broken(count, prevHash, `Expected entry ${count}, found ${entry.seq}`);
+      }
+      if (entry.prevHash !== prevHash) {
+        return this.broken(entry.seq, prevHash, 'Previous hash does not match - an entry was removed or inserted');
+      }
+      if (this.hashEntry(entry) !== entry.hash) {
+        return this.broken(entry.seq, prevHash, 'Entry was modified');
+      }
+
+      prevHash = entry.hash;
+    }
+
+    return { valid: true, entries: count, headHash: prevHash, brokenAt: null, reason: null };
+  }
+
+  /**
+   * Format entries as CSV, one row per entry
+   * @param {Array<Object>} entries
+   * @returns {string}
+   */
+  toCsv(entries) {
+    const rows = entries.map(entry => [
+      entry.seq,
+      entry.timestamp,
+      entry.actor,
+      entry.via,
+      entry.project,
+      entry.action,
+      entry.target,
+      entry.result.outcome,
+      entry.result.statusCode,
+      entry.result.message,
+      entry.ip,
+      entry.correlationId,
+      JSON.stringify(entry.params),
+      entry.hash
+    ].map(value => this.csvCell(value)).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Hash of an entry's content and the hash before it
+   * @private
+   */
+  hashEntry(entry) {
+    const { hash, ...content } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  broken(seq, headHash, reason) {
+    logger.error(`Audit log chain broken at entry ${seq}: ${reason}`);
+    return { valid: false, entries: this.lastSeq, headHash, brokenAt: seq, reason };
+  }
+
+  /**
+   * Non-empty lines of the audit file, including entries still being written
+   * @private
+   * @returns {AsyncIterable<string>}
+   */
+  async *readLines() {
+    await this.writeQueue;
+
+    if (!fs.existsSync(AUDIT_FILE)) {
+      return;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(AUDIT_FILE, 'utf8'),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (line) {
+        yield line;
+      }
+    }
+  }
+
+  /**
+   * Redact secrets, list file paths instead of contents and cut long values short
+   * @private
+   */
+  sanitize(value, depth = 0) {
+    if (Array.isArray(value)) {
+      // Deployment file lists - the paths say what changed, the contents are in git
+      if (value.length > 0 && value.every(item => item && typeof item === 'object' && typeof item.path === 'string')) {
+        return {
+          count: value.length,
+          paths: value.slice(0, MAX_LISTED_PATHS).map(item => item.path)
+        };
+      }
+      return value.slice(0, MAX_LISTED_PATHS).map(item => this.sanitize(item, depth + 1));
+    }
+
+    if (value && typeof value === 'object') {
+      if (depth >= 3) {
+        return '[nested]';
+      }
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        REDACTED_KEYS.test(key) ? '[redacted]' : this.sanitize(item, depth + 1)
+      ]));
+    }
+
+    if (typeof value === 'string' && value.length > MAX_PARAM_LENGTH) {
+      return `${value.slice(0, MAX_PARAM_LENGTH)}... (${value.length} characters)`;
+    }
+
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Quote a CSV cell, defusing values spreadsheets would run as formulas
+   * @private
+   */
+  csvCell(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Continue the chain from the last entry on disk, then check the whole chain in the background
+   * @private
+   */
+  load() {
+    if (!fs.existsSync(AUDIT_FILE)) {
+      return;
+    }
+
+    const last = this.readLastEntry();
+    if (last) {
+      this.lastSeq = last.seq;
+      this.lastHash = last.hash;
+    }
+
+    this.verify().then(result => {
+      if (result.valid) {
+        logger.info(`Loaded ${result.entries} audit entries, chain intact`, { headHash: result.headHash });
+      }
+    });
+  }
+
+  /**
+   * Newest readable entry, found by reading the file backwards
+   * @private
+   */
+  readLastEntry() {
+    const fd = fs.openSync(AUDIT_FILE, 'r');
+    let position = fs.fstatSync(fd).size;
+    let tail = Buffer.alloc(0);
+    let skipped = 0;
+
+    try {
+      while (position > 0) {
+        const length = Math.min(TAIL_CHUNK, position);
+        position -= length;
+
+        const chunk = Buffer.alloc(length);
+        fs.readSync(fd, chunk, 0, length, position);
+        tail = Buffer.concat([chunk, tail]);
+
+        // Until the start of the file, the first line may be cut off - keep it for the next chunk
+        const lines = tail.toString('utf8').split('\n');
+        const complete = position > 0 ? lines.slice(1) : lines;
+
+        for (const line of complete.filter(Boolean).reverse()) {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            skipped++;
+          }
+        }
+
+        // Bytes, not the decoded line - a character may be split across chunks
+        tail = tail.subarray(0, tail.indexOf('\n'));
+      }
+
+      return null;
+    } finally {
+      fs.closeSync(fd);
+
+      if (skipped > 0) {
+        logger.error(`Skipped ${skipped} unreadable audit entries at the end of ${AUDIT_FILE} - the audit log has been tampered with or corrupted`);
+      }
+    }
+  }
+}
+
+// Singleton instance
+module.exports = new AuditService();
\ No newline at end of file
@@ -0,0 +1,548 @@
+// backend/server/services/authService.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ROLE_ORDER, ROLES } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+// Users and hashed API tokens are kept on disk, dashboard sessions only in memory
+const DATA_DIR = process.env.DEPLOYEASE_DATA_DIR || path.join(__dirname, '../../data');
+const STATE_FILE = path.join(DATA_DIR, 'users.json');
+const SESSION_TTL = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const TOKEN_PREFIX = 'de_'; // API tokens, so they can't be mistaken for session tokens
+const MIN_PASSWORD_LENGTH = 10;
+
+class AuthService {
+  constructor() {
+    this.users = {};
+    this.sessions = new Map(); // token hash -> session
+
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    this.load();
+    this.bootstrapAdmin();
+  }
+
+  /**
+   * Check a username and password and open a dashboard session
+   * @param {string} username
+   * @param {string} password
+   * @returns {{token: string, expiresAt: string, user: Object}}
+   * @throws {Error} - statusCode 401 when the credentials don't match
+   */
+  login(username, password) {
+    const user = this.users[username];
+
+    // Hash even for unknown users so response time doesn't reveal which usernames exist
+    const valid = this.verifyPassword(password, user ? user.passwordHash : null);
+    if (!user || !valid) {
+      logger.warn(`Failed login for ${username}`);
+      const error = new Error('Invalid username or password');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    return this.openSession(user);
+  }
+
+  /**
+   * Open a dashboard session for a GitHub user, adding them on first sign-in
+   * Their roles follow their permission on each project's repository and are refreshed on every sign-in
+   * @param {Object} options
+   * @param {{id: number, login: string, name: string|null, email: string|null}} options.profile - GitHub profile
+   * @param {string} options.role - Highest of their project roles
+   * @param {Object<string, string>} options.projectRoles - Project ID -> DeployEase role for their repository permission
+   * @returns {{token: string, expiresAt: string, user: Object}}
+   * @throws {Error} - statusCode 409 if a local user already has the same username
+   */
+  loginWithGitHub({ profile, role, projectRoles }) {
+    this.checkRole(role);
+    Object.values(projectRoles).forEach(projectRole => this.checkRole(projectRole));
+
+    const existing = this.users[profile.login];
+    if (existing && existing.provider !== 'github') {
+      const error = new Error(`A DeployEase user named ${profile.login} already exists - sign in with a password instead`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (!existing) {
+      this.users[profile.login] = {
+        username: profile.login,
+        provider: 'github',
+        passwordHash: null,
+        tokens: [],
+        createdAt: new Date().toISOString(),
+        createdBy: 'github'
+      };
+      logger.info(`GitHub user ${profile.login} (${role}) added on first sign-in`);
+    } else if (existing.role !== role) {
+      logger.info(`GitHub user ${profile.login} is now ${role} (was ${existing.role})`);
+    }
+
+    const user = this.users[profile.login];
+    user.role = role;
+    user.projectRoles = projectRoles;
+    user.github = profile;
+    this.save();
+
+    return this.openSession(user);
+  }
+
+  /**
+   * Remove a GitHub user who lost access to the repository, with their sessions and API tokens
+   * @param {string} username - GitHub login
+   * @returns {boolean} - Whether a GitHub user was removed
+   */
+  removeGitHubUser(username) {
+    const user = this.users[username];
+    if (!user || user.provider !== 'github') {
+      return false;
+    }
+
+    delete this.users[username];
+    this.sessions.forEach((session, hash) => {
+      if (session.username === username) {
+        this.sessions.delete(hash);
+      }
+    });
+    this.save();
+
+    logger.warn(`GitHub user ${username} removed - they no longer have access to the repository`);
+    return true;
+  }
+
+  /**
+   * Name and email for a Co-authored-by trailer on commits a user makes through DeployEase
+   * Only GitHub users have one - GitHub's noreply address stands in for private emails
+   * @param {string} username
+   * @returns {{name: string, email: string}|null}
+   */
+  getCommitIdentity(username) {
+    const user = username && this.users[username];
+    if (!user || !user.github) {
+      return null;
+    }
+
+    const { id, login, name, email } = user.github;
+    return {
+      name: name || login,
+      email: email || `${id}+${login}@users.noreply.github.com`
+    };
+  }
+
+  /**
+   * End a dashboard session
+   * @param {string} token - Session token
+   * @returns {boolean} - Whether a session was open
+   */
+  logout(token) {
+    return this.sessions.delete(this.hashToken(token || ''));
+  }
+
+  /**
+   * Resolve a session or API token to the user behind it
+   * @param {string} token - Bearer token
+   * @returns {{username: string, role: string, projectRoles: Object|null, via: string, tokenId: string|null}|null}
+   */
+  authenticate(token) {
+    if (!token) {
+      return null;
+    }
+
+    const hash = this.hashToken(token);
+
+    if (token.startsWith(TOKEN_PREFIX)) {
+      for (const user of Object.values(this.users)) {
+        const apiToken = (user.tokens || []).find(entry => entry.hash === hash);
+        if (apiToken) {
+          // Never above the owner's current role, e.g. after their GitHub permission was lowered
+          const cap = (ownerRole) => ROLE_ORDER[Math.min(ROLE_ORDER.indexOf(apiToken.role), ROLE_ORDER.indexOf(ownerRole))];
+          const projectRoles = user.projectRoles
+            ? Object.fromEntries(Object.entries(user.projectRoles).map(([projectId, projectRole]) => [projectId, cap(projectRole)]))
+            : null;
+          return { username: user.username, role: cap(user.role), projectRoles, via: 'token', tokenId: apiToken.id };
+        }
+      }
+      return null;
+    }
+
+    const session = this.sessions.get(hash);
+    if (!session || new Date(session.expiresAt) <= new Date()) {
+      this.sessions.delete(hash);
+      return null;
+    }
+
+    // Role changes and deleted users take effect on open sessions
+    const user = this.users[session.username];
+    if (!user) {
+      this.sessions.delete(hash);
+      return null;
+    }
+
+    return { username: user.username, role: user.role, projectRoles: user.projectRoles || null, via: 'session', tokenId: null };
+  }
+
+  /**
+   * Read the bearer token of an HTTP or WebSocket upgrade request
+   * Browsers can't set headers on WebSocket connections, so upgrades may pass ?token= instead -
+   * HTTP routes never read it, query strings end up in access logs
+   * @param {http.IncomingMessage} req
+   * @param {Object} [options]
+   * @param {boolean} [options.allowQuery] - Fall back to ?token= (WebSocket upgrades only)
+   * @returns {string|null}
+   */
+  getRequestToken(req, { allowQuery = false } = {}) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    if (match) {
+      return match[1];
+    }
+
+    if (!allowQuery) {
+      return null;
+    }
+
+    try {
+      return new URL(req.url, 'http://localhost').searchParams.get('token');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * A user's role in a project - GitHub users only get projects whose repository they can access,
+   * local users hold their role in every project
+   * @param {{role: string, projectRoles: Object|null}} user - From authenticate()
+   * @param {string} [projectId] - Omit for account-wide actions
+   * @returns {string|null}
+   */
+  roleFor(user, projectId) {
+    if (!projectId || !user.projectRoles) {
+      return user.role;
+    }
+    return user.projectRoles[projectId] || null;
+  }
+
+  /**
+   * Whether a role holds a permission
+   * @param {string} role
+   * @param {string} permission
+   * @returns {boolean}
+   */
+  hasPermission(role, permission) {
+    return Boolean(ROLES[role] && ROLES[role].includes(permission));
+  }
+
+  /**
+   * Projects in which a user holds a permission - null when their role holds in every project
+   * (local users), so data kept outside project scope can be narrowed to what they may see
+   * @param {{role: string, projectRoles: Object|null}} user - From authenticate()
+   * @param {string} permission
+   * @returns {Array<string>|null}
+   */
+  projectsWith(user, permission) {
+    if (!user.projectRoles) {
+      return this.hasPermission(user.role, permission) ? null : [];
+    }
+    return Object.keys(user.projectRoles).filter(projectId => this.hasPermission(user.projectRoles[projectId], permission));
+  }
+
+  /**
+   * How a user signs in - 'local' (password) or 'github'
+   * @param {string} username
+   * @returns {string|null}
+   */
+  getProvider(username) {
+    const user = this.users[username];
+    return user ? user.provider || 'local' : null;
+  }
+
+  /**
+   * Permissions held by a role
+   * @param {string} role
+   * @returns {Array<string>}
+   */
+  getPermissions(role) {
+    return ROLES[role] || [];
+  }
+
+  /**
+   * List users without their password hashes or tokens
+   * @returns {Array<Object>}
+   */
+  listUsers() {
+    return Object.values(this.users).map(user => this.describeUser(user));
+  }
+
+  /**
+   * Add a user
+   * @param {Object} options
+   * @param {string} options.username
+   * @param {string} options.password
+   * @param {string} options.role - viewer, deployer, approver or admin
+   * @param {string} [createdBy] - Who added the user
+   * @returns {Object} - New user
+   * @throws {Error} - statusCode 400 for a bad role or password, 409 if the username is taken
+   */
+  createUser({ username, password, role }, createdBy = null) {
+    this.checkRole(role);
+    this.checkPassword(password);
+
+    if (this.users[username]) {
+      const error = new Error(`User ${username} already exists`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    this.users[username] = {
+      username,
+      role,
+      passwordHash: this.hashPassword(password),
+      tokens: [],
+      createdAt: new Date().toISOString(),
+      createdBy
+    };
+    this.save();
+
+    logger.info(`User ${username} (${role}) created by ${createdBy}`);
+    return this.describeUser(this.users[username]);
+  }
+
+  /**
+   * List a user's API tokens (never the token values)
+   * @param {string} username
+   * @returns {Array<Object>}
+   */
+  listTokens(username) {
+    const user = this.users[username];
+    return user ? user.tokens.map(token => this.describeToken(token)) : [];
+  }
+
+  /**
+   * Issue an API token for scripts and CI
+   * @param {string} username - Owner of the token
+   * @param {Object} options
+   * @param {string} options.name - What the token is for
+   * @param {string} [options.role] - Defaults to the owner's role, can't be higher
+   * @returns {Object} - Token details, including the token value (only shown once)
+   * @throws {Error} - statusCode 400 for a role above the owner's
+   */
+  createToken(username, { name, role }) {
+    const user = this.users[username];
+    if (!user) {
+      const error = new Error(`Unknown user: ${username}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const tokenRole = role || user.role;
+    this.checkRole(tokenRole);
+    if (ROLE_ORDER.indexOf(tokenRole) > ROLE_ORDER.indexOf(user.role)) {
+      const error = new Error(`A ${user.role} can't issue ${tokenRole} tokens`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const value = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const token = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name,
+      role: tokenRole,
+      hash: this.hashToken(value),
+      createdAt: new Date().toISOString()
+    };
+
+    user.tokens.push(token);
+    this.save();
+
+    logger.info(`API token ${token.id} (${tokenRole}) issued to ${username}`, { name });
+    return { ...this.describeToken(token), token: value };
+  }
+
+  /**
+   * Revoke one of a user's API tokens
+   * @param {string} username - Owner of the token
+   * @param {string} tokenId
+   * @returns {Object|null} - Revoked token, or null if it doesn't exist
+   */
+  revokeToken(username, tokenId) {
+    const user = this.users[username];
+    const token = user && user.tokens.find(entry => entry.id === tokenId);
+    if (!token) {
+      return null;
+    }
+
+    user.tokens = user.tokens.filter(entry => entry.id !== tokenId);
+    this.save();
+
+    logger.info(`API token ${tokenId} of ${username} revoked`);
+    return this.describeToken(token);
+  }
+
+  /**
+   * Start a session for a signed-in user
+   * @private
+   */
+  openSession(user) {
+    this.expireSessions();
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const session = {
+      id: crypto.randomBytes(6).toString('hex'),
+      username: user.username,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + SESSION_TTL).toISOString()
+    };
+    this.sessions.set(this.hashToken(token), session);
+
+    logger.info(`${user.username} signed in`, { sessionId: session.id, provider: user.provider || 'local' });
+
+    return { token, expiresAt: session.expiresAt, user: this.describeUser(user) };
+  }
+
+  /**
+   * Create the first admin from DEPLOYEASE_ADMIN_USERNAME/DEPLOYEASE_ADMIN_PASSWORD when nobody exists yet
+   * @private
+   */
+  bootstrapAdmin() {
+    if (Object.keys(this.users).length > 0) {
+      return;
+    }
+
+    const password = process.env.DEPLOYEASE_ADMIN_PASSWORD;
+    if (!password) {
+      logger.warn('No DeployEase users exist and DEPLOYEASE_ADMIN_PASSWORD is not set - every API request will be refused');
+      return;
+    }
+
+    try {
+      this.createUser({
+        username: process.env.DEPLOYEASE_ADMIN_USERNAME || 'admin',
+        password,
+        role: 'admin'
+      }, 'bootstrap');
+    } catch (error) {
+      logger.error(`Failed to create the first admin: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  checkRole(role) {
+    if (!ROLES[role]) {
+      const error = new Error(`Invalid role: ${role}. Must be one of ${ROLE_ORDER.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      const error = new Error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * scrypt with a per-user salt, stored as "<salt>:<hash>"
+   * @private
+   */
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+  }
+
+  /**
+   * @private
+   */
+  verifyPassword(password, stored) {
+    const [salt, hash] = (stored || `${'0'.repeat(32)}:${'0'.repeat(128)}`).split(':');
+    const candidate = crypto.scryptSync(String(password || ''), salt, 64);
+    return Boolean(stored) && crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+  }
+
+  /**
+   * Tokens are only stored hashed - a leaked users.json doesn't leak working tokens
+   * @private
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Drop expired sessions
+   * @private
+   */
+  expireSessions() {
+    const now = new Date();
+    this.sessions.forEach((session, hash) => {
+      if (new Date(session.expiresAt) <= now) {
+        this.sessions.delete(hash);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  describeUser(user) {
+    return {
+      username: user.username,
+      role: user.role,
+      projectRoles: user.projectRoles || null,
+      provider: user.provider || 'local',
+      permissions: this.getPermissions(user.role),
+      createdAt: user.createdAt
+    };
+  }
+
+  /**
+   * @private
+   */
+  describeToken(token) {
+    return {
+      id: token.id,
+      name: token.name,
+      role: token.role,
+      createdAt: token.createdAt
+    };
+  }
+
+  /**
+   * @private
+   */
+  load() {
+    if (!fs.existsSync(STATE_FILE)) {
+      return;
+    }
+
+    try {
+      this.users = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    } catch (error) {
+      logger.error(`Ignoring unreadable users in ${STATE_FILE}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  save() {
+    try {
+      fs.writeFileSync(STATE_FILE, JSON.stringify(this.users, null, 2), { mode: 0o600 });
+    } catch (error) {
+      logger.error(`Failed to save users: ${error.message}`);
+    }
+  }
+}
+
+// Singleton instance
+module.exports = new AuthService();
\ No newline at end of file
@@ -0,0 +1,448 @@
+// backend/server/services/canaryService.js
+const fs = require('fs');
+const crypto = require('crypto');
+const trafficService = require('./trafficService');
+const healthCheckService = require('./healthCheckService');
+const preflightService = require('./preflightService');
+const switchVerifier = require('./switchVerifier');
+const websocketService = require('./websocketService');
+const projectService = require('./projectService');
+const logger = require('../utils/logger');
+
+// The current rollout is kept on disk so a restart picks it up where it left off
+const STATE_FILE = 'canary.json';
+const DEFAULT_STEPS = [5, 25, 50, 100];
+const ACTIVE_STATES = ['running', 'paused'];
+
+/**
+ * Parse a positive number env var with a fallback
+ */
+const parseNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const STEP_HOLD = parseNumber(process.env.CANARY_STEP_HOLD_MS, 10 * 60 * 1000);
+const CHECK_INTERVAL = parseNumber(process.env.CANARY_CHECK_INTERVAL_MS, 30000);
+const HISTORY_LIMIT = 50;
+
+class CanaryService {
+  constructor() {
+    this.rollout = null;
+    this.timer = null;
+    this.busy = false; // A step change is being written to GitHub
+
+    this.stateFile = projectService.dataPath(STATE_FILE);
+
+    this.load();
+  }
+
+  /**
+   * Continue a running rollout left over from the last process
+   */
+  resume() {
+    if (this.rollout && this.rollout.status === 'running') {
+      logger.info(`Resuming canary of ${this.rollout.canaryBranch} at ${this.rollout.weight}%`);
+      this.schedule();
+    }
+  }
+
+  /**
+   * Stop checking steps (the rollout stays on disk)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get the current or last rollout
+   * @returns {Object|null}
+   */
+  getStatus() {
+    return this.rollout ? this.describe(this.rollout) : null;
+  }
+
+  /**
+   * Whether a rollout is running or paused
+   * @returns {boolean}
+   */
+  isActive() {
+    return Boolean(this.rollout && ACTIVE_STATES.includes(this.rollout.status));
+  }
+
+  /**
+   * Start sending a share of production traffic to a branch, or resume a paused rollout
+   * @param {Object} options
+   * @param {string} options.baseBranch - Branch currently serving production
+   * @param {string} options.canaryBranch - Branch to roll out
+   * @param {number[]} [options.steps] - Canary weights in percent, ending at 100
+   * @param {number} [options.holdMs] - How long each step is held before checking health
+   * @param {boolean} [options.force] - Skip the preflight gate
+   * @param {string} [options.initiator] - Who started the rollout
+   * @returns {Promise<{rollout: Object, preflight: Object|null}>}
+   */
+  async start({ baseBranch, canaryBranch, steps = DEFAULT_STEPS, holdMs = STEP_HOLD, force = false, initiator = null }) {
+    if (this.rollout && this.rollout.status === 'paused' && this.rollout.canaryBranch === canaryBranch) {
+      return { rollout: await this.resumePaused(initiator), preflight: null };
+    }
+
+    if (this.isActive()) {
+      throw this.error(`A canary of ${this.rollout.canaryBranch} is already ${this.rollout.status}`, 409);
+    }
+
+    if (!['blue', 'green'].includes(baseBranch)) {
+      throw this.error('No active branch to split traffic from', 409);
+    }
+
+    if (baseBranch === canaryBranch) {
+      throw this.error(`${canaryBranch} is already serving production`, 400);
+    }
+
+    const preflight = force ? null : await preflightService.run(canaryBranch);
+    if (preflight && !preflight.passed) {
+      const error = this.error(`Preflight failed for ${canaryBranch}`, 412);
+      error.preflight = preflight;
+      throw error;
+    }
+
+    if (force) {
+      logger.warn(`Canary of ${canaryBranch} started without preflight`, { initiator });
+    }
+
+    const normalizedSteps = [...new Set(steps)].sort((a, b) => a - b);
+    if (normalizedSteps[normalizedSteps.length - 1] !== 100) {
+      normalizedSteps.push(100);
+    }
+
+    this.rollout = {
+      id: `canary-${Date.now()}-${crypto.randomBytes(2).toString('hex')}`,
+      baseBranch,
+      canaryBranch,
+      steps: normalizedSteps,
+      stepIndex: -1,
+      weight: 0,
+      status: 'running',
+      holdMs,
+      stepStartedAt: null,
+      lastCheck: null,
+      initiator,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      history: []
+    };
+
+    try {
+      await this.advance('start', initiator);
+    } catch (error) {
+      this.rollout.status = 'aborted';
+      this.rollout.finishedAt = new Date().toISOString();
+      this.note('abort', `Failed to start: ${error.message}`, initiator);
+      this.save();
+      throw error;
+    }
+
+    this.schedule();
+
+    return { rollout: this.describe(this.rollout), preflight };
+  }
+
+  /**
+   * Hold the rollout at its current weight
+   * @param {string} [initiator]
+   * @returns {Object}
+   */
+  pause(initiator = null) {
+    this.requireStatus(['running']);
+
+    this.rollout.status = 'paused';
+    this.stop();
+    this.note('pause', `Paused at ${this.rollout.weight}%`, initiator);
+    this.save();
+    this.broadcast(`Canary paused at ${this.rollout.weight}%`);
+
+    return this.describe(this.rollout);
+  }
+
+  /**
+   * Move to the next step now, without waiting for the hold period
+   * @param {string} [initiator]
+   * @returns {Promise<Object>}
+   */
+  async promote(initiator = null) {
+    this.requireStatus(['running', 'paused']);
+
+    if (this.rollout.status === 'paused') {
+      this.rollout.status = 'running';
+      this.schedule();
+    }
+
+    await this.advance('promote', initiator);
+    return this.describe(this.rollout);
+  }
+
+  /**
+   * Send all traffic back to the base branch
+   * @param {string} reason - Why the rollout was aborted
+   * @param {string} [initiator]
+   * @returns {Promise<Object>}
+   */
+  async abort(reason, initiator = null) {
+    this.requireStatus(['running', 'paused']);
+
+    if (this.busy) {
+      throw this.error('A canary step change is in progress, try again shortly', 409);
+    }
+
+    const rollout = this.rollout;
+    this.stop();
+    rollout.status = 'aborted';
+    rollout.weight = 0;
+    rollout.finishedAt = new Date().toISOString();
+    this.note('abort', reason, initiator);
+    this.save();
+
+    logger.warn(`Canary of ${rollout.canaryBranch} aborted: ${reason}`, { initiator });
+
+    // force rewrites the rules even though the base branch is still the "active" one
+    await trafficService.switchTo(rollout.baseBranch, { force: true });
+    this.broadcast(`Canary aborted: ${reason}`);
+
+    return this.describe(rollout);
+  }
+
+  /**
+   * Check the canary once its step has been held long enough
+   * @private
+   */
+  async tick() {
+    const rollout = this.rollout;
+    if (!rollout || rollout.status !== 'running' || this.busy) {
+      return;
+    }
+
+    if (Date.now() - new Date(rollout.stepStartedAt).getTime() < rollout.holdMs) {
+      return;
+    }
+
+    const stepIndex = rollout.stepIndex;
+
+    try {
+      const report = await healthCheckService.checkEnvironment(rollout.canaryBranch);
+      // Someone may have promoted, paused or aborted while the check ran
+      if (this.rollout !== rollout || rollout.status !== 'running' || rollout.stepIndex !== stepIndex) {
+        return;
+      }
+
+      rollout.lastCheck = {
+        status: report.status,
+        reasons: report.reasons || [],
+        checkedAt: new Date().toISOString()
+      };
+
+      if (report.status === 'healthy') {
+        await this.advance('step', null);
+      } else if (report.status === 'down') {
+        await this.abort(`${rollout.canaryBranch} is down at ${rollout.weight}%: ${(report.reasons || []).join('; ')}`);
+      } else {
+        // Degraded - stay on this step and check again next time
+        this.save();
+        this.broadcast(`Holding at ${rollout.weight}% while ${rollout.canaryBranch} is ${report.status}`);
+      }
+    } catch (error) {
+      logger.error(`Canary step check failed: ${error.message}`, { stack: error.stack });
+    }
+  }
+
+  /**
+   * Apply the next weight, finishing the rollout at 100%
+   * @private
+   */
+  async advance(action, initiator) {
+    if (this.busy) {
+      throw this.error('A canary step change is already in progress', 409);
+    }
+
+    const rollout = this.rollout;
+    const nextIndex = rollout.stepIndex + 1;
+    const weight = rollout.steps[nextIndex];
+
+    this.busy = true;
+    try {
+      if (weight >= 100) {
+        await this.complete(action, initiator);
+        return;
+      }
+
+      await trafficService.setCanary(rollout.baseBranch, rollout.canaryBranch, weight);
+
+      rollout.stepIndex = nextIndex;
+      rollout.weight = weight;
+      rollout.stepStartedAt = new Date().toISOString();
+      this.note(action, `Sending ${weight}% of traffic to ${rollout.canaryBranch}`, initiator);
+      this.save();
+
+      logger.info(`Canary of ${rollout.canaryBranch} at ${weight}%`, { action, initiator });
+      this.broadcast(`${rollout.canaryBranch} receives ${weight}% of traffic`);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Send all traffic to the canary and hand over to switch verification
+   * @private
+   */
+  async complete(action, initiator) {
+    const rollout = this.rollout;
+
+    await trafficService.switchTo(rollout.canaryBranch, { force: true });
+
+    this.stop();
+    rollout.stepIndex = rollout.steps.length - 1;
+    rollout.weight = 100;
+    rollout.status = 'completed';
+    rollout.stepStartedAt = new Date().toISOString();
+    rollout.finishedAt = rollout.stepStartedAt;
+    this.note(action, `${rollout.canaryBranch} now serves all traffic`, initiator);
+    this.save();
+
+    logger.info(`Canary of ${rollout.canaryBranch} completed`, { initiator });
+    this.broadcast(`${rollout.canaryBranch} now serves all traffic`);
+
+    switchVerifier.start({
+      targetBranch: rollout.canaryBranch,
+      previousBranch: rollout.baseBranch,
+      initiator: initiator || rollout.initiator
+    });
+  }
+
+  /**
+   * Continue a paused rollout from its current weight
+   * @private
+   */
+  async resumePaused(initiator) {
+    this.rollout.status = 'running';
+    this.rollout.stepStartedAt = new Date().toISOString(); // Hold the step again before advancing
+    this.note('resume', `Resumed at ${this.rollout.weight}%`, initiator);
+    this.save();
+    this.schedule();
+    this.broadcast(`Canary resumed at ${this.rollout.weight}%`);
+
+    return this.describe(this.rollout);
+  }
+
+  /**
+   * @private
+   */
+  schedule() {
+    this.stop();
+    this.timer = setInterval(() => this.tick(), CHECK_INTERVAL);
+    this.timer.unref();
+  }
+
+  /**
+   * @private
+   */
+  requireStatus(statuses) {
+    if (!this.rollout || !statuses.includes(this.rollout.status)) {
+      throw this.error(
+        this.rollout ? `Canary is ${this.rollout.status}` : 'No canary rollout in progress',
+        409
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  note(action, reason, initiator) {
+    this.rollout.history.push({
+      at: new Date().toISOString(),
+      action,
+      weight: this.rollout.weight,
+      reason,
+      initiator: initiator || null
+    });
+    this.rollout.history = this.rollout.history.slice(-HISTORY_LIMIT);
+  }
+
+  /**
+   * @private
+   */
+  load() {
+    if (!fs.existsSync(this.stateFile)) {
+      return;
+    }
+
+    try {
+      this.rollout = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      logger.warn(`Ignoring unreadable canary state in ${this.stateFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  save() {
+    try {
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.rollout, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save canary state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Public view of a rollout
+   * @private
+   */
+  describe(rollout) {
+    const nextCheckAt = rollout.status === 'running' && rollout.stepStartedAt
+      ? new Date(new Date(rollout.stepStartedAt).getTime() + rollout.holdMs).toISOString()
+      : null;
+
+    return {
+      id: rollout.id,
+      baseBranch: rollout.baseBranch,
+      canaryBranch: rollout.canaryBranch,
+      status: rollout.status,
+      weight: rollout.weight,
+      steps: rollout.steps,
+      stepIndex: rollout.stepIndex,
+      holdMs: rollout.holdMs,
+      stepStartedAt: rollout.stepStartedAt,
+      nextCheckAt,
+      lastCheck: rollout.lastCheck,
+      initiator: rollout.initiator,
+      startedAt: rollout.startedAt,
+      finishedAt: rollout.finishedAt,
+      history: rollout.history
+    };
+  }
+
+  /**
+   * Tell dashboard clients where the rollout stands
+   * @private
+   */
+  broadcast(message) {
+    websocketService.broadcast({
+      type: 'canary_status',
+      message,
+      rollout: this.describe(this.rollout),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * @private
+   */
+  error(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+// One instance per project
+module.exports = projectService.scoped(() => new CanaryService());
\ No newline at end of file
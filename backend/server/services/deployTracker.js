@@ -0,0 +1,262 @@
+// backend/server/services/deployTracker.js
+const netlifyService = require('./netlifyService');
+const deploymentStore = require('./deploymentStore');
+const websocketService = require('./websocketService');
+const projectService = require('./projectService');
+const logger = require('../utils/logger');
+
+const POLL_INTERVAL = parseInt(process.env.DEPLOY_POLL_INTERVAL_MS, 10) || 5000;
+const TRACK_TIMEOUT = 15 * 60 * 1000; // Give up after 15 minutes
+
+// Netlify deploy states -> DeployEase deployment states
+const STATE_MAP = {
+  new: 'enqueued',
+  pending_review: 'enqueued',
+  accepted: 'enqueued',
+  enqueued: 'enqueued',
+  retrying: 'enqueued',
+  building: 'building',
+  uploading: 'processing',
+  uploaded: 'processing',
+  preparing: 'processing',
+  prepared: 'processing',
+  processing: 'processing',
+  processed: 'processing',
+  ready: 'ready',
+  error: 'error',
+  rejected: 'error'
+};
+
+// Rough progress shown by the dashboard for each state
+const PROGRESS = {
+  enqueued: 10,
+  building: 40,
+  processing: 75,
+  ready: 100,
+  error: 100
+};
+
+const FINAL_STATES = ['ready', 'error'];
+
+class DeployTracker {
+  constructor() {
+    this.jobs = new Map(); // tracking key -> job
+  }
+
+  /**
+   * Follow a Netlify deploy until it is ready or fails, recording and broadcasting each state
+   * @param {Object} options
+   * @param {string} options.branch - Branch being built (blue/green/main)
+   * @param {string} [options.deploymentId] - Deployment record to update
+   * @param {string} [options.netlifyDeployId] - Netlify deploy ID, if the trigger returned one
+   * @param {string} [options.commitSha] - Commit being built, used to find hook-triggered deploys
+   * @param {string} [options.since] - When the build was triggered
+   * @returns {string|null} - Tracking key, or null if Netlify is not configured
+   */
+  track({ branch, deploymentId = null, netlifyDeployId = null, commitSha = null, since = new Date().toISOString() }) {
+    if (!netlifyService.enabled) {
+      logger.warn(`Netlify not configured - not tracking ${branch} deploy`);
+      return null;
+    }
+
+    const key = deploymentId || `${branch}-${Date.now()}`;
+    const job = {
+      key,
+      branch,
+      deploymentId,
+      netlifyDeployId,
+      commitSha,
+      since,
+      status: 'enqueued',
+      startedAt: Date.now(),
+      timer: null
+    };
+
+    this.stop(key);
+    this.jobs.set(key, job);
+    this.broadcast(job, `Waiting for Netlify to build ${branch}`);
+    this.schedule(job);
+
+    logger.info(`Tracking ${branch} deploy`, { deploymentId, netlifyDeployId, commitSha });
+    return key;
+  }
+
+  /**
+   * Apply a deploy object pushed by Netlify (webhook) instead of waiting for the next poll
+   * @param {Object} deploy - Netlify deploy payload
+   * @returns {Promise<boolean>} - True if the deploy belonged to a tracked deployment
+   */
+  async handleDeployEvent(deploy) {
+    const job = Array.from(this.jobs.values()).find(candidate =>
+      candidate.netlifyDeployId === deploy.id ||
+      (!candidate.netlifyDeployId && candidate.branch === projectService.environmentFor(deploy.branch) &&
+        (!candidate.commitSha || candidate.commitSha === deploy.commit_ref))
+    );
+
+    if (!job) {
+      return false;
+    }
+
+    job.netlifyDeployId = deploy.id;
+    await this.applyState(job, deploy.state, netlifyService.formatDeploy(deploy));
+    return true;
+  }
+
+  /**
+   * Stop tracking a deploy
+   * @param {string} key - Tracking key
+   */
+  stop(key) {
+    const job = this.jobs.get(key);
+    if (job) {
+      clearTimeout(job.timer);
+      this.jobs.delete(key);
+    }
+  }
+
+  /**
+   * Get the deploys currently being tracked
+   * @returns {Array<Object>}
+   */
+  getActive() {
+    return Array.from(this.jobs.values()).map(({ timer, ...job }) => job);
+  }
+
+  /**
+   * Queue the next poll for a job
+   * @private
+   */
+  schedule(job) {
+    job.timer = setTimeout(() => this.poll(job), POLL_INTERVAL);
+  }
+
+  /**
+   * Fetch the current deploy state from Netlify
+   * @private
+   */
+  async poll(job) {
+    if (!this.jobs.has(job.key)) {
+      return;
+    }
+
+    if (Date.now() - job.startedAt > TRACK_TIMEOUT) {
+      await this.finish(job, 'error', {
+        error: `Timed out after ${TRACK_TIMEOUT / 60000} minutes waiting for Netlify`
+      });
+      return;
+    }
+
+    try {
+      // Build hooks don't return a deploy ID - find it from the commit or trigger time
+      if (!job.netlifyDeployId) {
+        const found = await netlifyService.findDeploy(job.branch, {
+          commitSha: job.commitSha,
+          since: job.since
+        });
+
+        if (!found) {
+          this.schedule(job);
+          return;
+        }
+
+        job.netlifyDeployId = found.id;
+      }
+
+      const deploy = await netlifyService.getDeploy(job.netlifyDeployId);
+      await this.applyState(job, deploy.state, deploy);
+    } catch (error) {
+      logger.warn(`Failed to poll ${job.branch} deploy ${job.netlifyDeployId || '(unknown)'}: ${error.message}`);
+    }
+
+    if (this.jobs.has(job.key)) {
+      this.schedule(job);
+    }
+  }
+
+  /**
+   * Record and broadcast a state change
+   * @private
+   */
+  async applyState(job, netlifyState, deploy) {
+    const status = STATE_MAP[netlifyState];
+    if (!status) {
+      logger.debug(`Ignoring unknown Netlify deploy state: ${netlifyState}`);
+      return;
+    }
+
+    if (FINAL_STATES.includes(status)) {
+      await this.finish(job, status, {
+        deployUrl: deploy.url,
+        error: status === 'error' ? deploy.errorMessage || 'Netlify build failed' : null
+      });
+      return;
+    }
+
+    if (status === job.status) {
+      return;
+    }
+
+    job.status = status;
+    if (job.deploymentId) {
+      await deploymentStore.update(job.deploymentId, {
+        state: status,
+        netlifyDeployId: job.netlifyDeployId
+      });
+    }
+
+    this.broadcast(job, status === 'building' ? `Building ${job.branch}` : `Publishing ${job.branch}`);
+  }
+
+  /**
+   * Record the final state and stop tracking
+   * @private
+   */
+  async finish(job, status, { deployUrl = null, error = null }) {
+    // A webhook and a poll can both report the final state
+    if (!this.jobs.has(job.key)) {
+      return;
+    }
+
+    this.stop(job.key);
+    job.status = status;
+
+    if (job.deploymentId) {
+      await deploymentStore.update(job.deploymentId, {
+        state: status,
+        netlifyDeployId: job.netlifyDeployId,
+        deployUrl,
+        error
+      });
+    }
+
+    const message = status === 'ready'
+      ? `${job.branch} deploy is live${deployUrl ? ` at ${deployUrl}` : ''}`
+      : `${job.branch} deploy failed: ${error}`;
+
+    this.broadcast(job, message);
+    logger[status === 'ready' ? 'info' : 'error'](message, {
+      deploymentId: job.deploymentId,
+      netlifyDeployId: job.netlifyDeployId
+    });
+  }
+
+  /**
+   * Push a deploy_status message to dashboard clients
+   * @private
+   */
+  broadcast(job, message) {
+    websocketService.broadcast({
+      type: 'deploy_status',
+      deploymentId: job.deploymentId,
+      branch: job.branch,
+      status: job.status,
+      message,
+      progress: PROGRESS[job.status],
+      netlifyDeployId: job.netlifyDeployId,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// One instance per project - polling timers keep the project they were started in
+module.exports = projectService.scoped(() => new DeployTracker());
\ No newline at end of file
@@ -0,0 +1,375 @@
+// backend/server/services/deploymentService.js
+const gitService = require('./gitService');
+const netlifyService = require('./netlifyService');
+const deploymentStore = require('./deploymentStore');
+const deployTracker = require('./deployTracker');
+const operationService = require('./operationService');
+const logger = require('../utils/logger');
+
+class DeploymentService {
+  /**
+   * Commit files to a branch, trigger the Netlify build and record the deployment
+   * The build itself is followed in the background by deployTracker
+   * Nothing is committed or built when the branch already holds the files (gitResult.changed is false)
+   * @param {Object} options
+   * @param {string} options.branch - Target branch (blue/green)
+   * @param {Array<{path: string, content: string, encoding?: string}>} options.files - Files to deploy
+   * @param {string} options.commitMessage - Commit message
+   * @param {string} options.initiator - Who started the deployment
+   * @param {string} [options.source] - Where the deployment came from (api, upload...)
+   * @param {string} [options.expectedParentSha] - Refuse with 409 if the branch has moved past this commit
+   * @param {string} [options.mode] - 'merge' (default) or 'sync' to delete every unprotected file not uploaded
+   * @param {Array<string>} [options.deletions] - Paths to delete in the same commit
+   * @param {boolean} [options.wait] - Queue behind a running operation on the branch instead of failing with 409
+   * @returns {Promise<{record: Object, gitResult: Object, netlifyResult: Object|null}>}
+   */
+  async deploy({ wait = false, ...options }) {
+    return operationService.run(options.branch, {
+      type: 'deploy',
+      description: `Deployment to ${options.branch}`,
+      initiator: options.initiator
+    }, () => this.commitDeployment(options), { wait });
+  }
+
+  /**
+   * Point a branch back at an earlier commit, rebuild it and record the rollback
+   * @param {Object} options
+   * @param {string} options.branch - Branch to roll back (blue/green)
+   * @param {string} options.commitSha - Commit to roll back to
+   * @param {string} options.initiator - Who started the rollback
+   * @param {boolean} [options.wait] - Queue behind a running operation on the branch instead of failing with 409
+   * @returns {Promise<{record: Object, gitResult: Object, netlifyResult: Object}>}
+   */
+  async rollback({ wait = false, ...options }) {
+    return operationService.run(options.branch, {
+      type: 'rollback',
+      description: `Rollback of ${options.branch} to ${options.commitSha.slice(0, 7)}`,
+      initiator: options.initiator
+    }, () => this.resetBranch(options), { wait });
+  }
+
+  /**
+   * Copy one environment's tree onto the other, rebuild it and record the promotion
+   * @param {Object} options
+   * @param {string} options.source - Branch to copy (blue/green)
+   * @param {string} options.target - Branch to overwrite (blue/green)
+   * @param {string} options.initiator - Who started the promotion
+   * @param {string} [options.expectedParentSha] - Refuse with 409 if the target has moved past this commit
+   * @param {boolean} [options.wait] - Queue behind a running operation on the target instead of failing with 409
+   * @returns {Promise<{record: Object, gitResult: Object, netlifyResult: Object|null}>}
+   */
+  async promote({ wait = false, ...options }) {
+    return operationService.run(options.target, {
+      type: 'promote',
+      description: `Promotion of ${options.source} to ${options.target}`,
+      initiator: options.initiator
+    }, () => this.copyBranch(options), { wait });
+  }
+
+  /**
+   * Record a commit pushed straight to a branch with git and follow its Netlify build
+   * Branches with a build hook are built by Netlify's own git integration, others are triggered here
+   * @param {Object} options
+   * @param {string} options.branch - Branch that was pushed (blue/green)
+   * @param {string} options.commitSha - Head commit of the push
+   * @param {string} [options.commitUrl] - Link to the head commit
+   * @param {string} [options.commitMessage] - Head commit message
+   * @param {string} options.initiator - Who pushed
+   * @param {Array<string>} [options.paths] - Paths added or modified by the push
+   * @param {string} [options.skipReason] - Record the push without building it, e.g. the branch is locked
+   * @returns {Promise<{record: Object, netlifyResult: Object|null}>}
+   */
+  async recordPush({ branch, commitSha, commitUrl = null, commitMessage = null, initiator, paths = [], skipReason = null }) {
+    let record = await deploymentStore.create({
+      branch,
+      initiator,
+      commitMessage,
+      source: 'github-push',
+      files: paths.map(filePath => ({ path: filePath, size: null, encoding: null }))
+    });
+
+    record = await deploymentStore.update(record.id, {
+      state: 'committed',
+      commitSha,
+      commitUrl
+    });
+
+    if (skipReason) {
+      record = await deploymentStore.update(record.id, {
+        state: 'skipped',
+        error: skipReason
+      });
+
+      logger.warn(`Pushed commit ${commitSha.slice(0, 7)} to ${branch} not deployed: ${skipReason}`, {
+        deploymentId: record.id,
+        initiator
+      });
+
+      return { record, netlifyResult: null };
+    }
+
+    try {
+      let netlifyResult = null;
+      if (!netlifyService.hasBuildHook(branch)) {
+        netlifyResult = await netlifyService.triggerDeploy(branch);
+      }
+
+      record = await deploymentStore.update(record.id, {
+        state: 'enqueued',
+        netlifyDeployId: netlifyResult?.deployId || null
+      });
+
+      deployTracker.track({
+        branch,
+        deploymentId: record.id,
+        netlifyDeployId: netlifyResult?.deployId,
+        commitSha,
+        since: netlifyResult?.triggeredAt || record.createdAt
+      });
+
+      logger.info('Recorded pushed commit as deployment', {
+        deploymentId: record.id,
+        branch,
+        commitSha,
+        triggered: Boolean(netlifyResult)
+      });
+
+      return { record, netlifyResult };
+    } catch (error) {
+      await this.markFailed(record.id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get recent history for a branch, falling back to GitHub commits when nothing is recorded yet
+   * @param {string} branch - Branch name
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array<Object>>}
+   */
+  async getHistory(branch, limit = 10) {
+    const records = deploymentStore.query({ branch, limit });
+    if (records.length > 0) {
+      return records.map(record => deploymentStore.toHistoryEntry(record));
+    }
+
+    const commits = await gitService.getDeploymentHistory(branch, limit);
+    return commits.map(commit => ({
+      id: commit.id?.slice(0, 7),
+      branch,
+      status: commit.status || 'success',
+      timestamp: commit.timestamp,
+      commitSha: commit.id,
+      commitUrl: commit.url,
+      commitMessage: commit.message || `Deployment to ${branch}`,
+      committer: commit.author || 'DeployEase System'
+    }));
+  }
+
+  /**
+   * Commit, build and record a deployment while holding the branch
+   * @private
+   */
+  async commitDeployment({ branch, files, commitMessage, initiator, source = 'api', expectedParentSha = null, mode = 'merge', deletions = [] }) {
+    // The record lists file sizes - refuse malformed files with 400 before measuring them
+    gitService.validatePayload(branch, files, { mode, deletions });
+
+    let record = await deploymentStore.create({
+      branch,
+      initiator,
+      commitMessage,
+      source,
+      mode,
+      files: files.map(file => ({
+        path: file.path,
+        size: gitService.getFileSize(file),
+        encoding: file.encoding || 'utf-8'
+      }))
+    });
+
+    try {
+      // Deploy to GitHub branch
+      const gitResult = await gitService.deployToBranch(branch, files, commitMessage, { expectedParentSha, mode, deletions });
+
+      // Nothing to build when the branch already holds these files
+      if (!gitResult.changed) {
+        record = await deploymentStore.update(record.id, {
+          state: 'ready',
+          commitSha: gitResult.commitSha,
+          commitUrl: gitResult.commitUrl,
+          noChanges: true
+        });
+        return { record, gitResult, netlifyResult: null };
+      }
+
+      record = await deploymentStore.update(record.id, {
+        state: 'committed',
+        commitSha: gitResult.commitSha,
+        commitUrl: gitResult.commitUrl,
+        removed: gitResult.removed
+      });
+
+      // Trigger Netlify build
+      const netlifyResult = await netlifyService.triggerDeploy(branch);
+      record = await deploymentStore.update(record.id, {
+        state: 'enqueued',
+        netlifyDeployId: netlifyResult.deployId
+      });
+
+      deployTracker.track({
+        branch,
+        deploymentId: record.id,
+        netlifyDeployId: netlifyResult.deployId,
+        commitSha: gitResult.commitSha,
+        since: netlifyResult.triggeredAt
+      });
+
+      logger.info('Deployment successful', {
+        deploymentId: record.id,
+        branch,
+        commitUrl: gitResult.commitUrl,
+        deployId: netlifyResult.deployId,
+        fileCount: files.length,
+        removedCount: gitResult.removed.length
+      });
+
+      return { record, gitResult, netlifyResult };
+    } catch (error) {
+      await this.markFailed(record.id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset, rebuild and record a rollback while holding the branch
+   * @private
+   */
+  async resetBranch({ branch, commitSha, initiator }) {
+    let record = await deploymentStore.create({
+      type: 'rollback',
+      branch,
+      initiator,
+      commitMessage: `Rollback ${branch} to ${commitSha.slice(0, 7)}`,
+      source: 'api'
+    });
+
+    try {
+      // Revert to specific commit in GitHub
+      const gitResult = await gitService.rollbackToCommit(branch, commitSha);
+      record = await deploymentStore.update(record.id, {
+        state: 'committed',
+        commitSha,
+        commitUrl: gitResult.commitUrl
+      });
+
+      // Trigger Netlify build
+      const netlifyResult = await netlifyService.triggerDeploy(branch);
+      record = await deploymentStore.update(record.id, {
+        state: 'enqueued',
+        netlifyDeployId: netlifyResult.deployId
+      });
+
+      deployTracker.track({
+        branch,
+        deploymentId: record.id,
+        netlifyDeployId: netlifyResult.deployId,
+        commitSha,
+        since: netlifyResult.triggeredAt
+      });
+
+      logger.info('Rollback successful', {
+        deploymentId: record.id,
+        branch,
+        commitSha,
+        commitUrl: gitResult.commitUrl,
+        deployId: netlifyResult.deployId
+      });
+
+      return { record, gitResult, netlifyResult };
+    } catch (error) {
+      await this.markFailed(record.id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Promote, rebuild and record a promotion while holding the target
+   * @private
+   */
+  async copyBranch({ source, target, initiator, expectedParentSha = null }) {
+    let record = await deploymentStore.create({
+      type: 'promotion',
+      branch: target,
+      initiator,
+      commitMessage: `Promote ${source} to ${target}`,
+      source: 'api',
+      promotedFrom: source
+    });
+
+    try {
+      const gitResult = await gitService.promoteBranch(source, target, { expectedParentSha });
+
+      // Nothing to build when the target already holds the source tree
+      if (!gitResult.changed) {
+        record = await deploymentStore.update(record.id, {
+          state: 'ready',
+          commitSha: gitResult.commitSha,
+          commitUrl: gitResult.commitUrl,
+          promotedSha: gitResult.sourceSha
+        });
+        return { record, gitResult, netlifyResult: null };
+      }
+
+      record = await deploymentStore.update(record.id, {
+        state: 'committed',
+        commitSha: gitResult.commitSha,
+        commitUrl: gitResult.commitUrl,
+        promotedSha: gitResult.sourceSha,
+        fastForward: gitResult.fastForward
+      });
+
+      // Trigger Netlify build
+      const netlifyResult = await netlifyService.triggerDeploy(target);
+      record = await deploymentStore.update(record.id, {
+        state: 'enqueued',
+        netlifyDeployId: netlifyResult.deployId
+      });
+
+      deployTracker.track({
+        branch: target,
+        deploymentId: record.id,
+        netlifyDeployId: netlifyResult.deployId,
+        commitSha: gitResult.commitSha,
+        since: netlifyResult.triggeredAt
+      });
+
+      logger.info('Promotion successful', {
+        deploymentId: record.id,
+        source,
+        target,
+        commitUrl: gitResult.commitUrl,
+        fastForward: gitResult.fastForward,
+        deployId: netlifyResult.deployId
+      });
+
+      return { record, gitResult, netlifyResult };
+    } catch (error) {
+      await this.markFailed(record.id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed deployment
+   * @private
+   */
+  async markFailed(recordId, error) {
+    await deploymentStore.update(recordId, {
+      state: 'failed',
+      error: error.originalError || error.message
+    });
+  }
+}
+
+// Singleton instance
+module.exports = new DeploymentService();
\ No newline at end of file
@@ -0,0 +1,204 @@
+// backend/server/services/deploymentStore.js
+const fs = require('fs');
+const crypto = require('crypto');
+const projectService = require('./projectService');
+const logger = require('../utils/logger');
+
+// Records live in an append-only JSON-lines file per project - one snapshot per change, last one wins
+const STORE_FILE = 'deployments.jsonl';
+const FINAL_STATES = ['ready', 'error', 'failed', 'skipped'];
+const DEFAULT_QUERY_LIMIT = 50;
+
+class DeploymentStore {
+  constructor() {
+    this.records = new Map();
+    this.writeQueue = Promise.resolve();
+    this.storeFile = projectService.dataPath(STORE_FILE);
+
+    this.load();
+  }
+
+  /**
+   * Load records from disk, compacting the file if it holds many stale snapshots
+   * @private
+   */
+  load() {
+    if (!fs.existsSync(this.storeFile)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.storeFile, 'utf8').split('\n').filter(Boolean);
+    let skipped = 0;
+
+    lines.forEach(line => {
+      try {
+        const record = JSON.parse(line);
+        this.records.set(record.id, record);
+      } catch (error) {
+        skipped++;
+      }
+    });
+
+    if (skipped > 0) {
+      logger.warn(`Skipped ${skipped} unreadable deployment record lines in ${this.storeFile}`);
+    }
+
+    // Rewrite the file when it holds more than twice as many snapshots as records
+    if (lines.length > this.records.size * 2) {
+      const compacted = Array.from(this.records.values()).map(record => JSON.stringify(record)).join('\n');
+      fs.writeFileSync(this.storeFile, compacted ? `${compacted}\n` : '');
+      logger.info(`Compacted deployment store from ${lines.length} to ${this.records.size} lines`);
+    }
+
+    logger.info(`Loaded ${this.records.size} deployment records for ${projectService.current().id}`);
+  }
+
+  /**
+   * Create a new deployment record
+   * @param {Object} data - Initial record data
+   * @param {string} data.branch - Target branch
+   * @param {string} data.initiator - Who started the deployment
+   * @param {Array<{path: string, size: number, encoding: string}>} [data.files] - File manifest
+   * @param {string} [data.commitMessage] - Commit message
+   * @param {string} [data.type] - deployment, rollback, promotion...
+   * @returns {Promise<Object>} - Stored record
+   */
+  async create({ branch, initiator, files = [], commitMessage = null, type = 'deployment', ...extra }) {
+    const now = new Date().toISOString();
+    const record = {
+      id: `deploy-${branch}-${Date.now()}-${crypto.randomBytes(2).toString('hex')}`,
+      type,
+      branch,
+      state: 'pending',
+      initiator: initiator || 'anonymous',
+      commitMessage,
+      commitSha: null,
+      commitUrl: null,
+      netlifyDeployId: null,
+      deployUrl: null,
+      files,
+      error: null,
+      transitions: [{ state: 'pending', at: now }],
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      ...extra
+    };
+
+    await this.persist(record);
+    return record;
+  }
+
+  /**
+   * Update an existing record, appending to its transitions when the state changes
+   * @param {string} id - Record ID
+   * @param {Object} changes - Fields to merge into the record
+   * @returns {Promise<Object|null>} - Updated record or null if not found
+   */
+  async update(id, changes) {
+    const existing = this.records.get(id);
+    if (!existing) {
+      logger.warn(`Attempted to update unknown deployment record: ${id}`);
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      ...existing,
+      ...changes,
+      id,
+      updatedAt: now
+    };
+
+    if (changes.state && changes.state !== existing.state) {
+      record.transitions = [...(existing.transitions || []), { state: changes.state, at: now }];
+    }
+
+    if (changes.state && FINAL_STATES.includes(changes.state) && !record.finishedAt) {
+      record.finishedAt = now;
+    }
+
+    await this.persist(record);
+    return record;
+  }
+
+  /**
+   * Get a record by ID
+   * @param {string} id - Record ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Find the record that produced a commit
+   * @param {string} commitSha - Commit SHA
+   * @param {string} [branch] - Only match records for this branch
+   * @returns {Object|null}
+   */
+  findByCommit(commitSha, branch) {
+    return Array.from(this.records.values()).find(record =>
+      record.commitSha === commitSha && (!branch || record.branch === branch)
+    ) || null;
+  }
+
+  /**
+   * Query records, newest first
+   * @param {Object} filters
+   * @param {string} [filters.branch] - Only records for this branch
+   * @param {string} [filters.state] - Only records in this state
+   * @param {string|Date} [filters.since] - Only records created at or after this time
+   * @param {number} [filters.limit] - Maximum number of records
+   * @returns {Array<Object>}
+   */
+  query({ branch, state, since, limit = DEFAULT_QUERY_LIMIT } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+
+    return Array.from(this.records.values())
+      .filter(record => !branch || record.branch === branch)
+      .filter(record => !state || record.state === state)
+      .filter(record => !sinceTime || new Date(record.createdAt).getTime() >= sinceTime)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Format a record in the shape the history endpoints and dashboard expect
+   * @param {Object} record - Stored record
+   * @returns {{id: string, type: string, branch: string, status: string, timestamp: string, commitSha: string, commitUrl: string, commitMessage: string, committer: string}}
+   */
+  toHistoryEntry(record) {
+    return {
+      id: record.id,
+      type: record.type || 'deployment',
+      branch: record.branch,
+      status: record.state,
+      timestamp: record.createdAt,
+      commitSha: record.commitSha,
+      commitUrl: record.commitUrl,
+      commitMessage: record.commitMessage || `Deployment to ${record.branch}`,
+      committer: record.initiator
+    };
+  }
+
+  /**
+   * Save a record in memory and append its snapshot to disk
+   * @private
+   */
+  persist(record) {
+    this.records.set(record.id, record);
+
+    // Serialize appends so snapshots never interleave
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.appendFile(this.storeFile, `${JSON.stringify(record)}\n`))
+      .catch(error => {
+        logger.error(`Failed to persist deployment record ${record.id}: ${error.message}`);
+      });
+
+    return this.writeQueue;
+  }
+}
+
+// One instance per project
+module.exports = projectService.scoped(() => new DeploymentStore());
\ No newline at end of file
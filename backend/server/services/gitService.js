@@ -1,11 +1,14 @@
 const { Octokit } = require('@octokit/rest');
+const { createTwoFilesPatch } = require('diff');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
-const path = require('path');
+const fileTypes = require('../config/fileTypes');
+const operationService = require('./operationService');
+const authService = require('./authService');
+const projectService = require('./projectService');
 
 // Configuration constants
-const REPOSITORY_URL = process.env.REPOSITORY_URL || 'https://github.com/Aswanthrajan/blue';
-const NETLIFY_SITE_NAME = process.env.NETLIFY_SITE_NAME || 'deployeaselive';
+// Environments - each project maps them to its own git branches (projectService.gitBranch)
 const DEFAULT_BRANCHES = {
   MAIN: 'main',
   BLUE: 'blue',
@@ -13,12 +16,18 @@ const DEFAULT_BRANCHES = {
 };
 const REDIRECTS_FILE = '_redirects';
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
-const VALID_FILE_EXTENSIONS = ['.html', '.css', '.js', '.json', '.txt', '.md'];
+const MAX_FILE_COUNT = 1000; // Whole built sites, e.g. extracted archives
+const BLOB_UPLOAD_CONCURRENCY = 10; // Parallel blob uploads per batch
+const VALID_ENCODINGS = ['utf-8', 'utf8', 'base64'];
+const VALID_FILE_MODES = ['100644', '100755']; // Regular and executable files
 const CACHE_TTL = 300000; // 5 minutes
 const CACHE_TTL_EXTENDED = 1800000; // 30 minutes for rate limited scenarios
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAY_BASE = 2000; // Base delay in ms before exponential backoff
 const NETLIFY_SPECIAL_FILES = ['_redirects', '_headers', 'netlify.toml'];
+const DEPLOY_MODES = ['merge', 'sync']; // merge keeps files not uploaded, sync deletes them
+const MAX_LISTED_REMOVALS = 50; // Removed paths listed in the commit message
+const MAX_DIFF_SIZE = 512 * 1024; // Larger text files are compared without a diff
 
 class GitService {
   constructor() {
@@ -219,47 +228,33 @@ class GitService {
   /**
    * Deploy files to specified branch
    * @param {string} branch - Target branch (blue/green)
-   * @param {Array<{path: string, content: string}>} files - Files to deploy
+   * @param {Array<{path: string, content: string, encoding?: string, mode?: string}>} files - Files to deploy
    * @param {string} commitMessage - Custom commit message
-   * @returns {Promise<{commitUrl: string, branch: string, deployId: string, timestamp: string}>}
+   * @param {Object} [options]
+   * @param {string} [options.expectedParentSha] - Refuse with 409 if the branch head isn't this commit
+   * @param {string} [options.mode] - 'merge' (default) or 'sync' to delete every unprotected file not uploaded
+   * @param {Array<string>} [options.deletions] - Paths to delete in the same commit
+   * @returns {Promise<{commitUrl: string, commitSha: string, branch: string, deployId: string, changed: boolean, removed: Array<string>, blobs: Object, timestamp: string}>}
    */
-  async deployToBranch(branch, files, commitMessage = 'DeployEase automated deployment') {
-    if (!branch) {
-      throw new Error('Branch is required for deployment');
-    }
-    
-    if (!files || !Array.isArray(files) || files.length === 0) {
-      throw new Error('Files are required for deployment');
-    }
-
-    if (![DEFAULT_BRANCHES.BLUE, DEFAULT_BRANCHES.GREEN, DEFAULT_BRANCHES.MAIN].includes(branch)) {
-      throw new Error(`Invalid deployment branch: ${branch}. Must be 'blue', 'green', or 'main'`);
-    }
+  async deployToBranch(branch, files, commitMessage = 'DeployEase automated deployment', { expectedParentSha = null, mode = 'merge', deletions = [] } = {}) {
+    this.validatePayload(branch, files, { mode, deletions });
 
     try {
       const { owner, repo } = this.parseRepositoryUrl();
-      
-      // Validate files before deployment
-      this.validateFiles(files);
 
       const commitHash = crypto.createHash('sha256')
-        .update(JSON.stringify(files) + Date.now())
+        .update(JSON.stringify({ files, mode, deletions }))
         .digest('hex');
 
-      // Check cache to avoid duplicate deployments
-      const cacheKey = `${branch}-${commitHash}`;
-      if (this.cache.has(cacheKey)) {
-        return this.cache.get(cacheKey).data;
-      }
-
-      // Create commit with all files
+      // Create commit with the changed files - unchanged ones are found by blob SHA against the branch tree
       const commitResult = await this.executeWithRetry(
         async () => this.createCommit(
           owner,
           repo,
           branch,
           files,
-          `${commitMessage} [${commitHash.slice(0, 7)}]`
+          `${commitMessage} [${commitHash.slice(0, 7)}]`,
+          { expectedParentSha, mode, deletions }
         ),
         'creating commit',
         { maxRetries: MAX_RETRY_ATTEMPTS + 1 } // More retries for critical operations
@@ -271,22 +266,31 @@ class GitService {
 
       const result = {
         commitUrl,
+        commitSha: commitResult.sha,
         branch,
         deployId,
+        changed: commitResult.changed,
+        removed: commitResult.removed,
+        blobs: commitResult.blobs,
         timestamp: new Date().toISOString()
       };
 
-      // Cache result
-      this.cache.set(cacheKey, {
-        data: result,
-        expires: Date.now() + CACHE_TTL
-      });
+      if (!commitResult.changed) {
+        logger.info(`No changes to deploy to ${branch} branch`, {
+          repository: projectService.current().repositoryUrl,
+          commitSha: commitResult.sha,
+          fileCount: files.length
+        });
+        return result;
+      }
 
       logger.info(`Deployment successful to ${branch} branch`, {
-        repository: REPOSITORY_URL,
+        repository: projectService.current().repositoryUrl,
         commitUrl,
         deployId,
-        fileCount: files.length
+        fileCount: files.length,
+        removedCount: commitResult.removed.length,
+        uploadedBlobs: commitResult.blobs.uploaded
       });
 
       return result;
@@ -295,6 +299,111 @@ class GitService {
     }
   }
 
+  /**
+   * Compare files against the current tree of a branch without committing anything
+   * @param {string} branch - Target branch (blue/green)
+   * @param {Array<{path: string, content: string, encoding?: string, mode?: string}>} files - Files that would be deployed
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'merge' (default) or 'sync'
+   * @param {Array<string>} [options.deletions] - Paths that would be deleted
+   * @returns {Promise<{branch: string, baseSha: string, added: Array<Object>, modified: Array<Object>, unchanged: Array<Object>, removed: Array<Object>, summary: Object}>}
+   */
+  async previewDeployment(branch, files, { mode = 'merge', deletions = [] } = {}) {
+    try {
+      if (files.length > 0 || deletions.length === 0) {
+        this.validateFiles(files);
+      }
+      this.validateDeletions(files, { mode, deletions });
+    } catch (error) {
+      error.statusCode = 400;
+      throw error;
+    }
+
+    try {
+      const { owner, repo } = this.parseRepositoryUrl();
+
+      const baseSha = await this.executeWithRetry(
+        async () => this.getBranchSha(owner, repo, branch),
+        `getting branch SHA for ${branch}`
+      );
+      const treeSha = await this.executeWithRetry(
+        async () => this.getCommitTree(owner, repo, baseSha),
+        `getting commit tree for ${baseSha.slice(0, 7)}`
+      );
+      const tree = await this.getTreeEntries(owner, repo, treeSha, { requireComplete: mode === 'sync' || deletions.length > 0 });
+
+      const preview = { branch, baseSha, added: [], modified: [], unchanged: [], removed: [] };
+
+      for (let i = 0; i < files.length; i += BLOB_UPLOAD_CONCURRENCY) {
+        const batch = files.slice(i, i + BLOB_UPLOAD_CONCURRENCY);
+        await Promise.all(batch.map(async file => {
+          const existing = tree.get(file.path);
+          const entry = {
+            path: file.path,
+            size: this.getFileSize(file),
+            binary: file.encoding === 'base64'
+          };
+
+          // Same content and mode as createCommit compares - a file whose mode alone changes is still committed
+          const fileMode = file.mode || '100644';
+          const sameContent = Boolean(existing) && existing.sha === this.computeBlobSha(file);
+          if (sameContent && existing.mode === fileMode) {
+            preview.unchanged.push(entry);
+            return;
+          }
+
+          const previous = existing && !entry.binary && !sameContent
+            ? await this.getBlobText(owner, repo, existing.sha, existing.size)
+            : '';
+
+          if (existing) {
+            entry.previousSize = existing.size;
+          }
+
+          // Mode changes head the diff the way git shows them
+          let modeChange = '';
+          if (existing && existing.mode !== fileMode) {
+            entry.previousMode = existing.mode;
+            entry.mode = fileMode;
+            modeChange = `old mode ${existing.mode}\nnew mode ${fileMode}\n`;
+          }
+
+          // Binary files and very large text files are listed without a diff
+          if (sameContent) {
+            entry.diff = modeChange;
+          } else {
+            const patch = entry.binary || previous === null || entry.size > MAX_DIFF_SIZE
+              ? null
+              : createTwoFilesPatch(
+                existing ? `a/${file.path}` : '/dev/null',
+                `b/${file.path}`,
+                previous,
+                file.content
+              );
+            entry.diff = patch && modeChange + patch;
+          }
+
+          (existing ? preview.modified : preview.added).push(entry);
+        }));
+      }
+
+      preview.removed = this.getRemovedPaths(tree, files, { mode, deletions })
+        .map(filePath => ({ path: filePath, size: tree.get(filePath).size }));
+
+      ['added', 'modified', 'unchanged'].forEach(group => preview[group].sort((a, b) => a.path.localeCompare(b.path)));
+      preview.summary = {
+        added: preview.added.length,
+        modified: preview.modified.length,
+        unchanged: preview.unchanged.length,
+        removed: preview.removed.length
+      };
+
+      return preview;
+    } catch (error) {
+      this.handleError(`Failed to preview deployment to ${branch}`, error);
+    }
+  }
+
   /**
    * Verify repository access
    * @private
@@ -436,6 +545,40 @@ class GitService {
     logger.debug(`Cache cleanup complete. Main cache: ${this.cache.size} entries, History cache: ${this.historyCache.size} entries`);
   }
 
+  /**
+   * Check a deployment payload before anything is recorded or committed
+   * A bad payload is the caller's mistake - 400 with the reason, not wrapped by handleError like a GitHub failure
+   * @param {string} branch - Target branch
+   * @param {Array} files - Files to deploy
+   * @param {Object} [options]
+   * @param {string} [options.mode] - merge or sync
+   * @param {Array<string>} [options.deletions] - Paths to delete
+   * @throws {Error} - statusCode 400 when the payload can't be deployed
+   */
+  validatePayload(branch, files, { mode = 'merge', deletions = [] } = {}) {
+    try {
+      if (!branch) {
+        throw new Error('Branch is required for deployment');
+      }
+
+      if (!files || !Array.isArray(files) || (files.length === 0 && deletions.length === 0)) {
+        throw new Error('Files are required for deployment');
+      }
+
+      if (![DEFAULT_BRANCHES.BLUE, DEFAULT_BRANCHES.GREEN, DEFAULT_BRANCHES.MAIN].includes(branch)) {
+        throw new Error(`Invalid deployment branch: ${branch}. Must be 'blue', 'green', or 'main'`);
+      }
+
+      if (files.length > 0) {
+        this.validateFiles(files);
+      }
+      this.validateDeletions(files, { mode, deletions });
+    } catch (error) {
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
   /**
    * Validate files before deployment
    * @param {Array} files - Files to validate
@@ -446,13 +589,13 @@ class GitService {
       throw new Error('No files provided for deployment');
     }
 
-    if (files.length > 100) {
-      throw new Error('Cannot deploy more than 100 files at once');
+    if (files.length > MAX_FILE_COUNT) {
+      throw new Error(`Cannot deploy more than ${MAX_FILE_COUNT} files at once`);
     }
 
     const seenPaths = new Set();
     files.forEach(file => {
-      if (!file.path || typeof file.content === 'undefined') {
+      if (!file || typeof file.path !== 'string' || !file.path || typeof file.content !== 'string') {
         throw new Error('Each file must have path and content properties');
       }
 
@@ -461,22 +604,94 @@ class GitService {
       }
       seenPaths.add(file.path);
 
-      // Special case for Netlify special files
-      if (NETLIFY_SPECIAL_FILES.includes(file.path)) {
-        return; // Skip extension validation for Netlify special files
+      const encoding = file.encoding || 'utf-8';
+      if (!VALID_ENCODINGS.includes(encoding)) {
+        throw new Error(`Invalid encoding for ${file.path}: ${encoding}. Use 'utf-8' or 'base64'`);
       }
 
-      const ext = path.extname(file.path).toLowerCase();
-      if (!VALID_FILE_EXTENSIONS.includes(ext)) {
-        throw new Error(`Invalid file extension for ${file.path}. Allowed: ${VALID_FILE_EXTENSIONS.join(', ')}`);
+      if (file.mode && !VALID_FILE_MODES.includes(file.mode)) {
+        throw new Error(`Invalid file mode for ${file.path}: ${file.mode}`);
       }
 
-      if (Buffer.byteLength(file.content, 'utf8') > MAX_FILE_SIZE) {
+      if (encoding === 'base64' && !/^[A-Za-z0-9+/]*={0,2}$/.test(file.content)) {
+        throw new Error(`File ${file.path} is marked base64 but is not valid base64`);
+      }
+
+      // Netlify special files skip the type policy
+      if (!NETLIFY_SPECIAL_FILES.includes(file.path)) {
+        if (!fileTypes.isAllowed(file.path)) {
+          const mimeType = fileTypes.getMimeType(file.path) || 'unknown type';
+          throw new Error(`File type not allowed for ${file.path} (${mimeType}). Allowed: ${fileTypes.describeAllowed()}`);
+        }
+
+        if (fileTypes.isBinary(file.path) && encoding !== 'base64') {
+          throw new Error(`Binary file ${file.path} must be sent base64-encoded`);
+        }
+      }
+
+      if (this.getFileSize(file) > MAX_FILE_SIZE) {
         throw new Error(`File ${file.path} exceeds maximum size of 5MB`);
       }
     });
   }
 
+  /**
+   * Validate the deploy mode and explicit deletions
+   * @param {Array} files - Files being deployed
+   * @param {Object} options
+   * @param {string} options.mode - merge or sync
+   * @param {Array<string>} options.deletions - Paths to delete
+   * @throws {Error} If validation fails
+   */
+  validateDeletions(files, { mode, deletions }) {
+    if (!DEPLOY_MODES.includes(mode)) {
+      throw new Error(`Invalid deploy mode: ${mode}. Use 'merge' or 'sync'`);
+    }
+
+    if (!Array.isArray(deletions)) {
+      throw new Error('Deletions must be an array of paths');
+    }
+
+    const uploaded = new Set(files.map(file => file.path));
+    deletions.forEach(filePath => {
+      if (typeof filePath !== 'string' || !filePath || filePath.startsWith('/') || filePath.split('/').includes('..')) {
+        throw new Error(`Invalid deletion path: ${filePath}`);
+      }
+
+      if (NETLIFY_SPECIAL_FILES.includes(filePath)) {
+        throw new Error(`${filePath} is protected and can't be deleted by a deployment`);
+      }
+
+      if (uploaded.has(filePath)) {
+        throw new Error(`${filePath} is both uploaded and marked for deletion`);
+      }
+    });
+  }
+
+  /**
+   * Get the decoded size of a deployment file in bytes
+   * @param {{content: string, encoding?: string}} file - File to measure
+   * @returns {number}
+   */
+  getFileSize(file) {
+    return file.encoding === 'base64'
+      ? Buffer.from(file.content, 'base64').length
+      : Buffer.byteLength(file.content, 'utf8');
+  }
+
+  /**
+   * Compute the git blob SHA a deployment file would be stored under
+   * @param {{content: string, encoding?: string}} file - File to hash
+   * @returns {string}
+   */
+  computeBlobSha(file) {
+    const content = Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf8');
+    return crypto.createHash('sha1')
+      .update(`blob ${content.length}\0`)
+      .update(content)
+      .digest('hex');
+  }
+
   /**
    * Switch active environment by updating redirects
    * @param {string} targetBranch - Branch to switch to (blue/green)
@@ -495,7 +710,7 @@ class GitService {
         async () => this.getActiveBranch(), 
         'getting active branch',
         { 
-          cacheKey: 'active-branch',
+          cacheKey: `active-branch-${owner}-${repo}`,
           cacheResult: true,
           cacheTTL: 600000 // 10 min cache
         }
@@ -503,7 +718,7 @@ class GitService {
       
       if (currentBranch === targetBranch) {
         return {
-          redirectsUrl: `https://github.com/${owner}/${repo}/blob/${DEFAULT_BRANCHES.MAIN}/${REDIRECTS_FILE}`,
+          redirectsUrl: `https://github.com/${owner}/${repo}/blob/${projectService.gitBranch(DEFAULT_BRANCHES.MAIN)}/${REDIRECTS_FILE}`,
           activeBranch: targetBranch,
           status: 'no_change',
           timestamp: new Date().toISOString()
@@ -513,15 +728,15 @@ class GitService {
       const result = await this.updateRedirectsFile(targetBranch);
       
       // Clear cache for active branch since we just changed it
-      this.cache.delete('active-branch');
+      this.cache.delete(`active-branch-${owner}-${repo}`);
       
       logger.info(`Environment switched to ${targetBranch}`, {
-        repository: REPOSITORY_URL,
+        repository: projectService.current().repositoryUrl,
         commitUrl: result.commitUrl
       });
 
       return {
-        redirectsUrl: `https://github.com/${owner}/${repo}/blob/${DEFAULT_BRANCHES.MAIN}/${REDIRECTS_FILE}`,
+        redirectsUrl: `https://github.com/${owner}/${repo}/blob/${projectService.gitBranch(DEFAULT_BRANCHES.MAIN)}/${REDIRECTS_FILE}`,
         activeBranch: targetBranch,
         commitUrl: result.commitUrl,
         timestamp: new Date().toISOString()
@@ -540,14 +755,14 @@ class GitService {
   async getDeploymentHistory(branch, limit = 10) {
     try {
       const { owner, repo } = this.parseRepositoryUrl();
-      const cacheKey = `history-${branch}-${limit}`;
+      const cacheKey = `history-${owner}-${repo}-${branch}-${limit}`;
       
       return await this.executeWithRetry(
         async () => {
           const { data: commits } = await this.octokit.repos.listCommits({
             owner,
             repo,
-            sha: branch,
+            sha: projectService.gitBranch(branch),
             per_page: Math.min(limit, 30) // Limit to 30 commits
           });
           
@@ -611,7 +826,7 @@ class GitService {
   async getActiveBranch() {
     try {
       const { owner, repo } = this.parseRepositoryUrl();
-      const cacheKey = 'active-branch';
+      const cacheKey = `active-branch-${owner}-${repo}`;
       
       // Try from cache with extended retry
       return await this.executeWithRetry(
@@ -630,11 +845,11 @@ class GitService {
           }
 
           // Fallback to parsing redirect URLs for branch deploys and Netlify URLs
-          if (content.includes(`https://blue--${NETLIFY_SITE_NAME}.netlify.app`) || 
+          if (content.includes(projectService.branchUrl(DEFAULT_BRANCHES.BLUE)) || 
               content.includes(`/${DEFAULT_BRANCHES.BLUE}/`) || 
               content.includes('/blue/')) {
             return DEFAULT_BRANCHES.BLUE;
-          } else if (content.includes(`https://green--${NETLIFY_SITE_NAME}.netlify.app`) || 
+          } else if (content.includes(projectService.branchUrl(DEFAULT_BRANCHES.GREEN)) || 
                      content.includes(`/${DEFAULT_BRANCHES.GREEN}/`) || 
                      content.includes('/green/')) {
             return DEFAULT_BRANCHES.GREEN;
@@ -689,7 +904,7 @@ class GitService {
           await this.octokit.git.updateRef({
             owner,
             repo,
-            ref: `heads/${branch}`,
+            ref: `heads/${projectService.gitBranch(branch)}`,
             sha: commitSha,
             force: true
           });
@@ -707,18 +922,199 @@ class GitService {
     }
   }
 
+  /**
+   * Compare the trees of two branches - what promoting head onto base would change
+   * Patches come from GitHub's compare API when base is an ancestor of head, and are
+   * built from the blobs otherwise (the compare API diffs against the merge base)
+   * @param {string} base - Branch that would receive the files (blue/green)
+   * @param {string} head - Branch the files come from (blue/green)
+   * @returns {Promise<{base: Object, head: Object, status: string, aheadBy: number, behindBy: number, identical: boolean, files: Array<Object>, summary: Object}>}
+   */
+  async compareBranches(base, head) {
+    try {
+      const { owner, repo } = this.parseRepositoryUrl();
+      const [baseState, headState] = await Promise.all([base, head].map(branch => this.getBranchState(owner, repo, branch)));
+
+      const { data: comparison } = await this.executeWithRetry(
+        async () => this.octokit.repos.compareCommitsWithBasehead({
+          owner,
+          repo,
+          basehead: `${baseState.sha}...${headState.sha}`
+        }),
+        `comparing ${base}...${head}`
+      );
+
+      const [baseTree, headTree] = await Promise.all([baseState, headState].map(state => this.getTreeEntries(owner, repo, state.treeSha)));
+      const compareFiles = comparison.status === 'ahead'
+        ? new Map((comparison.files || []).map(file => [file.filename, file]))
+        : new Map();
+
+      const paths = Array.from(new Set([...baseTree.keys(), ...headTree.keys()]))
+        .filter(filePath => baseTree.get(filePath)?.sha !== headTree.get(filePath)?.sha)
+        .sort((a, b) => a.localeCompare(b));
+
+      const files = [];
+      for (let i = 0; i < paths.length; i += BLOB_UPLOAD_CONCURRENCY) {
+        const batch = paths.slice(i, i + BLOB_UPLOAD_CONCURRENCY);
+        files.push(...await Promise.all(batch.map(async filePath => {
+          const before = baseTree.get(filePath);
+          const after = headTree.get(filePath);
+          const compared = compareFiles.get(filePath);
+          const entry = {
+            path: filePath,
+            status: !before ? 'added' : !after ? 'removed' : 'modified',
+            size: after ? after.size : null,
+            previousSize: before ? before.size : null
+          };
+
+          // Compare API patches are left out for binary and very large files
+          if (compared || comparison.status === 'ahead') {
+            entry.diff = compared?.patch || null;
+            return entry;
+          }
+
+          const [previous, next] = await Promise.all([before, after].map(blob =>
+            blob ? this.getBlobText(owner, repo, blob.sha, blob.size) : ''
+          ));
+          const binary = [previous, next].some(text => text && text.includes('\u0000'));
+
+          entry.diff = previous === null || next === null || binary
+            ? null
+            : createTwoFilesPatch(
+              before ? `a/${filePath}` : '/dev/null',
+              after ? `b/${filePath}` : '/dev/null',
+              previous,
+              next
+            );
+          return entry;
+        })));
+      }
+
+      return {
+        base: { branch: base, sha: baseState.sha },
+        head: { branch: head, sha: headState.sha },
+        status: comparison.status,
+        aheadBy: comparison.ahead_by,
+        behindBy: comparison.behind_by,
+        identical: files.length === 0,
+        files,
+        summary: ['added', 'modified', 'removed'].reduce((summary, status) => {
+          summary[status] = files.filter(file => file.status === status).length;
+          return summary;
+        }, {})
+      };
+    } catch (error) {
+      this.handleError(`Failed to compare ${base} with ${head}`, error);
+    }
+  }
+
+  /**
+   * Make a branch hold exactly the tree of another branch
+   * Fast-forwards when the target is an ancestor of the source, otherwise commits the
+   * source tree on top of the target as a single commit
+   * @param {string} source - Branch to copy (blue/green)
+   * @param {string} target - Branch to overwrite (blue/green)
+   * @param {Object} [options]
+   * @param {string} [options.expectedParentSha] - Refuse with 409 if the target head isn't this commit
+   * @returns {Promise<{commitSha: string, commitUrl: string, sourceSha: string, previousSha: string, fastForward: boolean, changed: boolean, timestamp: string}>}
+   */
+  async promoteBranch(source, target, { expectedParentSha = null } = {}) {
+    const environments = [DEFAULT_BRANCHES.BLUE, DEFAULT_BRANCHES.GREEN];
+    if (!environments.includes(source) || !environments.includes(target) || source === target) {
+      throw Object.assign(new Error(`Invalid promotion from ${source} to ${target}. Must be between 'blue' and 'green'`), { statusCode: 400 });
+    }
+
+    try {
+      const { owner, repo } = this.parseRepositoryUrl();
+      const [sourceState, targetState] = await Promise.all([source, target].map(branch => this.getBranchState(owner, repo, branch)));
+
+      if (expectedParentSha && targetState.sha !== expectedParentSha) {
+        throw this.conflictError(target, expectedParentSha, targetState.sha);
+      }
+
+      const result = {
+        commitSha: targetState.sha,
+        commitUrl: `https://github.com/${owner}/${repo}/commit/${targetState.sha}`,
+        sourceSha: sourceState.sha,
+        previousSha: targetState.sha,
+        fastForward: false,
+        changed: false,
+        timestamp: new Date().toISOString()
+      };
+
+      if (sourceState.treeSha === targetState.treeSha) {
+        logger.info(`${target} already matches ${source}, nothing to promote`);
+        return result;
+      }
+
+      const { data: comparison } = await this.executeWithRetry(
+        async () => this.octokit.repos.compareCommitsWithBasehead({
+          owner,
+          repo,
+          basehead: `${targetState.sha}...${sourceState.sha}`
+        }),
+        `comparing ${target}...${source}`
+      );
+
+      result.fastForward = comparison.status === 'ahead';
+      result.changed = true;
+
+      if (result.fastForward) {
+        result.commitSha = sourceState.sha;
+      } else {
+        const { data: commit } = await this.executeWithRetry(
+          async () => this.octokit.git.createCommit({
+            owner,
+            repo,
+            message: this.withCoAuthor(`DeployEase: promote ${source} (${sourceState.sha.slice(0, 7)}) to ${target}`),
+            tree: sourceState.treeSha,
+            parents: [targetState.sha]
+          }),
+          'creating promotion commit'
+        );
+        result.commitSha = commit.sha;
+      }
+
+      // Never forced - GitHub refuses (422) if someone committed to the target meanwhile
+      try {
+        await this.executeWithRetry(
+          async () => this.octokit.git.updateRef({
+            owner,
+            repo,
+            ref: `heads/${projectService.gitBranch(target)}`,
+            sha: result.commitSha,
+            force: false
+          }),
+          `promoting ${source} to ${target}`
+        );
+      } catch (error) {
+        if (error.status !== 422) {
+          throw error;
+        }
+        const headSha = await this.getBranchSha(owner, repo, target);
+        throw this.conflictError(target, targetState.sha, headSha);
+      }
+
+      result.commitUrl = `https://github.com/${owner}/${repo}/commit/${result.commitSha}`;
+
+      logger.info(`Promoted ${source} to ${target}`, {
+        repository: projectService.current().repositoryUrl,
+        commitUrl: result.commitUrl,
+        fastForward: result.fastForward
+      });
+
+      return result;
+    } catch (error) {
+      this.handleError(`Promotion of ${source} to ${target} failed`, error);
+    }
+  }
+
   // ==================== PRIVATE METHODS ====================
 
-  /** Parse repository URL into owner and repo */
+  /** Owner and repo of the current project's repository */
   parseRepositoryUrl() {
-    const match = REPOSITORY_URL.match(/github\.com\/([^/]+)\/([^/]+)/);
-    if (!match || !match[1] || !match[2]) {
-      throw new Error(`Invalid repository URL: ${REPOSITORY_URL}`);
-    }
-    return { 
-      owner: match[1], 
-      repo: match[2].replace(/\.git$/, '') 
-    };
+    const { owner, repo } = projectService.current();
+    return { owner, repo };
   }
 
   /** Check if file exists in repository */
@@ -728,7 +1124,7 @@ class GitService {
         owner,
         repo,
         path: filePath,
-        ref: branch
+        ref: projectService.gitBranch(branch)
       });
       return true;
     } catch (error) {
@@ -744,7 +1140,7 @@ class GitService {
         owner,
         repo,
         path: filePath,
-        ref: branch
+        ref: projectService.gitBranch(branch)
       });
       return Buffer.from(data.content, 'base64').toString('utf8');
     } catch (error) {
@@ -771,7 +1167,7 @@ class GitService {
 
   /** Ensure branch exists or create from main */
   async ensureBranch(owner, repo, branch, existingBranches = []) {
-    if (existingBranches.includes(branch)) {
+    if (existingBranches.includes(projectService.gitBranch(branch))) {
       return 'exists';
     }
 
@@ -789,7 +1185,7 @@ class GitService {
               await this.octokit.git.createRef({
                 owner,
                 repo,
-                ref: `refs/heads/${branch}`,
+                ref: `refs/heads/${projectService.gitBranch(branch)}`,
                 sha: mainSha
               });
             },
@@ -816,7 +1212,7 @@ class GitService {
       const { data } = await this.octokit.git.getRef({
         owner,
         repo,
-        ref: `heads/${branch}`
+        ref: `heads/${projectService.gitBranch(branch)}`
       });
       return data.object.sha;
     } catch (error) {
@@ -841,8 +1237,68 @@ class GitService {
     }
   }
 
-  /** Create a new commit with files */
-  async createCommit(owner, repo, branch, files, message) {
+  /** Get the head commit SHA and its tree SHA for a branch */
+  async getBranchState(owner, repo, branch) {
+    const sha = await this.executeWithRetry(
+      async () => this.getBranchSha(owner, repo, branch),
+      `getting branch SHA for ${branch}`
+    );
+    const treeSha = await this.executeWithRetry(
+      async () => this.getCommitTree(owner, repo, sha),
+      `getting commit tree for ${sha.slice(0, 7)}`
+    );
+    return { sha, treeSha };
+  }
+
+  /** Get every file in a tree, keyed by path - requireComplete fails with 422 when GitHub can only list part of it */
+  async getTreeEntries(owner, repo, treeSha, { requireComplete = false } = {}) {
+    const { data } = await this.executeWithRetry(
+      async () => this.octokit.git.getTree({
+        owner,
+        repo,
+        tree_sha: treeSha,
+        recursive: 'true'
+      }),
+      `getting tree ${treeSha.slice(0, 7)}`
+    );
+
+    if (data.truncated && requireComplete) {
+      // Deleting what wasn't uploaded needs every path - unlisted files would silently stay on the branch
+      const error = new Error(`The branch has too many files for GitHub to list (tree ${treeSha.slice(0, 7)}) - sync deployments and deletions can't tell which files to remove, deploy in merge mode instead`);
+      error.statusCode = 422;
+      error.incompleteTree = true;
+      throw error;
+    }
+
+    if (data.truncated) {
+      logger.warn(`Tree ${treeSha.slice(0, 7)} is too large to list completely - some files will show as added`);
+    }
+
+    return new Map(data.tree
+      .filter(entry => entry.type === 'blob')
+      .map(entry => [entry.path, { sha: entry.sha, mode: entry.mode, size: entry.size }]));
+  }
+
+  /** Get a blob as utf-8 text, or null if it is too large to diff */
+  async getBlobText(owner, repo, blobSha, size) {
+    if (size > MAX_DIFF_SIZE) {
+      return null;
+    }
+
+    const { data } = await this.executeWithRetry(
+      async () => this.octokit.git.getBlob({
+        owner,
+        repo,
+        file_sha: blobSha
+      }),
+      `getting blob ${blobSha.slice(0, 7)}`
+    );
+
+    return Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+  }
+
+  /** Commit changed files and deletions (changed: false and no commit when nothing differs) - 409 if the branch moves (or isn't at expectedParentSha) */
+  async createCommit(owner, repo, branch, files, message, { expectedParentSha = null, mode = 'merge', deletions = [] } = {}) {
     try {
       // Ensure branch exists
       const branches = await this.executeWithRetry(
@@ -851,7 +1307,7 @@ class GitService {
         { cacheKey: `branches-${owner}-${repo}`, cacheResult: true }
       );
       
-      if (!branches.includes(branch)) {
+      if (!branches.includes(projectService.gitBranch(branch))) {
         if (branch === DEFAULT_BRANCHES.MAIN) {
           throw new Error('Main branch does not exist in the repository');
         }
@@ -862,45 +1318,82 @@ class GitService {
         async () => this.getBranchSha(owner, repo, branch),
         `getting branch SHA for ${branch}`
       );
+
+      if (expectedParentSha && branchSha !== expectedParentSha) {
+        throw this.conflictError(branch, expectedParentSha, branchSha);
+      }
       
       const baseTree = await this.executeWithRetry(
         async () => this.getCommitTree(owner, repo, branchSha),
         `getting commit tree for ${branchSha.slice(0, 7)}`
       );
 
-      // Create blobs for all files
-      const blobs = await Promise.all(
-        files.map(async file => {
-          // Determine the file type based on extension
-          const isTextFile = VALID_FILE_EXTENSIONS.includes(path.extname(file.path).toLowerCase());
-          
-          // Only use base64 encoding for binary files - text files should use utf-8
-          const content = file.content;
-          const encoding = isTextFile ? 'utf-8' : 'base64';
-          
-          return this.executeWithRetry(
-            async () => this.octokit.git.createBlob({
-              owner,
-              repo,
-              content: content,
-              encoding: encoding
-            }),
-            `creating blob for ${file.path}`
-          );
-        })
-      );
+      // Files whose blob SHA and mode already match the branch tree are left out of the commit
+      const tree = await this.getTreeEntries(owner, repo, baseTree, { requireComplete: mode === 'sync' || deletions.length > 0 });
+      const knownBlobs = new Set(Array.from(tree.values()).map(entry => entry.sha));
+      const changed = files
+        .map(file => ({ file, sha: this.computeBlobSha(file), mode: file.mode || '100644' }))
+        .filter(({ file, sha, mode: fileMode }) => tree.get(file.path)?.sha !== sha || tree.get(file.path)?.mode !== fileMode);
+      const removed = this.getRemovedPaths(tree, files, { mode, deletions });
+      const blobStats = {
+        unchanged: files.length - changed.length,
+        reused: 0,
+        uploaded: 0
+      };
 
-      // Create new tree
+      if (changed.length === 0 && removed.length === 0) {
+        return { sha: branchSha, changed: false, removed, blobs: blobStats };
+      }
+
+      // Upload blobs GitHub doesn't have yet, in batches to stay clear of its abuse limits
+      for (let i = 0; i < changed.length; i += BLOB_UPLOAD_CONCURRENCY) {
+        const batch = changed.slice(i, i + BLOB_UPLOAD_CONCURRENCY);
+        await Promise.all(
+          batch.map(async entry => {
+            // Content already stored under another path (or the same path with another mode)
+            if (knownBlobs.has(entry.sha)) {
+              blobStats.reused++;
+              return;
+            }
+
+            // Binary assets arrive base64-encoded and are stored byte-for-byte
+            const content = entry.file.content;
+            const encoding = entry.file.encoding === 'base64' ? 'base64' : 'utf-8';
+            
+            const blob = await this.executeWithRetry(
+              async () => this.octokit.git.createBlob({
+                owner,
+                repo,
+                content: content,
+                encoding: encoding
+              }),
+              `creating blob for ${entry.file.path}`
+            );
+            entry.sha = blob.data.sha;
+            blobStats.uploaded++;
+          })
+        );
+      }
+
+      // Create new tree - a null sha deletes the path from base_tree
       const newTree = await this.executeWithRetry(
         async () => this.octokit.git.createTree({
           owner,
           repo,
-          tree: files.map((file, i) => ({
-            path: file.path,
-            mode: '100644',
-            type: 'blob',
-            sha: blobs[i].data.sha
-          })),
+          tree: [
+            ...changed.map(entry => ({
+              path: entry.file.path,
+              mode: entry.mode,
+              type: 'blob',
+              sha: entry.sha
+            })),
+            ...removed.map(filePath => ({
+              path: filePath,
+              mode: '100644',
+              type: 'blob',
+              sha: null
+            }))
+          ],
           base_tree: baseTree
         }),
         'creating tree'
@@ -911,31 +1404,79 @@ class GitService {
         async () => this.octokit.git.createCommit({
           owner,
           repo,
-          message,
+          message: this.withCoAuthor(message + this.summarizeRemovals(removed)),
           tree: newTree.data.sha,
           parents: [branchSha]
         }),
         'creating commit'
       );
 
-      // Update branch reference
-      await this.executeWithRetry(
-        async () => this.octokit.git.updateRef({
-          owner,
-          repo,
-          ref: `heads/${branch}`,
-          sha: newCommit.data.sha,
-          force: false
-        }),
-        'updating branch reference'
-      );
+      // Update branch reference - GitHub refuses (422) if someone else committed since branchSha
+      try {
+        await this.executeWithRetry(
+          async () => this.octokit.git.updateRef({
+            owner,
+            repo,
+            ref: `heads/${projectService.gitBranch(branch)}`,
+            sha: newCommit.data.sha,
+            force: false
+          }),
+          'updating branch reference'
+        );
+      } catch (error) {
+        if (error.status !== 422) {
+          throw error;
+        }
+        const headSha = await this.getBranchSha(owner, repo, branch);
+        throw this.conflictError(branch, branchSha, headSha);
+      }
 
-      return newCommit.data;
+      return { ...newCommit.data, changed: true, removed, blobs: blobStats };
     } catch (error) {
       this.handleError(`Failed to create commit on branch ${branch}`, error);
     }
   }
 
+  /** Paths in a tree that a deployment deletes - explicit deletions, plus everything not uploaded in sync mode */
+  getRemovedPaths(tree, files, { mode = 'merge', deletions = [] } = {}) {
+    const uploaded = new Set(files.map(file => file.path));
+    const removed = new Set(deletions.filter(filePath => tree.has(filePath)));
+
+    if (mode === 'sync') {
+      Array.from(tree.keys())
+        .filter(filePath => !uploaded.has(filePath) && !NETLIFY_SPECIAL_FILES.includes(filePath))
+        .forEach(filePath => removed.add(filePath));
+    }
+
+    return Array.from(removed).sort((a, b) => a.localeCompare(b));
+  }
+
+  /** Commit message body listing removed paths */
+  summarizeRemovals(removed) {
+    if (removed.length === 0) {
+      return '';
+    }
+
+    const listed = removed.slice(0, MAX_LISTED_REMOVALS).map(filePath => `- ${filePath}`);
+    if (removed.length > MAX_LISTED_REMOVALS) {
+      listed.push(`- ...and ${removed.length - MAX_LISTED_REMOVALS} more`);
+    }
+
+    return `\n\nRemoved ${removed.length} file${removed.length === 1 ? '' : 's'}:\n${listed.join('\n')}`;
+  }
+
+  /** Credit the signed-in user behind the current operation - commits are otherwise made as the GITHUB_TOKEN account */
+  withCoAuthor(message) {
+    const operation = operationService.current();
+    const identity = operation && authService.getCommitIdentity(operation.initiator);
+    if (!identity) {
+      return message;
+    }
+
+    const name = identity.name.replace(/[<>\r\n]/g, '').trim();
+    return `${message}\n\nCo-authored-by: ${name} <${identity.email}>`;
+  }
+
   /** Update redirects file to point to target branch */
   async updateRedirectsFile(targetBranch) {
     const { owner, repo } = this.parseRepositoryUrl();
@@ -971,8 +1512,21 @@ class GitService {
 `;
   }
 
+  /** Error for a branch that moved while DeployEase was committing to it */
+  conflictError(branch, expectedSha, actualSha) {
+    return Object.assign(
+      new Error(`Branch ${branch} moved to ${actualSha.slice(0, 7)} while a commit on ${expectedSha.slice(0, 7)} was being made - reload and try again`),
+      { status: 409, statusCode: 409, conflict: true, branch, expectedSha, actualSha }
+    );
+  }
+
   /** Standardized error handling */
   handleError(context, error) {
+    // Conflicts and incomplete trees already explain themselves and keep their status
+    if (error.conflict || error.incompleteTree) {
+      throw error;
+    }
+
     const errorId = crypto.randomBytes(4).toString('hex');
     let errorMessage = error.response?.data?.message || error.message;
     
@@ -993,7 +1547,7 @@ class GitService {
     }
     
     logger.error(`${context} [${errorId}]: ${errorMessage}`, {
-      repository: REPOSITORY_URL,
+      repository: projectService.current().repositoryUrl,
       stack: error.stack,
       status: error.status || error.response?.status,
       timestamp: new Date().toISOString()
@@ -0,0 +1,288 @@
+// backend/server/services/healthCheckService.js
+const http = require('http');
+const https = require('https');
+const healthConfig = require('../config/healthChecks');
+const websocketService = require('./websocketService');
+const projectService = require('./projectService');
+const logger = require('../utils/logger');
+
+const ENVIRONMENTS = ['blue', 'green'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HealthCheckService {
+  constructor() {
+    this.reports = {}; // environment -> latest report
+    this.history = {}; // environment -> rolling list of reports, newest last
+    this.inFlight = {}; // environment -> pending check promise
+    this.timer = null;
+  }
+
+  /**
+   * Probe every environment now and then on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info(`Starting health checks for ${projectService.current().id} every ${healthConfig.interval / 1000}s`, {
+      paths: healthConfig.paths.map(check => check.path)
+    });
+
+    this.checkAll();
+    this.timer = setInterval(() => this.checkAll(), healthConfig.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the probe interval
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Probe every environment
+   * @returns {Promise<Object>} - Reports keyed by environment
+   */
+  async checkAll() {
+    const reports = await Promise.all(ENVIRONMENTS.map(environment => this.checkEnvironment(environment)));
+    return Object.fromEntries(reports.map(report => [report.environment, report]));
+  }
+
+  /**
+   * Probe all configured paths on one environment and record the result
+   * @param {string} environment - blue or green
+   * @returns {Promise<{environment: string, status: string, reasons: Array<string>, checks: Array<Object>, latency: number, tls: Object|null, checkedAt: string}>}
+   */
+  checkEnvironment(environment) {
+    // Callers asking while a check runs share it
+    if (!this.inFlight[environment]) {
+      this.inFlight[environment] = this.runChecks(environment)
+        .finally(() => {
+          delete this.inFlight[environment];
+        });
+    }
+
+    return this.inFlight[environment];
+  }
+
+  /**
+   * Request smoke URLs on an environment right now, bypassing the scheduled results
+   * @param {string} environment - blue or green
+   * @param {Array<{path: string, bodyContains: string|null}>} [paths] - Paths to request
+   * @returns {Promise<Array<{path: string, ok: boolean, statusCode: number|null, latency: number|null, error: string|null}>>}
+   */
+  async smokeTest(environment, paths = healthConfig.smokePaths) {
+    const baseUrl = healthConfig.getBaseUrl(environment);
+    const checks = await Promise.all(paths.map(check => this.probe(baseUrl, check)));
+
+    // Redirects count as failures here - the page itself has to be served
+    return checks.map(({ tls, ...check }) => {
+      if (check.ok && (check.statusCode < 200 || check.statusCode >= 300)) {
+        return { ...check, ok: false, error: `HTTP ${check.statusCode}` };
+      }
+      return check;
+    });
+  }
+
+  /**
+   * Get the latest report, probing first if the environment hasn't been checked yet
+   * @param {string} environment - blue or green
+   * @returns {Promise<Object>}
+   */
+  async getReport(environment) {
+    return this.reports[environment] || this.checkEnvironment(environment);
+  }
+
+  /**
+   * Get recent results for an environment, newest first
+   * @param {string} environment - blue or green
+   * @param {number} [limit] - Maximum number of results
+   * @returns {{environment: string, uptime: number|null, results: Array<Object>}}
+   */
+  getHistory(environment, limit = healthConfig.historySize) {
+    const history = this.history[environment] || [];
+    const healthy = history.filter(report => report.status !== 'down').length;
+
+    return {
+      environment,
+      // Share of recent checks where the site answered (healthy or degraded)
+      uptime: history.length ? Math.round((healthy / history.length) * 1000) / 10 : null,
+      results: history
+        .slice(-limit)
+        .reverse()
+        .map(({ checks, ...summary }) => summary)
+    };
+  }
+
+  /**
+   * Run the probes and turn them into a report
+   * @private
+   */
+  async runChecks(environment) {
+    const baseUrl = healthConfig.getBaseUrl(environment);
+    const checks = await Promise.all(healthConfig.paths.map(check => this.probe(baseUrl, check)));
+
+    const report = {
+      environment,
+      url: baseUrl,
+      ...this.evaluate(checks),
+      checks,
+      checkedAt: new Date().toISOString()
+    };
+
+    this.record(report);
+    return report;
+  }
+
+  /**
+   * Work out healthy/degraded/down from individual probe results
+   * @private
+   */
+  evaluate(checks) {
+    const reasons = [];
+    const failed = checks.filter(check => !check.ok);
+    const [primary] = checks;
+
+    failed.forEach(check => reasons.push(`${check.path}: ${check.error}`));
+
+    checks
+      .filter(check => check.ok && check.latency > healthConfig.latencyThreshold)
+      .forEach(check => reasons.push(`${check.path}: slow response (${check.latency}ms)`));
+
+    const tls = checks.find(check => check.tls)?.tls || null;
+    if (tls && tls.daysRemaining <= healthConfig.tlsWarningDays) {
+      reasons.push(`TLS certificate expires in ${tls.daysRemaining} days`);
+    }
+
+    let status = 'healthy';
+    if (failed.length === checks.length || !primary.ok) {
+      status = 'down';
+    } else if (reasons.length > 0) {
+      status = 'degraded';
+    }
+
+    const answered = checks.filter(check => check.latency !== null);
+    const latency = answered.length
+      ? Math.round(answered.reduce((total, check) => total + check.latency, 0) / answered.length)
+      : null;
+
+    return { status, reasons, latency, tls };
+  }
+
+  /**
+   * Request one path and check status code, body and certificate
+   * @private
+   * @returns {Promise<{path: string, ok: boolean, statusCode: number|null, latency: number|null, error: string|null, tls: Object|null}>}
+   */
+  probe(baseUrl, { path, bodyContains }) {
+    const url = new URL(path, baseUrl);
+    const client = url.protocol === 'https:' ? https : http;
+    const startedAt = Date.now();
+
+    return new Promise(resolve => {
+      const finish = (result) => resolve({
+        path,
+        ok: !result.error,
+        statusCode: null,
+        latency: null,
+        tls: null,
+        error: null,
+        ...result
+      });
+
+      const request = client.get(url, {
+        agent: false, // Fresh connection so the certificate is always presented
+        timeout: healthConfig.timeout,
+        headers: { 'User-Agent': 'DeployEase-HealthCheck/1.0' }
+      }, response => {
+        const latency = Date.now() - startedAt;
+        const tls = this.getCertificateInfo(response.socket);
+        const chunks = [];
+        let size = 0;
+
+        response.on('data', chunk => {
+          if (size < healthConfig.maxBodySize) {
+            chunks.push(chunk);
+            size += chunk.length;
+          }
+        });
+
+        response.on('end', () => {
+          const { statusCode } = response;
+          let error = null;
+
+          if (statusCode >= 400) {
+            error = `HTTP ${statusCode}`;
+          } else if (bodyContains && !Buffer.concat(chunks).toString('utf8').includes(bodyContains)) {
+            error = `body does not contain ${JSON.stringify(bodyContains)}`;
+          }
+
+          finish({ statusCode, latency, tls, error });
+        });
+
+        response.on('error', err => finish({ statusCode: response.statusCode, latency, tls, error: err.message }));
+      });
+
+      request.on('timeout', () => {
+        request.destroy(new Error(`timed out after ${healthConfig.timeout}ms`));
+      });
+
+      request.on('error', err => finish({ error: err.message }));
+    });
+  }
+
+  /**
+   * Read certificate expiry from a TLS socket
+   * @private
+   */
+  getCertificateInfo(socket) {
+    if (!socket || typeof socket.getPeerCertificate !== 'function') {
+      return null;
+    }
+
+    const certificate = socket.getPeerCertificate();
+    if (!certificate || !certificate.valid_to) {
+      return null;
+    }
+
+    const validTo = new Date(certificate.valid_to);
+    return {
+      validTo: validTo.toISOString(),
+      daysRemaining: Math.floor((validTo.getTime() - Date.now()) / DAY_MS),
+      issuer: certificate.issuer?.O || certificate.issuer?.CN || null
+    };
+  }
+
+  /**
+   * Store a report, trim history and tell clients when the status changes
+   * @private
+   */
+  record(report) {
+    const previous = this.reports[report.environment];
+    this.reports[report.environment] = report;
+
+    const history = this.history[report.environment] || [];
+    history.push(report);
+    this.history[report.environment] = history.slice(-healthConfig.historySize);
+
+    if (!previous || previous.status !== report.status) {
+      const log = report.status === 'healthy' ? logger.info : logger.warn;
+      log.call(logger, `${report.environment} environment is ${report.status}`, { reasons: report.reasons });
+
+      websocketService.broadcast({
+        type: 'environment_health',
+        environment: report.environment,
+        status: report.status,
+        previousStatus: previous?.status || null,
+        reasons: report.reasons,
+        checkedAt: report.checkedAt
+      });
+    }
+  }
+}
+
+// One instance per project - the interval probes that project's branch deploys
+module.exports = projectService.scoped(() => new HealthCheckService());
\ No newline at end of file
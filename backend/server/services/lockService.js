@@ -0,0 +1,187 @@
+// backend/server/services/lockService.js
+const fs = require('fs');
+const websocketService = require('./websocketService');
+const projectService = require('./projectService');
+const logger = require('../utils/logger');
+
+// Locks are kept on disk so an incident freeze survives restarts
+const STATE_FILE = 'locks.json';
+const ENVIRONMENTS = ['blue', 'green'];
+
+class LockService {
+  constructor() {
+    this.locks = {};
+
+    this.stateFile = projectService.dataPath(STATE_FILE);
+
+    this.load();
+  }
+
+  /**
+   * Get the lock held on every environment
+   * @returns {{blue: Object|null, green: Object|null}}
+   */
+  getLocks() {
+    this.expire();
+    return ENVIRONMENTS.reduce((locks, environment) => {
+      locks[environment] = this.locks[environment] || null;
+      return locks;
+    }, {});
+  }
+
+  /**
+   * Get the lock held on an environment
+   * @param {string} environment - blue or green
+   * @returns {Object|null}
+   */
+  getLock(environment) {
+    return this.getLocks()[environment] || null;
+  }
+
+  /**
+   * First lock held on any of the given environments
+   * @param {Array<string>} environments - Environments a change would touch
+   * @returns {Object|null}
+   */
+  findLock(environments) {
+    const locks = this.getLocks();
+    const locked = environments.find(environment => locks[environment]);
+    return locked ? locks[locked] : null;
+  }
+
+  /**
+   * Lock an environment against deployments, rollbacks and traffic switches
+   * @param {string} environment - blue or green
+   * @param {Object} options
+   * @param {string} options.reason - Why the environment is locked (incident, release freeze...)
+   * @param {string} options.owner - Who holds the lock
+   * @param {string|Date} [options.expiresAt] - When the lock lifts by itself
+   * @returns {Object} - New lock
+   * @throws {Error} - statusCode 409 when the environment is already locked
+   */
+  acquire(environment, { reason, owner, expiresAt = null }) {
+    const existing = this.getLock(environment);
+    if (existing) {
+      const error = new Error(`${environment} is already locked by ${existing.owner}`);
+      error.statusCode = 409;
+      error.lock = existing;
+      throw error;
+    }
+
+    const lock = {
+      environment,
+      reason,
+      owner,
+      acquiredAt: new Date().toISOString(),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+    };
+
+    this.locks[environment] = lock;
+    this.save();
+
+    logger.warn(`${environment} locked by ${owner}: ${reason}`, { expiresAt: lock.expiresAt });
+    this.broadcast(environment, 'acquired', lock);
+
+    return lock;
+  }
+
+  /**
+   * Lift the lock on an environment
+   * @param {string} environment - blue or green
+   * @param {string} [releasedBy] - Who lifted it
+   * @returns {Object|null} - Released lock, or null if the environment wasn't locked
+   */
+  release(environment, releasedBy = null) {
+    const lock = this.getLock(environment);
+    if (!lock) {
+      return null;
+    }
+
+    delete this.locks[environment];
+    this.save();
+
+    logger.info(`${environment} unlocked by ${releasedBy}`, { owner: lock.owner, reason: lock.reason });
+    this.broadcast(environment, 'released', lock, releasedBy);
+
+    return lock;
+  }
+
+  /**
+   * Explain a lock to whoever was refused by it
+   * @param {Object} lock
+   * @returns {string}
+   */
+  describe(lock) {
+    const until = lock.expiresAt ? ` until ${lock.expiresAt}` : '';
+    return `${lock.environment} is locked by ${lock.owner}${until}: ${lock.reason}`;
+  }
+
+  /**
+   * Drop locks whose expiry has passed
+   * @private
+   */
+  expire() {
+    const now = new Date();
+    const expired = Object.values(this.locks).filter(lock => lock.expiresAt && new Date(lock.expiresAt) <= now);
+
+    if (expired.length === 0) {
+      return;
+    }
+
+    expired.forEach(lock => {
+      delete this.locks[lock.environment];
+      logger.info(`${lock.environment} lock expired`, { owner: lock.owner, reason: lock.reason });
+    });
+    this.save();
+
+    expired.forEach(lock => this.broadcast(lock.environment, 'expired', lock));
+  }
+
+  /**
+   * @private
+   */
+  load() {
+    if (!fs.existsSync(this.stateFile)) {
+      return;
+    }
+
+    try {
+      this.locks = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      logger.warn(`Ignoring unreadable locks in ${this.stateFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  save() {
+    try {
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.locks, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save locks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tell dashboard clients a lock changed
+   * @private
+   */
+  broadcast(environment, action, lock, by = null) {
+    websocketService.broadcast({
+      type: 'environment_lock',
+      environment,
+      action,
+      lock,
+      by,
+      locks: ENVIRONMENTS.reduce((locks, name) => {
+        locks[name] = this.locks[name] || null;
+        return locks;
+      }, {}),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// One instance per project - locks cover that project's environments
+module.exports = projectService.scoped(() => new LockService());
\ No newline at end of file
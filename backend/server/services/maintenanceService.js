@@ -0,0 +1,262 @@
+// backend/server/services/maintenanceService.js
+const fs = require('fs');
+const trafficService = require('./trafficService');
+const redirectService = require('./redirectService');
+const websocketService = require('./websocketService');
+const projectService = require('./projectService');
+const logger = require('../utils/logger');
+
+// Maintenance state is kept on disk so a scheduled end survives restarts
+const STATE_FILE = 'maintenance.json';
+const END_CHECK_INTERVAL = 30000;
+const DEFAULT_TITLE = "We'll be right back";
+const DEFAULT_MESSAGE = 'The site is undergoing scheduled maintenance. Please check back soon.';
+
+/**
+ * Escape text for the maintenance page
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+class MaintenanceService {
+  constructor() {
+    this.state = { enabled: false };
+    this.timer = null;
+    this.busy = false; // Routing is being rewritten
+
+    this.stateFile = projectService.dataPath(STATE_FILE);
+
+    this.load();
+  }
+
+  /**
+   * Start watching for the scheduled end of maintenance
+   */
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.checkScheduledEnd(), END_CHECK_INTERVAL);
+    this.timer.unref();
+
+    if (this.state.enabled) {
+      logger.info('Maintenance mode is on', { endsAt: this.state.endsAt, previousBranch: this.state.previousBranch });
+    }
+  }
+
+  /**
+   * Stop watching for the scheduled end
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get the maintenance state
+   * @returns {{enabled: boolean, previousBranch?: string, title?: string, message?: string, startedAt?: string, endsAt?: string|null, initiator?: string}}
+   */
+  getStatus() {
+    return { ...this.state };
+  }
+
+  /**
+   * Whether visitors are currently shown the maintenance page
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.state.enabled === true;
+  }
+
+  /**
+   * Take both colors out of traffic and serve a maintenance page
+   * @param {Object} options
+   * @param {string} [options.title] - Page heading
+   * @param {string} [options.message] - Page text
+   * @param {string|Date} [options.endsAt] - When to restore traffic automatically
+   * @param {string} [options.initiator] - Who turned maintenance on
+   * @returns {Promise<Object>} - New maintenance state
+   */
+  async enable({ title = DEFAULT_TITLE, message = DEFAULT_MESSAGE, endsAt = null, initiator = null } = {}) {
+    if (this.isEnabled()) {
+      throw this.error('Maintenance mode is already on', 409);
+    }
+
+    endsAt = endsAt ? new Date(endsAt).toISOString() : null;
+
+    return this.exclusive(async () => {
+      // Remember which color to bring back
+      const previousBranch = await redirectService.getActiveBranch();
+      const page = this.generatePage({ title, message, endsAt });
+
+      await trafficService.enterMaintenance(page);
+
+      this.state = {
+        enabled: true,
+        previousBranch,
+        title,
+        message,
+        startedAt: new Date().toISOString(),
+        endsAt,
+        initiator
+      };
+      this.save();
+
+      logger.warn('Maintenance mode enabled', { previousBranch, endsAt, initiator });
+      this.broadcast(previousBranch);
+
+      return this.getStatus();
+    });
+  }
+
+  /**
+   * Restore traffic to the remembered color (or the one given)
+   * @param {Object} [options]
+   * @param {string} [options.restoreBranch] - Color to send traffic to instead of the remembered one
+   * @param {string} [options.initiator] - Who turned maintenance off
+   * @param {string} [options.reason] - Why (e.g. scheduled end)
+   * @returns {Promise<Object>} - New maintenance state
+   */
+  async disable({ restoreBranch = null, initiator = null, reason = null } = {}) {
+    if (!this.isEnabled()) {
+      throw this.error('Maintenance mode is not on', 409);
+    }
+
+    return this.exclusive(async () => {
+      const branch = restoreBranch || this.state.previousBranch || 'blue';
+
+      await trafficService.switchTo(branch, { force: true });
+
+      this.state = {
+        enabled: false,
+        previousBranch: null,
+        restoredBranch: branch,
+        endedAt: new Date().toISOString(),
+        initiator
+      };
+      this.save();
+
+      logger.info(`Maintenance mode disabled, traffic restored to ${branch}`, { initiator, reason });
+      this.broadcast(branch, reason);
+
+      return this.getStatus();
+    });
+  }
+
+  /**
+   * Turn maintenance off once its scheduled end has passed
+   * @private
+   */
+  async checkScheduledEnd() {
+    if (!this.isEnabled() || !this.state.endsAt || this.busy || new Date(this.state.endsAt) > new Date()) {
+      return;
+    }
+
+    try {
+      await this.disable({ initiator: 'scheduler', reason: 'scheduled end' });
+    } catch (error) {
+      logger.error(`Failed to end maintenance on schedule: ${error.message}`, { stack: error.stack });
+    }
+  }
+
+  /**
+   * Run one routing change at a time
+   * @private
+   */
+  async exclusive(task) {
+    if (this.busy) {
+      throw this.error('A maintenance change is already in progress', 409);
+    }
+
+    this.busy = true;
+    try {
+      return await task();
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Build the maintenance.html committed to main
+   * @private
+   */
+  generatePage({ title, message, endsAt }) {
+    const endNote = endsAt
+      ? `<p class="ends">Expected back by <time datetime="${escapeHtml(endsAt)}">${escapeHtml(new Date(endsAt).toUTCString())}</time></p>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; text-align: center; padding: 15vh 1rem; color: #2c3e50; }
+    .ends { color: #7f8c8d; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(message)}</p>
+  ${endNote}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * @private
+   */
+  load() {
+    if (!fs.existsSync(this.stateFile)) {
+      return;
+    }
+
+    try {
+      this.state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      logger.warn(`Ignoring unreadable maintenance state in ${this.stateFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  save() {
+    try {
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save maintenance state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tell dashboard clients maintenance changed
+   * @private
+   */
+  broadcast(branch, reason = null) {
+    websocketService.broadcast({
+      type: 'maintenance_status',
+      maintenance: this.getStatus(),
+      activeBranch: this.isEnabled() ? null : branch,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * @private
+   */
+  error(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+// One instance per project
+module.exports = projectService.scoped(() => new MaintenanceService());
\ No newline at end of file
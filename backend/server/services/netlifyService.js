@@ -1,12 +1,22 @@
 // backend/server/services/netlifyService.js
 const axios = require('axios');
+const projectService = require('./projectService');
 const logger = require('../utils/logger');
 
+// How long a deploy pushed by the Netlify webhook is trusted before falling back to the API
+const WEBHOOK_CACHE_TTL = parseInt(process.env.NETLIFY_WEBHOOK_CACHE_TTL_MS, 10) || 60 * 60 * 1000;
+
 class NetlifyService {
-  constructor() {
+  /**
+   * @param {Object} project - Site this instance talks to
+   */
+  constructor(project) {
+    // Latest deploy per branch, as pushed by deploy notification webhooks
+    this.webhookDeploys = {};
+
     // Validate required configuration
-    if (!process.env.NETLIFY_TOKEN || !process.env.NETLIFY_SITE_ID) {
-      logger.warn('Netlify configuration incomplete - deployments will be disabled');
+    if (!process.env.NETLIFY_TOKEN || !project.netlify.siteId) {
+      logger.warn(`Netlify configuration incomplete for ${project.id} - deployments will be disabled`);
       this.enabled = false;
       return;
     }
@@ -21,12 +31,9 @@ class NetlifyService {
       }
     });
 
-    this.siteId = process.env.NETLIFY_SITE_ID;
-    this.siteUrl = process.env.NETLIFY_SITE_URL || 'https://deployeaselive.netlify.app';
-    this.buildHooks = {
-      blue: process.env.NETLIFY_BLUE_HOOK,
-      green: process.env.NETLIFY_GREEN_HOOK
-    };
+    this.siteId = project.netlify.siteId;
+    this.siteUrl = projectService.siteUrl();
+    this.buildHooks = project.netlify.buildHooks;
   }
 
   /**
@@ -57,8 +64,10 @@ class NetlifyService {
 
   /**
    * Trigger deployment for a specific branch
+   * Build hooks don't return the deploy they start, so deployId is null for hook builds -
+   * deployTracker resolves it later from the commit SHA / trigger time
    * @param {string} branch - Target branch (blue/green/main)
-   * @returns {Promise<{success: boolean, deployId: string, deployUrl: string, branch: string}>}
+   * @returns {Promise<{success: boolean, deployId: string|null, deployUrl: string, branch: string, triggeredAt: string}>}
    */
   async triggerDeploy(branch) {
     if (!this.enabled) {
@@ -69,31 +78,30 @@ class NetlifyService {
       throw new Error(`Invalid branch specified: ${branch}`);
     }
 
+    const triggeredAt = new Date().toISOString();
+
     try {
       // Use build hook if available
       if (this.buildHooks[branch]) {
         const hookUrl = this.buildHooks[branch];
         logger.info(`Triggering build hook for ${branch} branch: ${hookUrl.substring(0, 20)}...`);
         
-        const response = await axios.post(hookUrl);
+        await axios.post(hookUrl);
         logger.info(`Build hook triggered successfully for ${branch} branch`);
         
-        // Wait a moment for Netlify to register the build
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        const latestDeploy = await this.getLatestDeploy(branch);
-        
         return {
           success: true,
-          deployId: latestDeploy.id || `hook-${Date.now()}`,
-          deployUrl: latestDeploy.url || this.siteUrl,
-          branch
+          deployId: null,
+          deployUrl: this.siteUrl,
+          branch,
+          triggeredAt
         };
       }
 
       // Fallback to direct API deployment
       logger.info(`No build hook configured for ${branch} branch, using API deployment`);
       const response = await this.api.post(`/sites/${this.siteId}/deploys`, {
-        branch,
+        branch: projectService.gitBranch(branch),
         clear_cache: true
       });
 
@@ -107,7 +115,8 @@ class NetlifyService {
         success: true,
         deployId: response.data.id,
         deployUrl: response.data.deploy_ssl_url || response.data.ssl_url || this.siteUrl,
-        branch
+        branch,
+        triggeredAt
       };
     } catch (error) {
       if (error.response) {
@@ -125,6 +134,7 @@ class NetlifyService {
 
   /**
    * Get latest deployment status for a branch
+   * Served from the last webhook notification when one is recent enough, saving API quota
    * @param {string} branch - Branch name
    * @returns {Promise<{id?: string, url?: string, state: string, branch: string, created_at?: string}>}
    */
@@ -133,10 +143,15 @@ class NetlifyService {
       return { branch, state: 'disabled' };
     }
 
+    const pushed = this.webhookDeploys[branch];
+    if (pushed && Date.now() - pushed.receivedAt < WEBHOOK_CACHE_TTL) {
+      return pushed.deploy;
+    }
+
     try {
       const response = await this.api.get(`/sites/${this.siteId}/deploys`, {
         params: {
-          branch,
+          branch: projectService.gitBranch(branch),
           per_page: 1,
           sort_by: 'created_at',
           direction: 'desc'
@@ -147,20 +162,109 @@ class NetlifyService {
         return { branch, state: 'not_found' };
       }
 
-      const deploy = response.data[0];
-      return {
-        id: deploy.id,
-        url: deploy.ssl_url || deploy.url || this.siteUrl,
-        state: deploy.state,
-        branch: deploy.branch,
-        created_at: deploy.created_at
-      };
+      return this.formatDeploy(response.data[0]);
     } catch (error) {
       logger.error(`Failed to get deployment status for branch ${branch}:`, error.response?.data?.message || error.message);
       return { branch, state: 'error', error: error.response?.data?.message || error.message };
     }
   }
 
+  /**
+   * Get a single deploy by ID
+   * @param {string} deployId - Netlify deploy ID
+   * @returns {Promise<{id: string, url: string, state: string, branch: string, commitRef: string, created_at: string, errorMessage?: string}>}
+   */
+  async getDeploy(deployId) {
+    if (!this.enabled) {
+      throw new Error('Netlify service not configured');
+    }
+
+    try {
+      const response = await this.api.get(`/deploys/${deployId}`);
+      return this.formatDeploy(response.data);
+    } catch (error) {
+      logger.error(`Failed to get deploy ${deployId}:`, error.response?.data?.message || error.message);
+      throw new Error(`Failed to get deploy ${deployId}: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Find the deploy started for a commit (or after a point in time) on a branch
+   * @param {string} branch - Branch name
+   * @param {Object} criteria
+   * @param {string} [criteria.commitSha] - Commit the deploy should build
+   * @param {string} [criteria.since] - ISO time the build was triggered at
+   * @returns {Promise<Object|null>} - Matching deploy or null if Netlify hasn't registered it yet
+   */
+  async findDeploy(branch, { commitSha, since } = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const response = await this.api.get(`/sites/${this.siteId}/deploys`, {
+        params: {
+          branch: projectService.gitBranch(branch),
+          per_page: 10
+        }
+      });
+
+      const sinceTime = since ? new Date(since).getTime() : 0;
+      const deploy = (response.data || []).find(candidate => {
+        if (commitSha && candidate.commit_ref) {
+          return candidate.commit_ref === commitSha;
+        }
+        return new Date(candidate.created_at).getTime() >= sinceTime;
+      });
+
+      return deploy ? this.formatDeploy(deploy) : null;
+    } catch (error) {
+      logger.warn(`Failed to look up deploy for branch ${branch}: ${error.response?.data?.message || error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Whether builds for a branch are started through a build hook
+   * @param {string} branch - Branch name
+   * @returns {boolean}
+   */
+  hasBuildHook(branch) {
+    return Boolean(this.enabled && this.buildHooks[branch]);
+  }
+
+  /**
+   * Remember a deploy delivered by a Netlify deploy notification
+   * @param {Object} deploy - Raw Netlify deploy payload
+   * @returns {Object} - Normalized deploy
+   */
+  recordDeployEvent(deploy) {
+    const formatted = this.formatDeploy(deploy);
+    this.webhookDeploys[formatted.branch] = {
+      deploy: formatted,
+      receivedAt: Date.now()
+    };
+    return formatted;
+  }
+
+  /**
+   * Normalize a Netlify deploy object
+   * @private
+   */
+  formatDeploy(deploy) {
+    return {
+      id: deploy.id,
+      url: deploy.deploy_ssl_url || deploy.ssl_url || deploy.url || this.siteUrl,
+      state: deploy.state,
+      // Environment name (blue/green/main) rather than the project's git branch
+      branch: projectService.environmentFor(deploy.branch) || deploy.branch,
+      commitRef: deploy.commit_ref || null,
+      created_at: deploy.created_at,
+      published_at: deploy.published_at || null,
+      errorMessage: deploy.error_message || null
+    };
+  }
+
   /**
    * Purge Netlify cache
    * @returns {Promise<{success: boolean, error?: string}>}
@@ -218,5 +322,5 @@ class NetlifyService {
   }
 }
 
-// Export singleton instance
-module.exports = new NetlifyService();
\ No newline at end of file
+// One instance per project, each talking to its own site
+module.exports = projectService.scoped(project => new NetlifyService(project));
\ No newline at end of file
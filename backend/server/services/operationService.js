@@ -0,0 +1,125 @@
+// backend/server/services/operationService.js
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const projectService = require('./projectService');
+const logger = require('../utils/logger');
+
+const RECENT_LIMIT = 20;
+
+class OperationService {
+  constructor() {
+    this.running = new Map(); // resource -> operation
+    this.queues = new Map(); // resource -> [{ operation, start }]
+    this.recent = [];
+    // Operations held by the current call chain, so nested calls on the same resource don't deadlock
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a task while holding a resource, one operation per resource at a time
+   * Resources are 'production' (routing on main) and the blue/green branches of the current project
+   * @param {string} resource - What the task changes
+   * @param {Object} details
+   * @param {string} details.type - switch, deploy, rollback, canary, maintenance...
+   * @param {string} details.description - Shown to anyone refused or queued
+   * @param {string} [details.initiator] - Who started it
+   * @param {Function} task - Async work to run
+   * @param {Object} [options]
+   * @param {boolean} [options.wait] - Queue behind a running operation instead of failing
+   * @returns {Promise<any>} - Task result
+   * @throws {Error} - statusCode 409 with the running operation when busy and not waiting
+   */
+  async run(resource, { type, description, initiator = null }, task, { wait = false } = {}) {
+    // Timers started during an operation inherit its context, so only count it while it is still running
+    const held = this.context.getStore() || [];
+    if (held.some(operation => operation.resource === resource && this.running.get(resource) === operation)) {
+      return task();
+    }
+
+    const operation = {
+      id: `op-${Date.now()}-${crypto.randomBytes(2).toString('hex')}`,
+      resource,
+      type,
+      description,
+      initiator,
+      state: 'queued',
+      queuedAt: new Date().toISOString(),
+      startedAt: null
+    };
+
+    const current = this.running.get(resource);
+    if (current && !wait) {
+      const error = new Error(`${current.description} is already in progress (started by ${current.initiator || 'DeployEase'} at ${current.startedAt})`);
+      error.statusCode = 409;
+      error.operation = current;
+      throw error;
+    }
+
+    if (current) {
+      logger.info(`Queued ${description} behind ${current.description}`, { resource, initiator });
+      await new Promise(start => {
+        const queue = this.queues.get(resource) || [];
+        queue.push({ operation, start });
+        this.queues.set(resource, queue);
+      });
+    }
+
+    operation.state = 'running';
+    operation.startedAt = new Date().toISOString();
+    this.running.set(resource, operation);
+
+    try {
+      return await this.context.run([...held, operation], task);
+    } finally {
+      operation.state = 'finished';
+      operation.finishedAt = new Date().toISOString();
+      this.recent = [operation, ...this.recent].slice(0, RECENT_LIMIT);
+      this.next(resource);
+    }
+  }
+
+  /**
+   * Operation the current call chain is running in, e.g. to credit its initiator on commits
+   * @returns {Object|null}
+   */
+  current() {
+    const held = (this.context.getStore() || []).filter(operation => this.running.get(operation.resource) === operation);
+    return held.length > 0 ? held[held.length - 1] : null;
+  }
+
+  /**
+   * Running and queued operations, plus the last few that finished
+   * @returns {{running: Array<Object>, queued: Array<Object>, recent: Array<Object>}}
+   */
+  list() {
+    return {
+      running: Array.from(this.running.values()),
+      queued: Array.from(this.queues.values()).flat().map(entry => entry.operation),
+      recent: this.recent
+    };
+  }
+
+  /**
+   * Hand a resource to the next queued operation
+   * @private
+   */
+  next(resource) {
+    const queue = this.queues.get(resource) || [];
+    const entry = queue.shift();
+
+    if (queue.length === 0) {
+      this.queues.delete(resource);
+    }
+
+    if (entry) {
+      // Mark the resource taken before the waiter resumes so nothing slips in between
+      this.running.set(resource, entry.operation);
+      entry.start();
+    } else {
+      this.running.delete(resource);
+    }
+  }
+}
+
+// One instance per project - projects never wait on each other
+module.exports = projectService.scoped(() => new OperationService());
\ No newline at end of file
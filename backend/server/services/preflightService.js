@@ -0,0 +1,107 @@
+// backend/server/services/preflightService.js
+const netlifyService = require('./netlifyService');
+const deploymentStore = require('./deploymentStore');
+const healthCheckService = require('./healthCheckService');
+const logger = require('../utils/logger');
+
+class PreflightService {
+  /**
+   * Check that an environment is safe to send traffic to
+   * @param {string} branch - Environment about to go live (blue/green)
+   * @returns {Promise<{branch: string, passed: boolean, checks: Array<{name: string, passed: boolean, message: string}>, checkedAt: string}>}
+   */
+  async run(branch) {
+    const deploy = await netlifyService.getLatestDeploy(branch);
+
+    const checks = [
+      this.checkDeployReady(deploy),
+      this.checkDeployCurrent(branch, deploy),
+      ...(await this.checkSmokeUrls(branch))
+    ];
+
+    const report = {
+      branch,
+      passed: checks.every(check => check.passed),
+      checks,
+      checkedAt: new Date().toISOString()
+    };
+
+    if (!report.passed) {
+      logger.warn(`Preflight failed for ${branch}`, {
+        failed: checks.filter(check => !check.passed).map(check => `${check.name}: ${check.message}`)
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * The latest Netlify deploy of the branch finished successfully
+   * @private
+   */
+  checkDeployReady(deploy) {
+    const passed = deploy.state === 'ready';
+    return {
+      name: 'deploy_ready',
+      passed,
+      message: passed
+        ? `Latest deploy ${deploy.id} is ready`
+        : `Latest deploy is ${deploy.state}${deploy.error ? `: ${deploy.error}` : ''}`,
+      deployId: deploy.id || null,
+      state: deploy.state
+    };
+  }
+
+  /**
+   * The live deploy includes the most recent upload to the branch
+   * @private
+   */
+  checkDeployCurrent(branch, deploy) {
+    const lastUpload = deploymentStore.query({ branch, limit: 20 }).find(record => record.commitSha);
+
+    if (!lastUpload) {
+      return {
+        name: 'deploy_current',
+        passed: true,
+        message: 'No uploads recorded for this branch'
+      };
+    }
+
+    // Prefer the commit the deploy built, fall back to comparing times for deploys without one
+    const passed = deploy.commitRef
+      ? deploy.commitRef === lastUpload.commitSha || new Date(deploy.created_at) >= new Date(lastUpload.createdAt)
+      : Boolean(deploy.created_at) && new Date(deploy.created_at) >= new Date(lastUpload.createdAt);
+
+    return {
+      name: 'deploy_current',
+      passed,
+      message: passed
+        ? `Deploy includes the last upload (${lastUpload.commitSha.slice(0, 7)})`
+        : `Deploy is older than the last upload ${lastUpload.id} (${lastUpload.commitSha.slice(0, 7)})`,
+      deploymentId: lastUpload.id,
+      commitSha: lastUpload.commitSha,
+      deployCommit: deploy.commitRef || null
+    };
+  }
+
+  /**
+   * Every smoke URL answers 2xx
+   * @private
+   */
+  async checkSmokeUrls(branch) {
+    const results = await healthCheckService.smokeTest(branch);
+
+    return results.map(result => ({
+      name: `smoke:${result.path}`,
+      passed: result.ok,
+      message: result.ok
+        ? `${result.path} answered ${result.statusCode} in ${result.latency}ms`
+        : `${result.path} failed: ${result.error}`,
+      statusCode: result.statusCode,
+      latency: result.latency
+    }));
+  }
+}
+
+// Singleton instance
+module.exports = new PreflightService();
\ No newline at end of file
@@ -0,0 +1,70 @@
+// backend/server/services/previewService.js
+const crypto = require('crypto');
+const projectService = require('./projectService');
+const logger = require('../utils/logger');
+
+const PREVIEW_PATH = '/.deployease/preview'; // Handled by the route function, sets the pin cookie
+const PREVIEW_HEADER = 'X-DeployEase-Env';
+const DEFAULT_TTL_MINUTES = 60;
+
+class PreviewService {
+  /**
+   * Whether preview links can be signed
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(process.env.PREVIEW_SIGNING_SECRET);
+  }
+
+  /**
+   * Create a signed link that pins a browser to one environment on the current project's production hostname
+   * @param {string} branch - Environment to preview (blue/green)
+   * @param {Object} [options]
+   * @param {number} [options.ttlMinutes] - How long the link and its cookie stay valid
+   * @param {string} [options.path] - Page to land on after the pin is set
+   * @param {string} [options.initiator] - Who asked for the link
+   * @returns {{branch: string, url: string, token: string, header: {name: string, value: string}, expiresAt: string}}
+   */
+  createLink(branch, { ttlMinutes = DEFAULT_TTL_MINUTES, path = '/', initiator = null } = {}) {
+    if (!this.isEnabled()) {
+      const error = new Error('Preview links are disabled - PREVIEW_SIGNING_SECRET is not set');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    const expiresAt = Math.floor(Date.now() / 1000) + Math.round(ttlMinutes * 60);
+    const token = this.sign(branch, expiresAt);
+    const url = `${projectService.siteUrl()}${PREVIEW_PATH}?token=${encodeURIComponent(token)}&path=${encodeURIComponent(path)}`;
+
+    logger.info(`Preview link for ${branch} issued`, {
+      initiator,
+      expiresAt: new Date(expiresAt * 1000).toISOString()
+    });
+
+    return {
+      branch,
+      url,
+      token,
+      header: { name: PREVIEW_HEADER, value: token },
+      expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Sign "<branch>.<expiry>" - the route function verifies the same format
+   * @private
+   * @returns {string} - <branch>.<expiry seconds>.<base64url HMAC-SHA256>
+   */
+  sign(branch, expiresAt) {
+    const payload = `${branch}.${expiresAt}`;
+    const signature = crypto
+      .createHmac('sha256', process.env.PREVIEW_SIGNING_SECRET)
+      .update(payload)
+      .digest('base64url');
+
+    return `${payload}.${signature}`;
+  }
+}
+
+// Singleton instance
+module.exports = new PreviewService();
\ No newline at end of file
@@ -0,0 +1,326 @@
+// backend/server/services/projectService.js
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../utils/logger');
+
+// Sites DeployEase manages - a JSON array of projects (see config/projects.example.json)
+// Without the file, a single "default" project is built from the environment:
+//   REPOSITORY_URL      - GitHub repository, e.g. https://github.com/owner/site (required)
+//   NETLIFY_SITE_NAME   - Netlify subdomain, e.g. my-site for my-site.netlify.app (required)
+//   NETLIFY_SITE_ID, NETLIFY_BLUE_HOOK, NETLIFY_GREEN_HOOK, NETLIFY_SITE_URL, PROJECT_NAME - optional
+const PROJECTS_FILE = process.env.DEPLOYEASE_PROJECTS_FILE || path.join(__dirname, '../config/projects.json');
+const DATA_DIR = process.env.DEPLOYEASE_DATA_DIR || path.join(__dirname, '../../data');
+const ENV_PROJECT_ID = 'default';
+const PROJECT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const REPOSITORY_PATTERN = /github\.com\/([^/]+)\/([^/]+?)(\.git)?\/?$/;
+const ENVIRONMENTS = ['main', 'blue', 'green'];
+
+class ProjectService {
+  constructor() {
+    this.projects = new Map();
+    // Project the current request or background job works on
+    this.context = new AsyncLocalStorage();
+    // Kept for checkConfiguration() - throwing here would crash while modules load, before anything is logged
+    this.configError = null;
+
+    try {
+      this.load();
+    } catch (error) {
+      this.configError = error;
+    }
+  }
+
+  /**
+   * Make sure the registry loaded - called on startup
+   * @throws {Error} - Why no usable project is configured
+   */
+  checkConfiguration() {
+    if (this.configError) {
+      throw this.configError;
+    }
+  }
+
+  /**
+   * Every registered project
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.projects.values());
+  }
+
+  /**
+   * Get a project by ID
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.projects.get(id) || null;
+  }
+
+  /**
+   * Project used by paths without a project ID - DEFAULT_PROJECT, or the first one registered
+   * @returns {Object}
+   */
+  getDefault() {
+    return this.get(process.env.DEFAULT_PROJECT) || this.list()[0];
+  }
+
+  /**
+   * Project the current call chain works on
+   * @returns {Object}
+   * @throws {Error} - When called outside run(), i.e. a code path that never picked a project
+   */
+  current() {
+    const project = this.context.getStore();
+    if (!project) {
+      throw new Error('No project selected - wrap the call in projectService.run()');
+    }
+    return project;
+  }
+
+  /**
+   * Project the current call chain works on, if any - for code that also runs outside a project
+   * @returns {Object|null}
+   */
+  peek() {
+    return this.context.getStore() || null;
+  }
+
+  /**
+   * Run a task for a project - services called from it, and timers it starts, act on that project
+   * @param {Object} project
+   * @param {Function} task
+   * @returns {any} - Task result
+   */
+  run(project, task) {
+    return this.context.run(project, task);
+  }
+
+  /**
+   * Run a task once for every project, e.g. to start background jobs
+   * @param {Function} task - Called with the project
+   * @returns {Array<any>} - Task results
+   */
+  forEach(task) {
+    return this.list().map(project => this.run(project, () => task(project)));
+  }
+
+  /**
+   * Git branch behind an environment of the current project
+   * @param {string} environment - main, blue or green
+   * @returns {string}
+   */
+  gitBranch(environment) {
+    return this.current().branches[environment] || environment;
+  }
+
+  /**
+   * Environment a git branch of the current project serves
+   * @param {string} branch - Git branch name
+   * @returns {string|null} - main, blue, green, or null for other branches
+   */
+  environmentFor(branch) {
+    const { branches } = this.current();
+    return ENVIRONMENTS.find(environment => branches[environment] === branch) || null;
+  }
+
+  /**
+   * Netlify branch deploy URL of an environment
+   * @param {string} environment - blue or green
+   * @returns {string}
+   */
+  branchUrl(environment) {
+    return `https://${this.gitBranch(environment)}--${this.current().netlify.siteName}.netlify.app`;
+  }
+
+  /**
+   * Production URL of the current project
+   * @returns {string}
+   */
+  siteUrl() {
+    const { domain, netlify } = this.current();
+    return domain ? `https://${domain}` : `https://${netlify.siteName}.netlify.app`;
+  }
+
+  /**
+   * Directory for the current project's state files, created on first use
+   * The environment-built project keeps the directory used before projects existed
+   * @param {string} [file] - File inside it
+   * @returns {string}
+   */
+  dataPath(file = '') {
+    const { id } = this.current();
+    const dir = id === ENV_PROJECT_ID ? DATA_DIR : path.join(DATA_DIR, 'projects', id);
+
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    return path.join(dir, file);
+  }
+
+  /**
+   * One instance of a service per project, chosen by the current project on every access
+   * @param {Function} create - Builds the instance - runs in the project's context
+   * @param {Object} [shared] - Members that don't depend on a project
+   * @returns {Proxy}
+   */
+  scoped(create, shared = {}) {
+    const instances = new Map();
+    const instance = () => {
+      const project = this.current();
+      if (!instances.has(project.id)) {
+        instances.set(project.id, create(project));
+      }
+      return instances.get(project.id);
+    };
+
+    return new Proxy(shared, {
+      get: (target, property) => {
+        if (property in target) {
+          return target[property];
+        }
+
+        const service = instance();
+        const value = service[property];
+        return typeof value === 'function' ? value.bind(service) : value;
+      },
+      set: (target, property, value) => {
+        instance()[property] = value;
+        return true;
+      }
+    });
+  }
+
+  /**
+   * Public view of a project for the dashboard - build hooks stay on the server
+   * @param {Object} project
+   * @returns {Object}
+   */
+  describe(project) {
+    return this.run(project, () => ({
+      id: project.id,
+      name: project.name,
+      repositoryUrl: project.repositoryUrl,
+      siteUrl: this.siteUrl(),
+      branches: project.branches,
+      branchUrls: {
+        blue: this.branchUrl('blue'),
+        green: this.branchUrl('green')
+      },
+      netlify: {
+        siteName: project.netlify.siteName,
+        adminUrl: `https://app.netlify.com/sites/${project.netlify.siteName}`
+      }
+    }));
+  }
+
+  /**
+   * Load the registry, or build the default project from the environment
+   * @private
+   */
+  load() {
+    let definitions;
+
+    if (fs.existsSync(PROJECTS_FILE)) {
+      try {
+        definitions = JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf8'));
+      } catch (error) {
+        throw new Error(`Unreadable project registry ${PROJECTS_FILE}: ${error.message}`);
+      }
+
+      if (!Array.isArray(definitions) || definitions.length === 0) {
+        throw new Error(`${PROJECTS_FILE} must list at least one project`);
+      }
+    } else {
+      const missing = ['REPOSITORY_URL', 'NETLIFY_SITE_NAME'].filter(name => !process.env[name]);
+      if (missing.length > 0) {
+        throw new Error(`No projects configured - create ${PROJECTS_FILE} or set REPOSITORY_URL and NETLIFY_SITE_NAME (missing: ${missing.join(', ')})`);
+      }
+
+      definitions = [{
+        id: ENV_PROJECT_ID,
+        name: process.env.PROJECT_NAME,
+        repositoryUrl: process.env.REPOSITORY_URL,
+        netlify: {
+          siteId: process.env.NETLIFY_SITE_ID,
+          siteName: process.env.NETLIFY_SITE_NAME,
+          buildHooks: {
+            blue: process.env.NETLIFY_BLUE_HOOK,
+            green: process.env.NETLIFY_GREEN_HOOK
+          }
+        },
+        domain: process.env.NETLIFY_SITE_URL
+      }];
+    }
+
+    definitions.forEach(definition => {
+      const project = this.normalize(definition);
+      if (this.projects.has(project.id)) {
+        throw new Error(`Project ${project.id} is registered twice`);
+      }
+      this.projects.set(project.id, project);
+    });
+
+    if (process.env.DEFAULT_PROJECT && !this.projects.has(process.env.DEFAULT_PROJECT)) {
+      throw new Error(`DEFAULT_PROJECT ${process.env.DEFAULT_PROJECT} is not a registered project`);
+    }
+
+    logger.info(`Managing ${this.projects.size} project(s): ${Array.from(this.projects.keys()).join(', ')}`);
+  }
+
+  /**
+   * Check a project definition and fill in defaults
+   * @private
+   */
+  normalize(definition) {
+    const { id, repositoryUrl, netlify = {}, branches = {}, domain } = definition;
+    const invalid = (message) => new Error(`Invalid project ${id || '(no id)'}: ${message}`);
+
+    if (!PROJECT_ID_PATTERN.test(id || '')) {
+      throw invalid('id must be lowercase letters, digits and dashes');
+    }
+
+    const repository = (repositoryUrl || '').match(REPOSITORY_PATTERN);
+    if (!repository) {
+      throw invalid(`repositoryUrl must be a GitHub repository URL, got ${repositoryUrl}`);
+    }
+
+    if (!netlify.siteName) {
+      throw invalid('netlify.siteName is required - it names the branch deploy URLs');
+    }
+
+    const project = {
+      id,
+      name: definition.name || repository[2],
+      repositoryUrl: `https://github.com/${repository[1]}/${repository[2]}`,
+      owner: repository[1],
+      repo: repository[2],
+      netlify: {
+        siteId: netlify.siteId || null,
+        siteName: netlify.siteName,
+        buildHooks: {
+          blue: netlify.buildHooks?.blue || null,
+          green: netlify.buildHooks?.green || null
+        }
+      },
+      branches: {
+        main: branches.main || 'main',
+        blue: branches.blue || 'blue',
+        green: branches.green || 'green'
+      },
+      // Production hostname, e.g. www.example.com - the Netlify subdomain when unset
+      domain: domain ? domain.replace(/^https?:\/\//, '').replace(/\/+$/, '') : null
+    };
+
+    if (new Set(Object.values(project.branches)).size !== ENVIRONMENTS.length) {
+      throw invalid('branches.main, branches.blue and branches.green must be different branches');
+    }
+
+    return project;
+  }
+}
+
+// Singleton instance
+module.exports = new ProjectService();
\ No newline at end of file
@@ -1,11 +1,14 @@
 // backend/server/services/redirectService.js
 const gitService = require('./gitService');
 const netlifyService = require('./netlifyService');
+const projectService = require('./projectService');
 const logger = require('../utils/logger');
-const REPOSITORY_URL = process.env.REPOSITORY_URL || 'https://github.com/Aswanthrajan/blue';
+const ROUTING_FILE = 'deployease-routing.json'; // Read by the route function on main
 
 class RedirectService {
-  constructor() {
+  constructor(project) {
+    this.project = project;
+
     // Cache redirect rules to minimize GitHub API calls
     this.redirectCache = {
       rules: null,
@@ -13,10 +16,10 @@ class RedirectService {
       activeBranch: null
     };
 
-    // Branch deploy URLs based on your Netlify site
+    // Branch deploy URLs of the project's Netlify site
     this.branchUrls = {
-      blue: 'https://blue--deployeaselive.netlify.app',
-      green: 'https://green--deployeaselive.netlify.app'
+      blue: projectService.branchUrl('blue'),
+      green: projectService.branchUrl('green')
     };
 
     // Retry configuration
@@ -26,9 +29,12 @@ class RedirectService {
   /**
    * Update redirects to point to active branch
    * @param {string} activeBranch - Target branch (blue/green)
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Rewrite even if the marker already names this branch (ends a canary split)
+   * @param {string} [options.expectedParentSha] - Commit main must still be at, or the switch is refused with 409
    * @returns {Promise<{updated: boolean, branch: string, commitUrl: string}>}
    */
-  async updateRedirects(activeBranch) {
+  async updateRedirects(activeBranch, { force = false, expectedParentSha = null } = {}) {
     if (!['blue', 'green'].includes(activeBranch)) {
       throw new Error(`Invalid branch: ${activeBranch}`);
     }
@@ -47,7 +53,7 @@ class RedirectService {
         const currentBranch = await this.getActiveBranch();
 
         // Skip if already pointing to the correct branch
-        if (currentBranch === activeBranch) {
+        if (currentBranch === activeBranch && !force) {
           return {
             updated: false,
             branch: activeBranch,
@@ -63,8 +69,9 @@ class RedirectService {
           {
             path: '_redirects',
             content: rules
-          }
-        ], `DeployEase: Switch traffic to ${activeBranch} branch`);
+          },
+          this.generateRoutingFile({ mode: 'single', activeBranch })
+        ], `DeployEase: Switch traffic to ${activeBranch} branch`, { expectedParentSha });
 
         // 4. Purge Netlify cache
         await netlifyService.purgeCache();
@@ -77,7 +84,7 @@ class RedirectService {
         };
 
         logger.info(`Redirects updated to ${activeBranch} branch`, {
-          repository: REPOSITORY_URL,
+          repository: this.project.repositoryUrl,
           commitUrl: commitResult.commitUrl,
           attempt: attempt
         });
@@ -91,9 +98,14 @@ class RedirectService {
         };
 
       } catch (error) {
+        // The caller decided on a specific main commit - retrying on a newer one would overrule it
+        if (error.conflict && expectedParentSha) {
+          throw error;
+        }
+
         lastError = error;
         logger.warn(`Redirect update attempt ${attempt} failed`, {
-          repository: REPOSITORY_URL,
+          repository: this.project.repositoryUrl,
           error: error.message,
           branch: activeBranch,
           attempt: attempt
@@ -112,7 +124,7 @@ class RedirectService {
 
     // All retries failed
     logger.error('Failed to update redirects after all attempts', {
-      repository: REPOSITORY_URL,
+      repository: this.project.repositoryUrl,
       error: lastError.message,
       branch: activeBranch,
       totalAttempts: attempt
@@ -120,6 +132,94 @@ class RedirectService {
     throw new Error(`Redirect update failed after ${this.maxRetries} attempts: ${lastError.message}`);
   }
 
+  /**
+   * Split traffic between two branches - the route function sends `weight`% of visitors to the canary
+   * @param {string} primaryBranch - Branch serving the rest of the traffic (stays the active branch)
+   * @param {string} canaryBranch - Branch receiving the canary share
+   * @param {number} weight - Percentage of visitors (0-100) sent to the canary
+   * @returns {Promise<{updated: boolean, branch: string, canary: {branch: string, weight: number}, commitUrl: string}>}
+   */
+  async updateCanaryRouting(primaryBranch, canaryBranch, weight) {
+    if (!['blue', 'green'].includes(primaryBranch) || !['blue', 'green'].includes(canaryBranch) ||
+        primaryBranch === canaryBranch) {
+      throw new Error(`Invalid canary branches: ${primaryBranch} -> ${canaryBranch}`);
+    }
+
+    const rules = this.generateCanaryRules(primaryBranch, canaryBranch, weight);
+    const commitResult = await gitService.deployToBranch('main', [
+      {
+        path: '_redirects',
+        content: rules
+      },
+      this.generateRoutingFile({
+        mode: 'canary',
+        activeBranch: primaryBranch,
+        canary: { branch: canaryBranch, weight }
+      })
+    ], `DeployEase: Send ${weight}% of traffic to ${canaryBranch} branch`);
+
+    await netlifyService.purgeCache();
+
+    // The marker keeps naming the primary branch while the canary runs
+    this.redirectCache = {
+      rules,
+      lastUpdated: new Date(),
+      activeBranch: primaryBranch
+    };
+
+    logger.info(`Canary routing updated: ${weight}% to ${canaryBranch}, rest to ${primaryBranch}`, {
+      repository: this.project.repositoryUrl,
+      commitUrl: commitResult.commitUrl
+    });
+
+    return {
+      updated: true,
+      branch: primaryBranch,
+      canary: { branch: canaryBranch, weight },
+      commitUrl: commitResult.commitUrl
+    };
+  }
+
+  /**
+   * Take both branches out of traffic and serve a maintenance page from main
+   * @param {string} pageHtml - Content committed as maintenance.html
+   * @returns {Promise<{updated: boolean, branch: null, commitUrl: string}>}
+   */
+  async enableMaintenance(pageHtml) {
+    const rules = this.generateMaintenanceRules();
+    const commitResult = await gitService.deployToBranch('main', [
+      {
+        path: '_redirects',
+        content: rules
+      },
+      {
+        path: 'maintenance.html',
+        content: pageHtml
+      },
+      this.generateRoutingFile({ mode: 'maintenance', activeBranch: null })
+    ], 'DeployEase: Enable maintenance mode');
+
+    await netlifyService.purgeCache();
+
+    this.redirectCache = {
+      rules,
+      lastUpdated: new Date(),
+      activeBranch: null
+    };
+
+    logger.info('Redirects updated for maintenance mode', {
+      repository: this.project.repositoryUrl,
+      commitUrl: commitResult.commitUrl
+    });
+
+    return {
+      updated: true,
+      branch: null,
+      commitUrl: commitResult.commitUrl,
+      rulesPreview: rules.split('\n').slice(0, 3).join('\n') + '\n...'
+    };
+  }
+
   /**
    * Get currently active branch from redirects
    * @returns {Promise<string>} - Active branch (blue/green) or null if none active
@@ -176,7 +276,7 @@ class RedirectService {
       } catch (error) {
         lastError = error;
         logger.warn(`Get active branch attempt ${attempt} failed`, {
-          repository: REPOSITORY_URL,
+          repository: this.project.repositoryUrl,
           error: error.message,
           attempt: attempt
         });
@@ -194,7 +294,7 @@ class RedirectService {
 
     // All retries failed, return null (no environment active)
     logger.error('Failed to detect active branch after all attempts', {
-      repository: REPOSITORY_URL,
+      repository: this.project.repositoryUrl,
       error: lastError?.message || 'Unknown error',
       totalAttempts: attempt
     });
@@ -207,21 +307,48 @@ class RedirectService {
    * @returns {string} - Formatted redirect rules
    */
   generateRules(branch) {
-    const targetUrl = this.branchUrls[branch];
-    
     return `# DeployEase Blue-Green Traffic Routing
-# Route all traffic to ${branch} branch deployment
-/*  ${targetUrl}/:splat  302!
+# Route all traffic to ${branch} branch deployment (${this.branchUrls[branch]})
+# The route function proxies every request and honours signed preview pins (see ${ROUTING_FILE})
+/*  /.netlify/functions/route  200!
 
-# Root path redirect
-/  ${targetUrl}/  302
+# Configuration marker - DO NOT REMOVE
+# ACTIVE_BRANCH: ${branch}`;
+  }
 
-# API and static assets from branch deploys
-/api/*  ${targetUrl}/api/:splat  302
-/assets/*  ${targetUrl}/assets/:splat  302
+  /**
+   * Generate rules that hand every request to the route function for a weighted split
+   * @param {string} primaryBranch - Branch serving the rest of the traffic
+   * @param {string} canaryBranch - Branch receiving the canary share
+   * @param {number} weight - Canary percentage
+   * @returns {string} - Formatted redirect rules
+   */
+  generateCanaryRules(primaryBranch, canaryBranch, weight) {
+    return `# DeployEase Blue-Green Traffic Routing
+# Canary rollout: ${weight}% of visitors to ${canaryBranch}, the rest to ${primaryBranch}
+# Visitors are bucketed by cookie in the route function (see ${ROUTING_FILE})
+/*  /.netlify/functions/route  200!
 
 # Configuration marker - DO NOT REMOVE
-# ACTIVE_BRANCH: ${branch}`;
+# ACTIVE_BRANCH: ${primaryBranch}
+# CANARY: ${canaryBranch} ${weight}`;
+  }
+
+  /**
+   * Build the routing file the route function reads
+   * @private
+   * @param {Object} routing - mode, activeBranch and optional canary split
+   * @returns {{path: string, content: string}}
+   */
+  generateRoutingFile(routing) {
+    return {
+      path: ROUTING_FILE,
+      content: JSON.stringify({
+        ...routing,
+        branchUrls: this.branchUrls,
+        updatedAt: new Date().toISOString()
+      }, null, 2)
+    };
   }
 
   /**
@@ -247,20 +374,13 @@ class RedirectService {
   }
 
   /**
-   * Parse repository URL into owner and repo
+   * Owner and repo of the project's repository
    * @private
    * @returns {{owner: string, repo: string}}
    */
   parseRepositoryUrl() {
-    const repoUrl = REPOSITORY_URL;
-    const match = repoUrl.match(/github\.com\/([^/]+)\/([^/]+)/);
-    if (!match || !match[1] || !match[2]) {
-      throw new Error(`Invalid repository URL: ${repoUrl}`);
-    }
-    return { 
-      owner: match[1], 
-      repo: match[2].replace(/\.git$/, '') 
-    };
+    const { owner, repo } = this.project;
+    return { owner, repo };
   }
 
   /**
@@ -289,5 +409,5 @@ class RedirectService {
   }
 }
 
-// Singleton instance
-module.exports = new RedirectService();
\ No newline at end of file
+// One instance per project - each keeps its own redirect cache
+module.exports = projectService.scoped(project => new RedirectService(project));
\ No newline at end of file
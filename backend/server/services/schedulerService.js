@@ -0,0 +1,499 @@
+// backend/server/services/schedulerService.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cronParser = require('cron-parser');
+const freezeConfig = require('../config/freezeWindows');
+const trafficService = require('./trafficService');
+const redirectService = require('./redirectService');
+const netlifyService = require('./netlifyService');
+const preflightService = require('./preflightService');
+const switchVerifier = require('./switchVerifier');
+const canaryService = require('./canaryService');
+const maintenanceService = require('./maintenanceService');
+const deploymentService = require('./deploymentService');
+const lockService = require('./lockService');
+const operationService = require('./operationService');
+const websocketService = require('./websocketService');
+const auditService = require('./auditService');
+const approvalService = require('./approvalService');
+const projectService = require('./projectService');
+const logger = require('../utils/logger');
+
+// Each project's schedules live in one JSON file, staged deployment files next to it
+const STORE_FILE = 'schedules.json';
+const STAGED_DIR = 'staged';
+
+/**
+ * Parse a positive number env var with a fallback
+ */
+const parseNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const TICK_INTERVAL = parseNumber(process.env.SCHEDULER_INTERVAL_MS, 15000);
+// Runs missed while the server was down are still made if they are this recent
+const MISFIRE_GRACE = parseNumber(process.env.SCHEDULER_MISFIRE_GRACE_MS, 60 * 60 * 1000);
+const RUN_HISTORY_LIMIT = 20;
+
+class SchedulerService {
+  constructor() {
+    this.schedules = new Map();
+    this.timer = null;
+    this.running = false; // A tick is executing schedules
+
+    this.storeFile = projectService.dataPath(STORE_FILE);
+    this.stagedDir = projectService.dataPath(STAGED_DIR);
+
+    if (!fs.existsSync(this.stagedDir)) {
+      fs.mkdirSync(this.stagedDir, { recursive: true });
+    }
+
+    if (freezeConfig.error) {
+      logger.warn(freezeConfig.error);
+    }
+
+    this.load();
+  }
+
+  /**
+   * Start running due schedules
+   */
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    this.timer.unref();
+
+    const active = this.list({ status: 'active' }).length;
+    logger.info(`Scheduler started with ${active} active schedules`, {
+      freezeWindows: freezeConfig.windows.map(window => window.name)
+    });
+  }
+
+  /**
+   * Stop running schedules
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Schedule an environment switch, staged deployment or cache purge
+   * @param {Object} options
+   * @param {string} options.action - switch, deploy or purge
+   * @param {string} [options.runAt] - One-off run time
+   * @param {string} [options.cron] - Cron expression for repeated runs
+   * @param {string} [options.timezone] - Timezone the cron expression is read in
+   * @param {Object} [options.params] - Action parameters (targetBranch/force, branch/commitMessage)
+   * @param {Array<Object>} [options.files] - Files staged for a deploy action
+   * @param {string} [options.name] - Label shown on dashboards
+   * @param {string} [options.createdBy] - Who created the schedule
+   * @returns {Object} - Stored schedule
+   * @throws {Error} - statusCode 400 for an invalid cron expression or timezone
+   */
+  create({ action, runAt = null, cron = null, timezone = 'UTC', params = {}, files = null, name = null, createdBy = null }) {
+    const id = `schedule-${Date.now()}-${crypto.randomBytes(2).toString('hex')}`;
+    const schedule = {
+      id,
+      name: name || this.describeAction(action, params),
+      action,
+      params,
+      runAt: runAt ? new Date(runAt).toISOString() : null,
+      cron,
+      timezone,
+      status: 'active',
+      nextRunAt: null,
+      lastRunAt: null,
+      runs: [],
+      stagedFiles: files ? files.length : 0,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      schedule.nextRunAt = cron ? this.nextCronRun(cron, timezone) : schedule.runAt;
+    } catch (error) {
+      const invalid = new Error(`Invalid cron expression "${cron}": ${error.message}`);
+      invalid.statusCode = 400;
+      throw invalid;
+    }
+
+    if (files) {
+      fs.writeFileSync(this.getStagedFile(id), JSON.stringify(files));
+    }
+
+    this.schedules.set(id, schedule);
+    this.save();
+
+    logger.info(`Scheduled ${schedule.name}`, { id, nextRunAt: schedule.nextRunAt, cron, createdBy });
+    return schedule;
+  }
+
+  /**
+   * List schedules, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - active, completed, failed, skipped or cancelled
+   * @returns {Array<Object>}
+   */
+  list({ status } = {}) {
+    return Array.from(this.schedules.values())
+      .filter(schedule => !status || schedule.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get one schedule
+   * @param {string} id - Schedule ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.schedules.get(id) || null;
+  }
+
+  /**
+   * Cancel a schedule so it never runs again
+   * @param {string} id - Schedule ID
+   * @param {string} [cancelledBy] - Who cancelled it
+   * @returns {Object|null} - Cancelled schedule, or null if it doesn't exist
+   */
+  cancel(id, cancelledBy = null) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) {
+      return null;
+    }
+
+    if (schedule.status === 'active') {
+      schedule.status = 'cancelled';
+      schedule.nextRunAt = null;
+      schedule.cancelledBy = cancelledBy;
+      schedule.cancelledAt = new Date().toISOString();
+      this.removeStagedFiles(id);
+      this.save();
+
+      logger.info(`Cancelled schedule ${schedule.name}`, { id, cancelledBy });
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Find the freeze window open at a given time
+   * @param {Date} [at] - Time to check, now by default
+   * @returns {{name: string, endsAt: string}|null}
+   */
+  getActiveFreezeWindow(at = new Date()) {
+    for (const window of freezeConfig.windows) {
+      if (window.start && window.end) {
+        if (at >= new Date(window.start) && at < new Date(window.end)) {
+          return { name: window.name, endsAt: new Date(window.end).toISOString() };
+        }
+        continue;
+      }
+
+      if (window.cron && window.durationMinutes > 0) {
+        try {
+          // The window opened at the last occurrence before now
+          const openedAt = cronParser.parseExpression(window.cron, { currentDate: at, tz: window.timezone }).prev().toDate();
+          const closesAt = new Date(openedAt.getTime() + window.durationMinutes * 60 * 1000);
+          if (at < closesAt) {
+            return { name: window.name, endsAt: closesAt.toISOString() };
+          }
+        } catch (error) {
+          logger.warn(`Ignoring freeze window ${window.name}: ${error.message}`);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run every schedule that is due
+   * @private
+   */
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const now = Date.now();
+      const due = this.list({ status: 'active' })
+        .filter(schedule => schedule.nextRunAt && new Date(schedule.nextRunAt).getTime() <= now)
+        .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+
+      // One at a time - a switch and a deploy due together shouldn't race
+      for (const schedule of due) {
+        await this.run(schedule);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Execute one due schedule and work out when it runs next
+   * @private
+   */
+  async run(schedule) {
+    const dueAt = new Date(schedule.nextRunAt);
+    const lateBy = Date.now() - dueAt.getTime();
+    let result;
+
+    if (lateBy > MISFIRE_GRACE) {
+      result = { status: 'skipped', message: `Missed run at ${dueAt.toISOString()} (server was unavailable)` };
+    } else {
+      this.broadcast(schedule, 'started', `Running ${schedule.name}`);
+
+      try {
+        result = await this.execute(schedule);
+      } catch (error) {
+        logger.error(`Scheduled ${schedule.name} failed: ${error.message}`, { id: schedule.id, stack: error.stack });
+        result = { status: 'failed', message: error.message };
+      }
+    }
+
+    schedule.lastRunAt = new Date().toISOString();
+    schedule.runs.push({ at: schedule.lastRunAt, dueAt: dueAt.toISOString(), ...result });
+    schedule.runs = schedule.runs.slice(-RUN_HISTORY_LIMIT);
+
+    // A schedule cancelled while it was running stays cancelled
+    if (schedule.status === 'active' && schedule.cron) {
+      schedule.nextRunAt = this.nextCronRun(schedule.cron, schedule.timezone);
+    } else if (schedule.status === 'active') {
+      schedule.status = result.status === 'succeeded' ? 'completed' : result.status;
+      schedule.nextRunAt = null;
+      this.removeStagedFiles(schedule.id);
+    }
+
+    this.save();
+
+    auditService.record({
+      actor: `scheduler (${schedule.createdBy || 'unknown'})`,
+      via: 'scheduler',
+      project: projectService.current().id,
+      action: `schedule.${schedule.action}`,
+      target: schedule.params.targetBranch || schedule.params.branch || (schedule.action === 'purge' ? 'cdn' : null),
+      params: { scheduleId: schedule.id, name: schedule.name, ...schedule.params },
+      result: {
+        outcome: { succeeded: 'success', skipped: 'skipped' }[result.status] || 'failure',
+        message: result.message
+      }
+    });
+
+    logger.info(`Scheduled ${schedule.name} ${result.status}: ${result.message}`, { id: schedule.id });
+    this.broadcast(schedule, result.status, result.message);
+  }
+
+  /**
+   * Carry out a schedule's action
+   * @private
+   * @returns {Promise<{status: string, message: string}>}
+   */
+  async execute(schedule) {
+    const { action, params } = schedule;
+    const initiator = `scheduler (${schedule.createdBy || 'unknown'})`;
+
+    if (action === 'purge') {
+      const result = await netlifyService.purgeCache();
+      return { status: result.success === false ? 'failed' : 'succeeded', message: 'Cache purged' };
+    }
+
+    if (action === 'deploy') {
+      const lock = lockService.getLock(params.branch);
+      if (lock) {
+        return { status: 'skipped', message: lockService.describe(lock) };
+      }
+
+      const files = this.readStagedFiles(schedule.id);
+      if (!files) {
+        return { status: 'failed', message: 'Staged files are missing' };
+      }
+
+      const { record, gitResult } = await deploymentService.deploy({
+        branch: params.branch,
+        files,
+        commitMessage: params.commitMessage || `DeployEase: scheduled ${params.branch} deployment`,
+        initiator,
+        source: 'schedule',
+        // Wait for a deployment someone started by hand rather than failing the run
+        wait: true
+      });
+
+      return {
+        status: 'succeeded',
+        message: gitResult.changed
+          ? `Deployment ${record.id} to ${params.branch} started`
+          : `No changes - ${params.branch} already has the staged files`,
+        deploymentId: record.id
+      };
+    }
+
+    // Compliance - a second person approves before traffic moves, so the schedule only asks
+    if (approvalService.isRequired('switch')) {
+      const approval = approvalService.create({
+        action: 'switch',
+        params: { targetBranch: params.targetBranch, expectedParentSha: null, force: params.force === true },
+        description: `Switch traffic to ${params.targetBranch}`,
+        requestedBy: schedule.createdBy || 'scheduler',
+        comment: `Requested by schedule ${schedule.name} (${schedule.id})`
+      });
+
+      return {
+        status: 'succeeded',
+        message: `Switch to ${params.targetBranch} is awaiting approval (${approval.quorum} needed, expires ${approval.expiresAt})`,
+        approvalId: approval.id
+      };
+    }
+
+    // Hold production from the active branch check to the switch, queued behind anything running
+    return operationService.run('production', {
+      type: 'switch',
+      description: `Scheduled switch to ${params.targetBranch}`,
+      initiator
+    }, () => this.executeSwitch(params, initiator), { wait: true });
+  }
+
+  /**
+   * Switch traffic the same way the dashboard does - preflight, switch, then verify
+   * @private
+   */
+  async executeSwitch({ targetBranch, force = false }, initiator) {
+    if (maintenanceService.isEnabled()) {
+      return { status: 'skipped', message: 'Maintenance mode is on' };
+    }
+
+    if (canaryService.isActive()) {
+      return { status: 'skipped', message: 'A canary rollout is in progress' };
+    }
+
+    const currentBranch = await redirectService.getActiveBranch();
+    if (currentBranch === targetBranch) {
+      return { status: 'skipped', message: `${targetBranch} is already active` };
+    }
+
+    const lock = lockService.findLock([currentBranch, targetBranch].filter(Boolean));
+    if (lock) {
+      return { status: 'skipped', message: lockService.describe(lock) };
+    }
+
+    if (!force) {
+      const preflight = await preflightService.run(targetBranch);
+      if (!preflight.passed) {
+        const failed = preflight.checks.filter(check => !check.passed).map(check => check.message);
+        return { status: 'failed', message: `Preflight failed: ${failed.join('; ')}` };
+      }
+    }
+
+    await trafficService.switchTo(targetBranch);
+
+    switchVerifier.start({ targetBranch, previousBranch: currentBranch, initiator });
+
+    websocketService.broadcast({
+      type: 'environment_switch',
+      newActive: targetBranch,
+      scheduled: true,
+      timestamp: new Date().toISOString()
+    });
+
+    return { status: 'succeeded', message: `Traffic switched from ${currentBranch || 'none'} to ${targetBranch}` };
+  }
+
+  /**
+   * Next occurrence of a cron expression after now
+   * @private
+   */
+  nextCronRun(cron, timezone) {
+    return cronParser.parseExpression(cron, { currentDate: new Date(), tz: timezone }).next().toDate().toISOString();
+  }
+
+  /**
+   * Default label for a schedule
+   * @private
+   */
+  describeAction(action, params) {
+    if (action === 'switch') {
+      return `Switch traffic to ${params.targetBranch}`;
+    }
+    if (action === 'deploy') {
+      return `Deploy staged files to ${params.branch}`;
+    }
+    return 'Purge CDN cache';
+  }
+
+  /**
+   * @private
+   */
+  getStagedFile(id) {
+    return path.join(this.stagedDir, `${id}.json`);
+  }
+
+  /**
+   * @private
+   */
+  readStagedFiles(id) {
+    try {
+      return JSON.parse(fs.readFileSync(this.getStagedFile(id), 'utf8'));
+    } catch (error) {
+      logger.error(`Failed to read staged files for ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  removeStagedFiles(id) {
+    fs.rm(this.getStagedFile(id), { force: true }, () => {});
+  }
+
+  /**
+   * @private
+   */
+  load() {
+    if (!fs.existsSync(this.storeFile)) {
+      return;
+    }
+
+    try {
+      JSON.parse(fs.readFileSync(this.storeFile, 'utf8')).forEach(schedule => this.schedules.set(schedule.id, schedule));
+      logger.info(`Loaded ${this.schedules.size} schedules`);
+    } catch (error) {
+      logger.warn(`Ignoring unreadable schedules in ${this.storeFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  save() {
+    try {
+      fs.writeFileSync(this.storeFile, JSON.stringify(Array.from(this.schedules.values()), null, 2));
+    } catch (error) {
+      logger.error(`Failed to save schedules: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tell dashboard clients about a run or skip
+   * @private
+   */
+  broadcast(schedule, status, message) {
+    websocketService.broadcast({
+      type: 'schedule_run',
+      scheduleId: schedule.id,
+      name: schedule.name,
+      action: schedule.action,
+      status,
+      message,
+      nextRunAt: schedule.nextRunAt,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// One instance per project - schedules run in the project they were created in
+module.exports = projectService.scoped(() => new SchedulerService());
\ No newline at end of file
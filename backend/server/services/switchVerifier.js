@@ -0,0 +1,246 @@
+// backend/server/services/switchVerifier.js
+const axios = require('axios');
+const trafficService = require('./trafficService');
+const websocketService = require('./websocketService');
+const projectService = require('./projectService');
+const logger = require('../utils/logger');
+
+const ROUTING_INFO_PATH = '/routing-info'; // Answered by the route.js edge function with X-Environment
+
+/**
+ * Parse a positive number env var with a fallback
+ */
+const parseNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const WATCH_WINDOW = parseNumber(process.env.SWITCH_VERIFY_WINDOW_MS, 5 * 60 * 1000);
+const SAMPLE_INTERVAL = parseNumber(process.env.SWITCH_VERIFY_INTERVAL_MS, 15000);
+const MAX_ERROR_RATE = parseNumber(process.env.SWITCH_VERIFY_MAX_ERROR_RATE, 0.2);
+const MIN_SAMPLES = parseNumber(process.env.SWITCH_VERIFY_MIN_SAMPLES, 4);
+const REQUEST_TIMEOUT = 10000;
+
+class SwitchVerifier {
+  constructor() {
+    this.current = null; // Only the latest switch is watched
+  }
+
+  /**
+   * Watch production after a switch and revert to the previous branch if it misbehaves
+   * @param {Object} options
+   * @param {string} options.targetBranch - Branch traffic was switched to
+   * @param {string} options.previousBranch - Branch to go back to on failure
+   * @param {string} [options.initiator] - Who made the switch
+   * @returns {{targetBranch: string, previousBranch: string, windowMs: number, endsAt: string}}
+   */
+  start({ targetBranch, previousBranch, initiator = null }) {
+    this.cancel('superseded by a new switch');
+
+    const watch = {
+      targetBranch,
+      previousBranch,
+      initiator,
+      startedAt: Date.now(),
+      endsAt: Date.now() + WATCH_WINDOW,
+      samples: 0,
+      errors: 0,
+      confirmed: false, // Production reported the target color at least once
+      lastServed: null,
+      timer: null
+    };
+
+    this.current = watch;
+    watch.timer = setTimeout(() => this.sample(watch), SAMPLE_INTERVAL);
+
+    logger.info(`Verifying switch to ${targetBranch} for ${WATCH_WINDOW / 1000}s`, { previousBranch, initiator });
+    this.broadcast(watch, 'watching', `Verifying ${targetBranch} serves production`);
+
+    return this.describe(watch);
+  }
+
+  /**
+   * Stop watching the current switch
+   * @param {string} reason - Why the watch was stopped
+   */
+  cancel(reason) {
+    if (!this.current) {
+      return;
+    }
+
+    clearTimeout(this.current.timer);
+    logger.info(`Stopped verifying switch to ${this.current.targetBranch}: ${reason}`);
+    this.current = null;
+  }
+
+  /**
+   * Get the switch being watched, if any
+   * @returns {Object|null}
+   */
+  getStatus() {
+    return this.current ? this.describe(this.current) : null;
+  }
+
+  /**
+   * Probe production once and decide whether to keep watching, pass or revert
+   * @private
+   */
+  async sample(watch) {
+    if (this.current !== watch) {
+      return;
+    }
+
+    const [page, routing] = await Promise.all([
+      this.request('/'),
+      this.request(ROUTING_INFO_PATH)
+    ]);
+
+    // A watch can be cancelled while requests are in flight
+    if (this.current !== watch) {
+      return;
+    }
+
+    watch.samples++;
+    if (page.error || routing.error) {
+      watch.errors++;
+    }
+
+    const served = routing.environment || page.environment;
+    if (served) {
+      watch.lastServed = served;
+      if (served === watch.targetBranch) {
+        watch.confirmed = true;
+      } else if (watch.confirmed) {
+        // Production went back to another color after serving the target
+        return this.revert(watch, `Production switched back to ${served} during verification`);
+      }
+    }
+
+    const errorRate = watch.errors / watch.samples;
+    if (watch.samples >= MIN_SAMPLES && errorRate > MAX_ERROR_RATE) {
+      return this.revert(watch, `Error rate ${Math.round(errorRate * 100)}% exceeds ${Math.round(MAX_ERROR_RATE * 100)}% (${page.error || routing.error || 'earlier errors'})`);
+    }
+
+    if (Date.now() < watch.endsAt) {
+      watch.timer = setTimeout(() => this.sample(watch), SAMPLE_INTERVAL);
+      return;
+    }
+
+    // The rebuild may take a while, so the color only has to show up by the end of the window
+    if (!watch.confirmed && watch.lastServed) {
+      return this.revert(watch, `Production still serves ${watch.lastServed} after ${WATCH_WINDOW / 1000}s`);
+    }
+
+    this.current = null;
+    const message = watch.confirmed
+      ? `${watch.targetBranch} verified in production`
+      : `${watch.targetBranch} passed error checks, but production does not report its environment`;
+
+    logger.info(message, { samples: watch.samples, errors: watch.errors });
+    this.broadcast(watch, 'passed', message);
+  }
+
+  /**
+   * Send traffic back to the previous branch
+   * @private
+   */
+  async revert(watch, reason) {
+    this.current = null;
+    logger.error(`Switch to ${watch.targetBranch} failed verification: ${reason}`, {
+      previousBranch: watch.previousBranch,
+      samples: watch.samples,
+      errors: watch.errors
+    });
+
+    if (!['blue', 'green'].includes(watch.previousBranch)) {
+      this.broadcast(watch, 'failed', `${reason} - no previous branch to revert to`);
+      return;
+    }
+
+    this.broadcast(watch, 'failed', reason);
+
+    try {
+      await trafficService.switchTo(watch.previousBranch);
+
+      websocketService.broadcast({
+        type: 'environment_rollback',
+        newActive: watch.previousBranch,
+        previousActive: watch.targetBranch,
+        automatic: true,
+        reason,
+        timestamp: new Date().toISOString()
+      });
+
+      logger.warn(`Traffic reverted to ${watch.previousBranch}`, { reason });
+    } catch (error) {
+      logger.error(`Failed to revert traffic to ${watch.previousBranch}: ${error.message}`, {
+        stack: error.stack,
+        reason
+      });
+      this.broadcast(watch, 'failed', `${reason} - revert to ${watch.previousBranch} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Request a production URL, noting errors and the environment it came from
+   * @private
+   * @returns {Promise<{statusCode: number|null, environment: string|null, error: string|null}>}
+   */
+  async request(path) {
+    const siteUrl = projectService.siteUrl();
+
+    try {
+      const response = await axios.get(`${siteUrl}${path}`, {
+        timeout: REQUEST_TIMEOUT,
+        validateStatus: () => true,
+        headers: { 'User-Agent': 'DeployEase-SwitchVerifier/1.0' }
+      });
+
+      // Prefer the edge function header, fall back to the branch deploy host the redirect landed on
+      const finalHost = new URL(response.request?.res?.responseUrl || siteUrl).hostname;
+      const hostMatch = finalHost.match(/^(.+?)--/);
+      const environment = response.headers['x-environment'] || (hostMatch ? projectService.environmentFor(hostMatch[1]) : null);
+
+      return {
+        statusCode: response.status,
+        environment: ['blue', 'green'].includes(environment) ? environment : null,
+        error: response.status >= 500 ? `${path} answered HTTP ${response.status}` : null
+      };
+    } catch (error) {
+      return { statusCode: null, environment: null, error: `${path}: ${error.message}` };
+    }
+  }
+
+  /**
+   * Public view of a watch
+   * @private
+   */
+  describe(watch) {
+    return {
+      targetBranch: watch.targetBranch,
+      previousBranch: watch.previousBranch,
+      windowMs: WATCH_WINDOW,
+      endsAt: new Date(watch.endsAt).toISOString(),
+      samples: watch.samples,
+      errors: watch.errors,
+      confirmed: watch.confirmed
+    };
+  }
+
+  /**
+   * Tell dashboard clients how verification is going
+   * @private
+   */
+  broadcast(watch, status, message) {
+    websocketService.broadcast({
+      type: 'switch_verification',
+      status,
+      message,
+      ...this.describe(watch),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// One instance per project - each watches its own production site
+module.exports = projectService.scoped(() => new SwitchVerifier());
\ No newline at end of file
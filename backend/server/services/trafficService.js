@@ -0,0 +1,93 @@
+// backend/server/services/trafficService.js
+const redirectService = require('./redirectService');
+const netlifyService = require('./netlifyService');
+const deployTracker = require('./deployTracker');
+const operationService = require('./operationService');
+const projectService = require('./projectService');
+const logger = require('../utils/logger');
+
+class TrafficService {
+  constructor() {
+    // Anything cached before this time may describe the wrong active branch
+    this.lastSwitchAt = 0;
+  }
+
+  /**
+   * Point production traffic at a branch: rewrite _redirects, purge the CDN and rebuild main
+   * @param {string} targetBranch - Branch to send traffic to (blue/green)
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Rewrite the rules even if the branch is already active (ends a canary)
+   * @param {string} [options.expectedParentSha] - Refuse with 409 if main has moved past this commit
+   * @returns {Promise<{redirectResult: Object, purgeResult: Object, deployResult: Object}>}
+   */
+  async switchTo(targetBranch, { force = false, expectedParentSha = null } = {}) {
+    return this.apply(
+      'switch',
+      `Switch traffic to ${targetBranch}`,
+      () => redirectService.updateRedirects(targetBranch, { force, expectedParentSha })
+    );
+  }
+
+  /**
+   * Split production traffic between the active branch and a canary
+   * @param {string} primaryBranch - Branch serving the rest of the traffic
+   * @param {string} canaryBranch - Branch receiving the canary share
+   * @param {number} weight - Percentage of visitors sent to the canary
+   * @returns {Promise<{redirectResult: Object, purgeResult: Object, deployResult: Object}>}
+   */
+  async setCanary(primaryBranch, canaryBranch, weight) {
+    return this.apply(
+      'canary',
+      `Split traffic ${100 - weight}/${weight} between ${primaryBranch} and ${canaryBranch}`,
+      () => redirectService.updateCanaryRouting(primaryBranch, canaryBranch, weight)
+    );
+  }
+
+  /**
+   * Serve the maintenance page instead of either branch
+   * @param {string} pageHtml - Maintenance page content
+   * @returns {Promise<{redirectResult: Object, purgeResult: Object, deployResult: Object}>}
+   */
+  async enterMaintenance(pageHtml) {
+    return this.apply(
+      'maintenance',
+      'Replace production traffic with the maintenance page',
+      () => redirectService.enableMaintenance(pageHtml)
+    );
+  }
+
+  /**
+   * Commit the routing change, then purge the CDN and rebuild main
+   * Routing changes queue behind each other - callers that would rather fail hold 'production' themselves
+   * @private
+   */
+  async apply(type, description, routingUpdate) {
+    return operationService.run('production', { type, description }, async () => {
+      // The rebuild has to start from the new routing commit
+      const redirectResult = await routingUpdate();
+      const [purgeResult, deployResult] = await Promise.all([
+        netlifyService.purgeCache(),
+        netlifyService.triggerDeploy('main')
+      ]);
+
+      this.lastSwitchAt = Date.now();
+
+      // Follow the main site rebuild that picks up the new redirects
+      deployTracker.track({
+        branch: 'main',
+        netlifyDeployId: deployResult.deployId,
+        since: deployResult.triggeredAt
+      });
+
+      logger.debug(description, {
+        commitUrl: redirectResult.commitUrl,
+        deployId: deployResult.deployId
+      });
+
+      return { redirectResult, purgeResult, deployResult };
+    }, { wait: true });
+  }
+}
+
+// One instance per project
+module.exports = projectService.scoped(() => new TrafficService());
\ No newline at end of file
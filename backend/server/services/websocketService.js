@@ -8,6 +8,12 @@ const http = require('http');
 const logger = require('../utils/logger');
 const { exec } = require('child_process');
 const gitService = require('../services/gitService');
+const deploymentStore = require('../services/deploymentStore');
+const authService = require('../services/authService');
+const projectService = require('../services/projectService');
+
+// Close code sent when a connection's session ends or its token is revoked
+const WS_CLOSE_UNAUTHORIZED = 4401;
 
 class WebSocketService {
   constructor() {
@@ -51,8 +57,11 @@ class WebSocketService {
             // Create HTTP server for WebSocket
             const server = http.createServer();
             
-            // Create WebSocket server
-            const wss = new WebSocket.Server({ server });
+            // Create WebSocket server - upgrades without a valid session or API token are refused with 401
+            const wss = new WebSocket.Server({
+              server,
+              verifyClient: (info, done) => this.verifyClient(info, done)
+            });
             
             // Store references
             this.server = server;
@@ -119,19 +128,23 @@ class WebSocketService {
     this.wss.on('connection', (ws, req) => {
       const clientId = this.generateClientId();
       const clientIp = req.socket.remoteAddress;
+      const project = this.getClientProject(req);
       
       // Store client in map with metadata
       this.clients.set(clientId, {
         socket: ws,
         ip: clientIp,
+        user: req.user,
+        token: authService.getRequestToken(req, { allowQuery: true }),
+        project, // Only this project's updates are sent - changed with a subscribe message
         connectedAt: new Date(),
         lastPing: Date.now()
       });
 
-      logger.info(`New WebSocket connection from ${clientIp} (ID: ${clientId})`);
+      logger.info(`New WebSocket connection from ${req.user.username} at ${clientIp} for ${project.id} (ID: ${clientId})`);
       
       // Send initial deployment history on connection
-      this.sendDeploymentHistory(clientId);
+      projectService.run(project, () => this.sendDeploymentHistory(clientId));
 
       // Set up client event handlers
       ws.on('message', (message) => {
@@ -169,6 +182,41 @@ class WebSocketService {
     });
   }
 
+  /**
+   * Accept an upgrade only with a valid session or API token (Authorization header or ?token=)
+   * @param {{req: http.IncomingMessage}} info - Upgrade request
+   * @param {Function} done - ws callback (result, code, message)
+   */
+  verifyClient(info, done) {
+    const user = authService.authenticate(authService.getRequestToken(info.req, { allowQuery: true }));
+
+    if (!user) {
+      logger.warn(`Refused unauthenticated WebSocket connection from ${info.req.socket.remoteAddress}`);
+      return done(false, 401, 'Unauthorized');
+    }
+
+    info.req.user = user;
+
+    if (!this.getClientProject(info.req)) {
+      logger.warn(`Refused WebSocket connection from ${user.username}: no access to any project`);
+      return done(false, 403, 'Forbidden');
+    }
+
+    done(true);
+  }
+
+  /**
+   * Project a connection starts on - ?project=, else the default project, else the first one the user can access
+   * @param {http.IncomingMessage} req - Upgrade request, with req.user set
+   * @returns {Object|null}
+   */
+  getClientProject(req) {
+    const requested = projectService.get(new URL(req.url, 'http://localhost').searchParams.get('project'));
+
+    return [requested, projectService.getDefault(), ...projectService.list()]
+      .find(project => project && authService.roleFor(req.user, project.id)) || null;
+  }
+
   /**
    * Handle incoming client messages
    * @param {string} clientId - Client identifier
@@ -183,10 +231,24 @@ class WebSocketService {
 
     // Handle different message types
     switch (message.type) {
-      case 'subscribe':
-        logger.info(`Received subscribe message from ${clientId}`);
-        // Handle subscription logic
+      case 'subscribe': {
+        // Follow another project, e.g. after switching projects in the dashboard
+        if (!message.projectId || message.projectId === client.project.id) {
+          logger.info(`Received subscribe message from ${clientId}`);
+          break;
+        }
+
+        const project = projectService.get(message.projectId);
+        if (!project || !authService.roleFor(client.user, project.id)) {
+          this.sendToClient(clientId, { type: 'error', message: `Project not found: ${message.projectId}` });
+          break;
+        }
+
+        logger.info(`Client ${clientId} subscribed to ${project.id}`);
+        client.project = project;
+        projectService.run(project, () => this.sendDeploymentHistory(clientId));
         break;
+      }
         
       case 'ping':
         // Update last ping time and respond with pong
@@ -203,7 +265,7 @@ class WebSocketService {
       case 'request_history':
         // Send deployment history when requested
         logger.info(`Received history request from ${clientId}`);
-        this.sendDeploymentHistory(clientId);
+        projectService.run(client.project, () => this.sendDeploymentHistory(clientId));
         break;
         
       default:
@@ -212,40 +274,37 @@ class WebSocketService {
   }
 
   /**
-   * Send deployment history to a specific client
+   * Send deployment history of the current project to a specific client
    * @param {string} clientId - Client identifier
    */
   async sendDeploymentHistory(clientId) {
     try {
-      // Get deployment history directly from gitService instead of through deploymentController
-      const historyBlue = await gitService.getDeploymentHistory('blue') || [];
-      const historyGreen = await gitService.getDeploymentHistory('green') || [];
-      
-      // Format the deployments consistent with what the client expects
-      const formatDeployment = (deployment, branch) => {
-        return {
-          id: deployment.id || deployment.sha?.slice(0, 7) || `${branch}-${Date.now()}`,
+      // Prefer recorded deployments, fall back to GitHub commits for branches with no records yet
+      const getHistory = async (branch) => {
+        const records = deploymentStore.query({ branch, limit: 10 });
+        if (records.length > 0) {
+          return records.map(record => deploymentStore.toHistoryEntry(record));
+        }
+
+        const commits = await gitService.getDeploymentHistory(branch) || [];
+        return Array.isArray(commits) ? commits.map(commit => ({
+          id: commit.id?.slice(0, 7) || `${branch}-${Date.now()}`,
           branch: branch,
-          status: deployment.state || 'success',
-          timestamp: deployment.timestamp || deployment.commit?.committer?.date || new Date().toISOString(),
-          commitSha: deployment.sha || '',
-          commitUrl: deployment.html_url || '',
-          commitMessage: deployment.commit?.message || `Deployment to ${branch}`,
-          committer: deployment.commit?.committer?.name || 'DeployEase System'
-        };
+          status: commit.status || 'success',
+          timestamp: commit.timestamp || new Date().toISOString(),
+          commitSha: commit.id || '',
+          commitUrl: commit.url || '',
+          commitMessage: commit.message || `Deployment to ${branch}`,
+          committer: commit.author || 'DeployEase System'
+        })) : [];
       };
       
-      // Format the history data
-      const formattedBlue = Array.isArray(historyBlue) 
-        ? historyBlue.map(d => formatDeployment(d, 'blue')) 
-        : [];
-        
-      const formattedGreen = Array.isArray(historyGreen) 
-        ? historyGreen.map(d => formatDeployment(d, 'green')) 
-        : [];
+      const formattedBlue = await getHistory('blue');
+      const formattedGreen = await getHistory('green');
       
       const history = {
         success: true,
+        projectId: projectService.current().id,
         blue: formattedBlue,
         green: formattedGreen,
         timestamp: new Date().toISOString()
@@ -310,6 +369,14 @@ class WebSocketService {
       // Check each client and remove stale connections
       this.clients.forEach((client, clientId) => {
         try {
+          // Sessions expire and tokens get revoked while sockets stay open
+          if (!authService.authenticate(client.token)) {
+            logger.info(`Closing WebSocket ${clientId} of ${client.user.username}: no longer authenticated`);
+            client.socket.close(WS_CLOSE_UNAUTHORIZED, 'Unauthorized');
+            this.clients.delete(clientId);
+            return;
+          }
+
           // Check if client is still alive (30 second timeout)
           if (now - client.lastPing > 30000) {
             // Try to ping the client
@@ -360,6 +427,7 @@ class WebSocketService {
 
   /**
    * Broadcast message to all connected clients
+   * Sent from a project, it goes only to clients following that project and carries its projectId
    * @param {object} data - Data to broadcast
    * @param {Function} filter - Optional filter function to select clients
    */
@@ -369,11 +437,16 @@ class WebSocketService {
       return;
     }
 
-    const message = JSON.stringify(data);
+    const project = projectService.peek();
+    const message = JSON.stringify(project ? { ...data, projectId: project.id } : data);
     let sentCount = 0;
 
     this.clients.forEach((client, clientId) => {
       try {
+        if (project && client.project.id !== project.id) {
+          return;
+        }
+
         // Apply filter if provided
         if (filter && !filter(client, clientId)) {
           return;
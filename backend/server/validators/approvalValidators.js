@@ -0,0 +1,52 @@
+// backend/server/validators/approvalValidators.js
+const Joi = require('joi');
+
+// Validation schema for approving or rejecting a change request
+const decisionSchema = Joi.object({
+  comment: Joi.string()
+    .trim()
+    .max(1000)
+});
+
+// Validation schema for commenting on a change request
+const commentSchema = Joi.object({
+  comment: Joi.string()
+    .trim()
+    .max(1000)
+    .required()
+    .messages({
+      'any.required': 'A comment is required',
+      'string.empty': 'A comment is required'
+    })
+});
+
+/**
+ * Build validation middleware for a schema
+ */
+const validate = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body || {}, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.context.key,
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateDecision = validate(decisionSchema);
+const validateComment = validate(commentSchema);
+
+module.exports = {
+  validateDecision,
+  validateComment
+};
\ No newline at end of file
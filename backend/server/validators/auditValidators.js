@@ -0,0 +1,72 @@
+// backend/server/validators/auditValidators.js
+const Joi = require('joi');
+
+// Validation schema for querying and exporting the audit log
+const auditQuerySchema = Joi.object({
+  actor: Joi.string().max(100),
+  action: Joi.string()
+    .pattern(/^[a-z-]+(\.[a-z-]*)*$/)
+    .max(100)
+    .messages({
+      'string.pattern.base': 'Action must look like traffic.switch, or traffic. for every traffic action'
+    }),
+  target: Joi.string().max(100),
+  project: Joi.string().max(40),
+  outcome: Joi.string()
+    .valid('success', 'failure', 'skipped')
+    .messages({
+      'any.only': 'Outcome must be one of "success", "failure" or "skipped"'
+    }),
+  correlationId: Joi.string().max(100),
+  from: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'From must be an ISO 8601 date'
+    }),
+  to: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'To must be an ISO 8601 date'
+    }),
+  format: Joi.string()
+    .valid('json', 'csv')
+    .default('json')
+    .messages({
+      'any.only': 'Format must be "json" or "csv"'
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(10000)
+    .default(100),
+  // Bounded too - a query holds offset + limit entries in memory
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .max(100000)
+    .default(0)
+});
+
+// Middleware function
+const validateAuditQuery = (req, res, next) => {
+  const { error, value } = auditQuerySchema.validate(req.query, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.context.key,
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  // Use the converted values (numbers, dates, defaults)
+  req.query = value;
+  next();
+};
+
+module.exports = { validateAuditQuery };
\ No newline at end of file
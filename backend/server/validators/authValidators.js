@@ -0,0 +1,97 @@
+// backend/server/validators/authValidators.js
+const Joi = require('joi');
+const { ROLE_ORDER } = require('../config/permissions');
+
+// Validation schema for dashboard sign-in
+const loginSchema = Joi.object({
+  username: Joi.string()
+    .max(64)
+    .required()
+    .messages({
+      'any.required': 'Username is required'
+    }),
+  password: Joi.string()
+    .max(256)
+    .required()
+    .messages({
+      'any.required': 'Password is required'
+    })
+});
+
+// Validation schema for new users
+const userSchema = Joi.object({
+  username: Joi.string()
+    .pattern(/^[a-zA-Z0-9._@-]+$/)
+    .max(64)
+    .required()
+    .messages({
+      'any.required': 'Username is required',
+      'string.pattern.base': 'Username may only contain letters, digits, ".", "_", "@" and "-"'
+    }),
+  password: Joi.string()
+    .min(10)
+    .max(256)
+    .required()
+    .messages({
+      'any.required': 'Password is required',
+      'string.min': 'Password must be at least 10 characters'
+    }),
+  role: Joi.string()
+    .valid(...ROLE_ORDER)
+    .required()
+    .messages({
+      'any.required': 'Role is required',
+      'any.only': `Role must be one of ${ROLE_ORDER.join(', ')}`
+    })
+});
+
+// Validation schema for API tokens
+const tokenSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'A token name is required',
+      'string.empty': 'A token name is required'
+    }),
+  // Defaults to the caller's role, can't be higher
+  role: Joi.string()
+    .valid(...ROLE_ORDER)
+    .messages({
+      'any.only': `Role must be one of ${ROLE_ORDER.join(', ')}`
+    })
+});
+
+/**
+ * Build validation middleware for a schema
+ */
+const validate = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.context.key,
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateLoginRequest = validate(loginSchema);
+const validateUserRequest = validate(userSchema);
+const validateTokenRequest = validate(tokenSchema);
+
+module.exports = {
+  validateLoginRequest,
+  validateUserRequest,
+  validateTokenRequest
+};
\ No newline at end of file
@@ -0,0 +1,50 @@
+// backend/server/validators/deploymentValidators.js
+const Joi = require('joi');
+
+// Validation schema for querying recorded deployments
+const deploymentQuerySchema = Joi.object({
+  branch: Joi.string()
+    .valid('blue', 'green', 'main')
+    .messages({
+      'any.only': 'Branch must be one of "blue", "green" or "main"'
+    }),
+  state: Joi.string()
+    .valid('pending', 'committed', 'enqueued', 'building', 'processing', 'ready', 'error', 'failed', 'skipped')
+    .messages({
+      'any.only': 'Unknown deployment state'
+    }),
+  since: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'Since must be an ISO 8601 date'
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(200)
+    .default(50)
+});
+
+// Middleware function
+const validateDeploymentQuery = (req, res, next) => {
+  const { error, value } = deploymentQuerySchema.validate(req.query, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.context.key,
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  // Use the converted values (numbers, dates, defaults)
+  req.query = value;
+  next();
+};
+
+module.exports = { validateDeploymentQuery };
\ No newline at end of file
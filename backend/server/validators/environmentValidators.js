@@ -10,14 +10,161 @@ const switchSchema = Joi.object({
       'string.base': 'Target branch must be a string',
       'any.only': 'Target branch must be either "blue" or "green"'
     }),
-  // Optional: Add force flag for emergency overrides
+  // Skip the pre-switch health gate (emergency override, logged)
+  force: Joi.boolean()
+    .default(false),
+  // Head of main the caller last saw - the switch is refused with 409 if main has moved since
+  expectedParentSha: Joi.string()
+    .pattern(/^[0-9a-f]{40}$/i)
+    .messages({
+      'string.pattern.base': 'Expected parent SHA must be a full 40 character commit SHA'
+    }),
+  // Park the switch until a second person approves it (always done when APPROVAL_REQUIRED_FOR includes switch)
+  requestApproval: Joi.boolean()
+    .default(false),
+  // Why - shown to approvers
+  comment: Joi.string()
+    .trim()
+    .max(1000)
+});
+
+// Validation schema for rollbacks to the original environment
+const rollbackSchema = Joi.object({
+  // Park the rollback until a second person approves it (always done when APPROVAL_REQUIRED_FOR includes rollback)
+  requestApproval: Joi.boolean()
+    .default(false),
+  comment: Joi.string()
+    .trim()
+    .max(1000)
+});
+
+// Validation schema for canary rollouts
+const canarySchema = Joi.object({
+  action: Joi.string()
+    .valid('start', 'pause', 'promote', 'abort')
+    .required()
+    .messages({
+      'any.required': 'Action is required',
+      'any.only': 'Action must be one of "start", "pause", "promote" or "abort"'
+    }),
+  // Defaults to the inactive branch
+  targetBranch: Joi.string()
+    .valid('blue', 'green')
+    .messages({
+      'any.only': 'Target branch must be either "blue" or "green"'
+    }),
+  // Canary weights in percent, e.g. [5, 25, 50, 100]
+  steps: Joi.array()
+    .items(Joi.number().integer().min(1).max(100))
+    .min(1)
+    .max(10),
+  holdMinutes: Joi.number()
+    .min(1)
+    .max(24 * 60),
+  // Skip the preflight gate when starting
   force: Joi.boolean()
     .default(false)
 });
 
-// Middleware function
-const validateSwitchRequest = (req, res, next) => {
-  const { error } = switchSchema.validate(req.body, { abortEarly: false });
+// Validation schema for preview links
+const previewSchema = Joi.object({
+  // Defaults to the inactive branch
+  branch: Joi.string()
+    .valid('blue', 'green')
+    .messages({
+      'any.only': 'Branch must be either "blue" or "green"'
+    }),
+  ttlMinutes: Joi.number()
+    .min(1)
+    .max(7 * 24 * 60)
+    .default(60),
+  // Page to open once the preview cookie is set
+  // Browsers read "\" as "/" - /\evil.com would leave the site
+  path: Joi.string()
+    .pattern(/^\/(?![/\\])[^\\\s]*$/)
+    .default('/')
+    .messages({
+      'string.pattern.base': 'Path must start with a single "/" and contain no backslashes or whitespace'
+    })
+});
+
+// Validation schema for maintenance mode
+const maintenanceSchema = Joi.object({
+  action: Joi.string()
+    .valid('enable', 'disable')
+    .required()
+    .messages({
+      'any.required': 'Action is required',
+      'any.only': 'Action must be either "enable" or "disable"'
+    }),
+  // Maintenance page content
+  title: Joi.string()
+    .max(200),
+  message: Joi.string()
+    .max(2000),
+  // Restore traffic automatically at this time
+  endsAt: Joi.date()
+    .iso()
+    .greater('now')
+    .messages({
+      'date.greater': 'End time must be in the future'
+    }),
+  // Color to restore instead of the one active before maintenance
+  restoreBranch: Joi.string()
+    .valid('blue', 'green')
+    .messages({
+      'any.only': 'Restore branch must be either "blue" or "green"'
+    })
+});
+
+// Validation schema for environment locks
+const lockSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .required()
+    .messages({
+      'any.required': 'A reason is required',
+      'string.empty': 'A reason is required'
+    }),
+  // Lift the lock automatically at this time (held until released otherwise)
+  expiresAt: Joi.date()
+    .iso()
+    .greater('now')
+    .messages({
+      'date.greater': 'Expiry must be in the future'
+    })
+});
+
+// Validation schema for promoting one environment onto the other
+const promoteSchema = Joi.object({
+  source: Joi.string()
+    .valid('blue', 'green')
+    .default('green')
+    .messages({
+      'any.only': 'Source must be either "blue" or "green"'
+    }),
+  target: Joi.string()
+    .valid('blue', 'green')
+    .invalid(Joi.ref('source'))
+    .default('blue')
+    .messages({
+      'any.only': 'Target must be either "blue" or "green"',
+      'any.invalid': 'Target must differ from source'
+    }),
+  // Head of the target the caller last saw (e.g. from the diff) - refused with 409 if it has moved
+  expectedParentSha: Joi.string()
+    .pattern(/^[0-9a-f]{40}$/i)
+    .messages({
+      'string.pattern.base': 'Expected parent SHA must be a full 40 character commit SHA'
+    })
+});
+
+/**
+ * Build validation middleware for a schema
+ */
+const validate = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
   
   if (error) {
     const errors = error.details.map(detail => ({
@@ -32,7 +179,25 @@ const validateSwitchRequest = (req, res, next) => {
     });
   }
   
+  // Pass on converted values and defaults (e.g. force: "true" -> true)
+  req.body = value;
   next();
 };
 
-module.exports = { validateSwitchRequest };
\ No newline at end of file
+const validateSwitchRequest = validate(switchSchema);
+const validateRollbackRequest = validate(rollbackSchema);
+const validateCanaryRequest = validate(canarySchema);
+const validatePreviewRequest = validate(previewSchema);
+const validateMaintenanceRequest = validate(maintenanceSchema);
+const validateLockRequest = validate(lockSchema);
+const validatePromoteRequest = validate(promoteSchema);
+
+module.exports = {
+  validateSwitchRequest,
+  validateRollbackRequest,
+  validateCanaryRequest,
+  validatePreviewRequest,
+  validateMaintenanceRequest,
+  validateLockRequest,
+  validatePromoteRequest
+};
\ No newline at end of file
@@ -1,12 +1,20 @@
 // backend/server/validators/gitValidators.js
 const Joi = require('joi');
 
+const fileSchema = Joi.object({
+  path: Joi.string().required(),
+  content: Joi.string().allow('').required(),
+  encoding: Joi.string().valid('utf-8', 'utf8', 'base64').optional(),
+  mode: Joi.string().valid('100644', '100755').optional()
+});
+
 const deploymentSchema = Joi.object({
   branch: Joi.string().valid('blue', 'green').required(),
-  files: Joi.array().min(1).required(),
+  files: Joi.array().items(fileSchema).min(1).required(),
   commitMessage: Joi.string().optional()
 });
 
 module.exports = {
+  fileSchema,
   validateDeploymentPayload: (payload) => deploymentSchema.validate(payload)
 };
\ No newline at end of file
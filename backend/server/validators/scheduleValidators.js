@@ -0,0 +1,83 @@
+// backend/server/validators/scheduleValidators.js
+const Joi = require('joi');
+const { fileSchema } = require('./gitValidators');
+
+// Validation schema for new schedules - flat so multipart uploads can send the same fields
+const scheduleSchema = Joi.object({
+  name: Joi.string()
+    .max(100),
+  action: Joi.string()
+    .valid('switch', 'deploy', 'purge')
+    .required()
+    .messages({
+      'any.required': 'Action is required',
+      'any.only': 'Action must be one of "switch", "deploy" or "purge"'
+    }),
+  // Run once at a time...
+  runAt: Joi.date()
+    .iso()
+    .greater('now')
+    .messages({
+      'date.greater': 'Run time must be in the future'
+    }),
+  // ...or repeatedly on a cron expression
+  cron: Joi.string()
+    .max(100),
+  timezone: Joi.string()
+    .max(64)
+    .default('UTC'),
+  // switch
+  targetBranch: Joi.string()
+    .valid('blue', 'green')
+    .when('action', { is: 'switch', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.required': 'Target branch is required for a switch',
+      'any.only': 'Target branch must be either "blue" or "green"'
+    }),
+  // Skip the preflight gate when the switch runs
+  force: Joi.boolean()
+    .default(false),
+  // deploy - files in the body, or an archive in the "file" field
+  branch: Joi.string()
+    .valid('blue', 'green')
+    .when('action', { is: 'deploy', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.required': 'Branch is required for a deployment',
+      'any.only': 'Branch must be either "blue" or "green"'
+    }),
+  files: Joi.array()
+    .items(fileSchema)
+    .min(1)
+    .when('action', { not: 'deploy', then: Joi.forbidden() }),
+  commitMessage: Joi.string()
+    .max(500)
+})
+  .xor('runAt', 'cron')
+  .messages({
+    'object.missing': 'Either runAt or cron is required',
+    'object.xor': 'Use either runAt or cron, not both'
+  });
+
+// Middleware function
+const validateScheduleRequest = (req, res, next) => {
+  const { error, value } = scheduleSchema.validate(req.body, { abortEarly: false });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.context.key,
+      message: detail.message
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  // Use the converted values (dates, booleans, defaults)
+  req.body = value;
+  next();
+};
+
+module.exports = { validateScheduleRequest };
\ No newline at end of file
@@ -0,0 +1,215 @@
+// frontend/src/js/auth.js
+import config from './config.js';
+
+// Dashboard session - cleared when the tab closes
+const SESSION_KEY = 'deployeaseSession';
+
+let pendingLogin = null;
+let pendingError = '';
+
+function getBaseUrl() {
+    return window.AppConfig?.apiBaseUrl || config.apiBaseUrl || 'http://localhost:3000';
+}
+
+function readSession() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SESSION_KEY)) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Current session token, or null when signed out
+export function getToken() {
+    const session = readSession();
+    if (!session || new Date(session.expiresAt) <= new Date()) return null;
+    return session.token;
+}
+
+// Signed-in user with their role and permissions
+export function getUser() {
+    return readSession()?.user || null;
+}
+
+export function hasPermission(permission) {
+    return Boolean(getUser()?.permissions?.includes(permission));
+}
+
+// WebSocket URL carrying the session token - browsers can't set headers on WebSocket connections
+export function withToken(url) {
+    const wsUrl = new URL(url);
+    const token = getToken();
+    if (token) wsUrl.searchParams.set('token', token);
+    return wsUrl.toString();
+}
+
+// fetch() against the API with the session token attached
+// 401 asks for a new sign-in, 403 is announced so the dashboard can explain it
+export async function apiFetch(path, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const token = getToken();
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${getBaseUrl()}${path}`, { ...options, headers });
+
+    if (response.status === 401 && !path.startsWith('/api/auth/login')) {
+        clearSession();
+        requireLogin();
+    } else if (response.status === 403) {
+        const body = await response.clone().json().catch(() => ({}));
+        window.dispatchEvent(new CustomEvent('permissionDenied', {
+            detail: { path, message: body.message || 'You are not allowed to do this' }
+        }));
+    }
+
+    return response;
+}
+
+function clearSession() {
+    sessionStorage.removeItem(SESSION_KEY);
+    updateUserBadge();
+}
+
+// Resolve once there is a session, showing the sign-in form if needed
+export function requireLogin() {
+    if (!pendingLogin) {
+        pendingLogin = completeGitHubSignIn()
+            .catch(() => null)
+            .then(user => {
+                if (!user && !getToken()) {
+                    return new Promise(resolve => showLoginForm(resolve));
+                }
+                pendingLogin = null;
+                updateUserBadge();
+                return user || getUser();
+            });
+    }
+    return pendingLogin;
+}
+
+export async function logout() {
+    await apiFetch('/api/auth/logout', { method: 'POST' }).catch(() => null);
+    clearSession();
+    window.dispatchEvent(new CustomEvent('authChanged', { detail: { user: null } }));
+    requireLogin();
+}
+
+// GitHub sign-in returns to the dashboard with #session=...&expiresAt=... or #authError=...
+async function completeGitHubSignIn() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get('session');
+    const authError = params.get('authError');
+    if (!token && !authError) return null;
+
+    // Keep the token out of the address bar and history
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+
+    if (authError) {
+        pendingError = authError;
+        return null;
+    }
+
+    const response = await fetch(`${getBaseUrl()}/api/auth/me`, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    if (!response.ok) {
+        pendingError = 'GitHub sign-in failed - try again';
+        return null;
+    }
+
+    const result = await response.json();
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify({
+        token,
+        expiresAt: params.get('expiresAt'),
+        user: result.user
+    }));
+
+    window.dispatchEvent(new CustomEvent('authChanged', { detail: { user: result.user } }));
+    return result.user;
+}
+
+// Offer "Sign in with GitHub" when the server has an OAuth app configured
+async function showGitHubButton() {
+    const button = document.getElementById('githubLoginButton');
+    if (!button) return;
+
+    const response = await fetch(`${getBaseUrl()}/api/auth/providers`).catch(() => null);
+    const result = response && response.ok ? await response.json() : null;
+    if (!result?.providers?.github) return;
+
+    button.style.display = 'block';
+    button.onclick = () => {
+        window.location.href = `${getBaseUrl()}/api/auth/github`;
+    };
+}
+
+function showLoginForm(resolve) {
+    const overlay = document.getElementById('loginOverlay');
+    const form = document.getElementById('loginForm');
+    const errorText = document.getElementById('loginError');
+    if (!overlay || !form) return;
+
+    overlay.style.display = 'flex';
+    errorText.textContent = pendingError;
+    pendingError = '';
+    document.getElementById('loginUsername')?.focus();
+    showGitHubButton();
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        errorText.textContent = '';
+
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+
+        try {
+            const response = await apiFetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: document.getElementById('loginUsername').value,
+                    password: document.getElementById('loginPassword').value
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Sign-in failed');
+
+            sessionStorage.setItem(SESSION_KEY, JSON.stringify({
+                token: result.token,
+                expiresAt: result.expiresAt,
+                user: result.user
+            }));
+
+            form.removeEventListener('submit', handleSubmit);
+            form.reset();
+            overlay.style.display = 'none';
+            pendingLogin = null;
+            updateUserBadge();
+
+            window.dispatchEvent(new CustomEvent('authChanged', { detail: { user: result.user } }));
+            resolve(result.user);
+        } catch (error) {
+            errorText.textContent = error.message;
+        } finally {
+            submitButton.disabled = false;
+        }
+    };
+
+    form.addEventListener('submit', handleSubmit);
+}
+
+function updateUserBadge() {
+    const badge = document.getElementById('currentUser');
+    const logoutButton = document.getElementById('logoutButton');
+    const user = getToken() ? getUser() : null;
+
+    if (badge) badge.textContent = user ? `${user.username} (${user.role})` : '';
+    if (logoutButton) logoutButton.style.display = user ? 'inline-block' : 'none';
+}
+
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('logoutButton')?.addEventListener('click', logout);
+        updateUserBadge();
+    });
+}
\ No newline at end of file
@@ -1,5 +1,6 @@
-import config from './config.js';
 import webSocketManager from './websocket.js';
+import { apiFetch, getUser } from './auth.js';
+import { projectPath, getBranchUrl, hasProjectPermission } from './projects.js';
 
 // DOM Elements Cache
 const elements = {
@@ -7,6 +8,8 @@ const elements = {
     greenStatus: document.getElementById("greenStatus"),
     blueHealthStatus: document.getElementById("blueHealthStatus"),
     greenHealthStatus: document.getElementById("greenHealthStatus"),
+    blueLockBadge: document.getElementById("blueLockBadge"),
+    greenLockBadge: document.getElementById("greenLockBadge"),
     switchTraffic: document.getElementById("switchTraffic"),
     rollbackButton: document.getElementById("rollbackButton"),
     refreshButton: document.getElementById("refreshButton"),
@@ -20,14 +23,42 @@ const elements = {
     logContent: document.getElementById('logContent'),
     confirmDeployBtn: document.getElementById('confirmDeployBtn'),
     cancelDeployBtn: document.getElementById('cancelDeployBtn'),
+    deployPreview: document.getElementById('deployPreview'),
     // Added new elements for progress bar
     deploymentProgressBar: document.getElementById('deploymentProgressBar'),
-    deploymentStatusText: document.getElementById('deploymentStatusText')
+    deploymentStatusText: document.getElementById('deploymentStatusText'),
+    // Canary rollout card
+    canaryStatusText: document.getElementById('canaryStatusText'),
+    canaryWeight: document.getElementById('canaryWeight'),
+    canaryProgressBar: document.getElementById('canaryProgressBar'),
+    canarySteps: document.getElementById('canarySteps'),
+    canaryStartBtn: document.getElementById('canaryStartBtn'),
+    canaryPauseBtn: document.getElementById('canaryPauseBtn'),
+    canaryPromoteBtn: document.getElementById('canaryPromoteBtn'),
+    canaryAbortBtn: document.getElementById('canaryAbortBtn'),
+    // Maintenance mode
+    maintenanceToggle: document.getElementById('maintenanceToggle'),
+    maintenanceBanner: document.getElementById('maintenanceBanner'),
+    maintenanceBannerText: document.getElementById('maintenanceBannerText'),
+    // Two-person approvals
+    requestApprovalToggle: document.getElementById('requestApprovalToggle'),
+    approvalList: document.getElementById('approvalList'),
+    approvalCount: document.getElementById('approvalCount')
 };
 
-// Progress bar state
-let progressBarInterval = null;
-let isDeploying = false;
+// Files read as text - must stay in sync with the backend's text MIME types (config/fileTypes.js)
+const TEXT_FILE_PATTERN = /(\.(html?|css|m?js|map|json|webmanifest|xml|txt|md|csv|svg)|^_redirects|^_headers|\.toml)$/i;
+
+// Payload shown in the deploy modal's diff preview - the next confirm deploys exactly this
+let pendingDeployment = null;
+
+// Progress bar state - follows deploy_status messages for one deployment at a time
+let trackedDeployment = null;
+let progressResetTimeout = null;
+
+// Whether visitors currently see the maintenance page, or a canary owns the routing
+let maintenanceEnabled = false;
+let canaryActive = false;
 
 // Track current active environment - initialize with default
 let currentActiveEnvironment = 'blue'; // Default to blue
@@ -70,7 +101,7 @@ function setupEventListeners() {
     }
     
     if (elements.switchTraffic) {
-        elements.switchTraffic.addEventListener("click", switchTraffic);
+        elements.switchTraffic.addEventListener("click", () => switchTraffic());
     }
     
     if (elements.refreshButton) {
@@ -84,6 +115,27 @@ function setupEventListeners() {
         });
     }
 
+    if (elements.maintenanceToggle) {
+        elements.maintenanceToggle.addEventListener("click", toggleMaintenance);
+    }
+    
+    // Canary controls
+    if (elements.canaryStartBtn) {
+        elements.canaryStartBtn.addEventListener("click", () => controlCanary('start'));
+    }
+    
+    if (elements.canaryPauseBtn) {
+        elements.canaryPauseBtn.addEventListener("click", () => controlCanary('pause'));
+    }
+    
+    if (elements.canaryPromoteBtn) {
+        elements.canaryPromoteBtn.addEventListener("click", () => controlCanary('promote'));
+    }
+    
+    if (elements.canaryAbortBtn) {
+        elements.canaryAbortBtn.addEventListener("click", () => controlCanary('abort'));
+    }
+
     // Modal buttons
     if (elements.confirmDeployBtn) {
         elements.confirmDeployBtn.addEventListener('click', handleDeployment);
@@ -93,6 +145,12 @@ function setupEventListeners() {
         elements.cancelDeployBtn.addEventListener('click', closeDeployModal);
     }
 
+    // A different target branch needs a fresh preview
+    const deploymentType = document.getElementById('deploymentType');
+    if (deploymentType) {
+        deploymentType.addEventListener('change', resetDeployPreview);
+    }
+
     // Close modal when clicking outside content
     if (elements.deployModal) {
         elements.deployModal.addEventListener('click', (e) => {
@@ -101,12 +159,96 @@ function setupEventListeners() {
             }
         });
     }
+
+    // Real Netlify deploy states pushed over the WebSocket
+    document.addEventListener('deployStatusUpdate', (e) => updateDeploymentProgress(e.detail));
+    
+    // Netlify deploy notifications mean the environment status has changed
+    document.addEventListener('environmentDeployEvent', () => updateEnvironmentStatus());
+    
+    // Health probe results change between status refreshes
+    document.addEventListener('environmentHealthChanged', (e) => {
+        const badge = e.detail.environment === 'blue' ? elements.blueHealthStatus : elements.greenHealthStatus;
+        updateHealthBadge(badge, e.detail);
+    });
+    
+    // Switches reverted by post-switch verification
+    document.addEventListener('environmentRolledBack', (e) => {
+        if (e.detail.automatic) {
+            showToast(`Switch to ${e.detail.previousActive} reverted: ${e.detail.reason}`, "error");
+        }
+        currentActiveEnvironment = e.detail.newActive;
+        originalBranchConfig.isSwapped = currentActiveEnvironment !== 'blue';
+        updateRollbackButtonState();
+        updateEnvironmentUIImmediate(currentActiveEnvironment);
+        updateEnvironmentStatus();
+    });
+    
+    // Maintenance turned on/off elsewhere or ended on schedule
+    document.addEventListener('maintenanceStatusChanged', (e) => {
+        updateMaintenanceUI(e.detail);
+        updateEnvironmentStatus();
+    });
+    
+    // Environments locked or unlocked elsewhere, or locks that expired
+    document.addEventListener('environmentLockChanged', (e) => updateLockBadges(e.detail));
+    
+    // The signed-in role lacks the permission a request needed
+    window.addEventListener('permissionDenied', (e) => showToast(e.detail.message, "error"));
+    
+    // Scheduled switches, deployments and purges
+    document.addEventListener('scheduleRun', (e) => {
+        const { name, status, message } = e.detail;
+        if (status === 'started') return;
+        
+        showToast(`Scheduled ${name}: ${status}${message ? ` - ${message}` : ''}`, status === 'succeeded' ? "success" : status === 'failed' ? "error" : "info");
+        if (status === 'succeeded') {
+            updateEnvironmentStatus();
+        }
+    });
+    
+    // Canary steps taken by the server (health-gated advances, auto-aborts)
+    document.addEventListener('canaryStatusChanged', (e) => {
+        updateCanaryUI(e.detail);
+        if (['completed', 'aborted'].includes(e.detail?.status)) {
+            updateEnvironmentStatus();
+        }
+    });
+    
+    // Deployments recorded outside this dashboard (e.g. git pushes)
+    document.addEventListener('deploymentUpdated', () => fetchDeploymentHistory());
+    
+    // Change requests created, approved, rejected or expired anywhere
+    document.addEventListener('approvalChanged', (e) => {
+        const { event, by, request } = e.detail;
+        const byMe = by === getUser()?.username;
+        fetchApprovals();
+        
+        if (event === 'requested' && !byMe && hasProjectPermission('approvals:decide')) {
+            showToast(`${by} asks for approval: ${request.description}`, "warning");
+        }
+        if (['executed', 'failed'].includes(event)) {
+            if (!byMe) {
+                showToast(`${request.description} ${event}${request.result?.message ? ` - ${request.result.message}` : ''}`, event === 'executed' ? "success" : "error");
+            }
+            updateEnvironmentStatus();
+        }
+    });
+    
+    // Another user signed in - their role decides which approval actions show
+    window.addEventListener('authChanged', () => fetchApprovals());
+    
+    // Another project picked in the header - everything shown belongs to the old one
+    window.addEventListener('projectChanged', (e) => {
+        webSocketManager.subscribe(e.detail.project.id);
+        showToast(`Switched to ${e.detail.project.name}`, "info");
+        updateEnvironmentStatus();
+    });
 }
 
 async function fetchDeploymentHistory() {
     try {
-        const baseUrl = window.AppConfig?.apiBaseUrl || config.apiBaseUrl || 'http://localhost:3000';
-        const response = await fetch(`${baseUrl}/api/deployments/history/all`);
+        const response = await apiFetch(projectPath('/deployments/history/all'));
         
         if (!response.ok) throw new Error(`HTTP ${response.status}`);
         
@@ -168,6 +310,8 @@ function showDeployModal() {
     const commitMessage = document.getElementById('commitMessage');
     if (commitMessage) commitMessage.value = '';
     
+    resetDeployPreview();
+    
     // Show the modal
     deployModal.style.display = 'flex';
 }
@@ -184,6 +328,8 @@ function closeDeployModal() {
         
         const commitMessage = document.getElementById('commitMessage');
         if (commitMessage) commitMessage.value = '';
+        
+        resetDeployPreview();
     }
 }
 
@@ -204,46 +350,39 @@ async function handleDeployment() {
         return;
     }
 
+    // Archives are uploaded as-is by GitDeployer (gitDeploy.js)
+    if (Array.from(fileInput.files).some(file => /\.(zip|tar\.gz|tgz)$/i.test(file.name))) {
+        return;
+    }
+
+    // The first confirm shows what would change, the second deploys it
+    if (!pendingDeployment) {
+        await previewDeployment(branch, fileInput.files);
+        return;
+    }
+
     try {
         showToast("Preparing deployment...", "info");
         
-        // Process files to match the expected format in the backend
-        const processedFiles = [];
-        for (const file of fileInput.files) {
-            const reader = new FileReader();
-            const filePromise = new Promise((resolve, reject) => {
-                reader.onload = () => {
-                    resolve({
-                        path: file.name,
-                        content: reader.result
-                    });
-                };
-                reader.onerror = reject;
-            });
-            
-            reader.readAsText(file);
-            processedFiles.push(filePromise);
-        }
-        
-        // Wait for all files to be processed
-        const files = await Promise.all(processedFiles);
+        // Deploy exactly what was previewed, and only on top of the commit it was compared with
+        const { files, baseSha } = pendingDeployment;
+        const fileCount = files.length;
         
         const deploymentData = {
             branch,
             commitMessage,
-            files
+            files,
+            expectedParentSha: baseSha
         };
         
         // First close the modal before initiating deployment
         // This ensures the modal is closed even if there's a delay in the network request
         closeDeployModal();
         
-        // Start the deployment progress animation immediately
-        // This gives immediate feedback to the user
-        startDeploymentProgress();
+        // Show the progress bar immediately - it advances as deploy_status messages arrive
+        startDeploymentProgress({ branch });
         
-        const baseUrl = window.AppConfig?.apiBaseUrl || config.apiBaseUrl || 'http://localhost:3000';
-        const response = await fetch(`${baseUrl}/api/deployments`, {
+        const response = await apiFetch(projectPath('/deployments'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -253,28 +392,190 @@ async function handleDeployment() {
 
         if (!response.ok) {
             const errorData = await response.json();
-            if (errorData.retryAfter) {
+            // Locked, or another deployment to the branch is still running
+            if (response.status === 423 || response.status === 409) {
+                showToast(errorData.message, "error");
+            } else if (errorData.retryAfter) {
                 showRetryPrompt(errorData.retryAfter);
             } else {
                 // Removed the deployment failure toast notification
                 console.error("Deployment failed:", errorData.message || errorData.error || "Deployment failed");
             }
+            finishDeploymentProgress(false, 'Deployment failed');
             return;
         }
 
         const result = await response.json();
-        showToast(`Deployment to ${branch} started! ${fileInput.files.length} files uploaded`, "success");
+        
+        // The branch already had these files - nothing was committed or built
+        if (result.noChanges) {
+            finishDeploymentProgress(true, 'No changes');
+            showToast(result.message, "info");
+            return;
+        }
+        
+        followDeployment(result.deploymentId, branch);
+        showToast(`Deployment to ${branch} started! ${fileCount} files uploaded`, "success");
         updateEnvironmentStatus();
         
     } catch (error) {
         console.error("Deployment failed:", error);
         // Removed the deployment failure toast notification
+        finishDeploymentProgress(false, 'Deployment failed');
         
         // Even if deployment fails, we should ensure the modal is closed
         closeDeployModal();
     }
 }
 
+// Compare the selected files with the target branch and show the diff in the modal
+async function previewDeployment(branch, selectedFiles) {
+    const confirmButton = elements.confirmDeployBtn;
+    
+    try {
+        if (confirmButton) {
+            confirmButton.disabled = true;
+            confirmButton.textContent = 'Comparing...';
+        }
+        
+        const files = await Promise.all(Array.from(selectedFiles).map(readFileForDeployment));
+        
+        const response = await apiFetch(projectPath('/deployments/preview'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ branch, files })
+        });
+        
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || result.message);
+        
+        pendingDeployment = { branch, files, baseSha: result.preview.baseSha };
+        renderDeployPreview(result.preview);
+    } catch (error) {
+        console.error("Deployment preview failed:", error);
+        showToast(`Preview failed: ${error.message}`, "error");
+    } finally {
+        if (confirmButton) {
+            confirmButton.disabled = false;
+            confirmButton.textContent = pendingDeployment ? 'Confirm Deploy' : 'Deploy';
+        }
+    }
+}
+
+// Added and modified files with their diffs, unchanged files collapsed into one list
+function renderDeployPreview(preview) {
+    const container = elements.deployPreview;
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    const summary = document.createElement('p');
+    summary.className = 'preview-summary';
+    summary.textContent = preview.summary.added || preview.summary.modified || preview.summary.removed
+        ? `${preview.summary.added} added, ${preview.summary.modified} modified, ${preview.summary.removed} removed, ${preview.summary.unchanged} unchanged on ${preview.branch} (${preview.baseSha.slice(0, 7)})`
+        : `No changes - ${preview.branch} already has these files`;
+    container.appendChild(summary);
+    
+    [['added', preview.added], ['modified', preview.modified]].forEach(([change, files]) => {
+        files.forEach(file => {
+            const details = document.createElement('details');
+            const title = document.createElement('summary');
+            title.className = `preview-${change}`;
+            title.textContent = `${change === 'added' ? 'A' : 'M'}  ${file.path}`;
+            details.appendChild(title);
+            
+            const diff = document.createElement('pre');
+            diff.className = 'diff';
+            if (file.diff) {
+                file.diff.split('\n').forEach(line => {
+                    const span = document.createElement('span');
+                    if (line.startsWith('@@')) {
+                        span.className = 'diff-hunk';
+                    } else if (line.startsWith('+') && !line.startsWith('+++')) {
+                        span.className = 'diff-add';
+                    } else if (line.startsWith('-') && !line.startsWith('---')) {
+                        span.className = 'diff-del';
+                    }
+                    span.textContent = `${line}\n`;
+                    diff.appendChild(span);
+                });
+            } else {
+                const previous = file.previousSize !== undefined ? `${(file.previousSize / 1024).toFixed(2)} KB -> ` : '';
+                const mode = file.previousMode ? `, mode ${file.previousMode} -> ${file.mode}` : '';
+                diff.textContent = `${file.binary ? 'Binary file' : 'File too large to diff'} (${previous}${(file.size / 1024).toFixed(2)} KB${mode})`;
+            }
+            details.appendChild(diff);
+            container.appendChild(details);
+        });
+    });
+    
+    preview.removed.forEach(file => {
+        const removed = document.createElement('p');
+        removed.className = 'preview-removed';
+        removed.textContent = `D  ${file.path}`;
+        container.appendChild(removed);
+    });
+    
+    if (preview.unchanged.length) {
+        const details = document.createElement('details');
+        const title = document.createElement('summary');
+        title.textContent = `${preview.unchanged.length} unchanged`;
+        details.appendChild(title);
+        
+        const list = document.createElement('pre');
+        list.className = 'diff';
+        list.textContent = preview.unchanged.map(file => file.path).join('\n');
+        details.appendChild(list);
+        container.appendChild(details);
+    }
+    
+    container.style.display = 'block';
+}
+
+// Forget the previewed payload - the files or branch changed, or the modal closed
+function resetDeployPreview() {
+    pendingDeployment = null;
+    
+    if (elements.deployPreview) {
+        elements.deployPreview.innerHTML = '';
+        elements.deployPreview.style.display = 'none';
+    }
+    
+    if (elements.confirmDeployBtn) {
+        elements.confirmDeployBtn.textContent = 'Deploy';
+    }
+}
+
+// Text files are sent as-is, everything else (images, fonts, wasm...) as base64
+function readFileForDeployment(file) {
+    const isText = TEXT_FILE_PATTERN.test(file.name);
+    
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            resolve(isText ? {
+                path: file.name,
+                content: reader.result,
+                encoding: 'utf-8'
+            } : {
+                path: file.name,
+                // Strip the "data:<mime>;base64," prefix
+                content: reader.result.slice(reader.result.indexOf(',') + 1),
+                encoding: 'base64'
+            });
+        };
+        reader.onerror = reject;
+        
+        if (isText) {
+            reader.readAsText(file);
+        } else {
+            reader.readAsDataURL(file);
+        }
+    });
+}
+
 function showRetryPrompt(seconds) {
     const toast = document.createElement('div');
     toast.className = 'toast warning';
@@ -301,56 +602,85 @@ function showRetryPrompt(seconds) {
     (elements.toast || document.body).appendChild(toast);
 }
 
-// Function to start the deployment progress animation
-function startDeploymentProgress() {
-    // Clear any existing interval
-    if (progressBarInterval) {
-        clearInterval(progressBarInterval);
-    }
+// Reset the progress bar and follow the deployment about to start
+function startDeploymentProgress({ branch = null, deploymentId = null } = {}) {
+    clearTimeout(progressResetTimeout);
+    trackedDeployment = { branch, deploymentId };
     
-    // Reset progress bar state
-    isDeploying = true;
     const progressBar = elements.deploymentProgressBar;
     const statusText = elements.deploymentStatusText;
     
     if (!progressBar || !statusText) return;
     
-    // Set initial states
-    progressBar.style.width = '0%';
-    progressBar.classList.remove('complete');
+    progressBar.style.width = '5%';
+    progressBar.classList.remove('complete', 'error');
     statusText.textContent = 'Deploying...';
+}
+
+// Narrow the followed deployment to its record ID once the API has returned it
+function followDeployment(deploymentId, branch) {
+    if (trackedDeployment && deploymentId && trackedDeployment.branch === branch) {
+        trackedDeployment.deploymentId = deploymentId;
+    }
+}
+
+function isTrackedDeployment(status) {
+    if (!trackedDeployment) return false;
+    if (trackedDeployment.deploymentId && status.deploymentId) {
+        return trackedDeployment.deploymentId === status.deploymentId;
+    }
+    return !trackedDeployment.branch || trackedDeployment.branch === status.branch;
+}
+
+// Move the progress bar to the state reported by the backend deploy tracker
+function updateDeploymentProgress(status) {
+    if (!status) return;
     
-    // Calculate a random duration between 15-55 seconds
-    const duration = Math.floor(Math.random() * (30 - 10 + 1)) + 10; // 15-55 seconds
-    const intervalTime = 100; // Update every 100ms for smooth animation
-    const steps = (duration * 1000) / intervalTime;
-    let currentStep = 0;
+    // Nothing followed yet - pick up deployments started elsewhere (archive uploads, webhooks...)
+    if (!trackedDeployment && status.status === 'enqueued') {
+        startDeploymentProgress({ branch: status.branch, deploymentId: status.deploymentId });
+    }
     
-    progressBarInterval = setInterval(() => {
-        currentStep++;
-        const progress = Math.min((currentStep / steps) * 100, 100);
-        
-        progressBar.style.width = `${progress}%`;
-        
-        // When progress reaches 100%
-        if (progress >= 100) {
-            clearInterval(progressBarInterval);
-            progressBar.classList.add('complete');
-            statusText.textContent = 'Deployment Complete';
-            isDeploying = false;
-            
-            // After a delay, reset the progress bar
-            setTimeout(() => {
-                if (!isDeploying) {
-                    statusText.textContent = 'Ready';
-                    progressBar.style.width = '0%';
-                }
-            }, 5000);
+    if (!isTrackedDeployment(status)) return;
+    
+    if (status.status === 'ready' || status.status === 'error') {
+        finishDeploymentProgress(status.status === 'ready', status.message);
+        return;
+    }
+    
+    const progressBar = elements.deploymentProgressBar;
+    const statusText = elements.deploymentStatusText;
+    
+    if (!progressBar || !statusText) return;
+    
+    progressBar.style.width = `${status.progress || 0}%`;
+    statusText.textContent = status.message;
+}
+
+function finishDeploymentProgress(success, message) {
+    trackedDeployment = null;
+    
+    const progressBar = elements.deploymentProgressBar;
+    const statusText = elements.deploymentStatusText;
+    
+    if (!progressBar || !statusText) return;
+    
+    progressBar.style.width = '100%';
+    progressBar.classList.add(success ? 'complete' : 'error');
+    statusText.textContent = message || (success ? 'Deployment Complete' : 'Deployment Failed');
+    
+    // After a delay, reset the progress bar
+    clearTimeout(progressResetTimeout);
+    progressResetTimeout = setTimeout(() => {
+        if (!trackedDeployment) {
+            statusText.textContent = 'Ready';
+            progressBar.style.width = '0%';
+            progressBar.classList.remove('complete', 'error');
         }
-    }, intervalTime);
+    }, 5000);
 }
 
-async function switchTraffic() {
+async function switchTraffic(force = false) {
     if (webSocketManager.getConnectionState() !== 'connected') {
         showToast("Cannot switch traffic - connection lost", "error");
         return;
@@ -360,15 +690,39 @@ async function switchTraffic() {
         const targetBranch = getInactiveEnvironment();
         showToast(`Switching traffic to ${targetBranch}...`, "info");
         
-        const baseUrl = window.AppConfig?.apiBaseUrl || config.apiBaseUrl || 'http://localhost:3000';
-        const response = await fetch(`${baseUrl}/api/environments/switch`, {
+        const response = await apiFetch(projectPath('/environments/switch'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ targetBranch })
+            body: JSON.stringify({ targetBranch, force, requestApproval: Boolean(elements.requestApprovalToggle?.checked) })
         });
 
+        // Parked until a second person approves it
+        if (response.status === 202) {
+            await showApprovalRequested(response);
+            return;
+        }
+
+        // Preflight refused the switch - show why and offer to override
+        if (response.status === 412) {
+            const { preflight } = await response.json();
+            const failed = preflight.checks.filter(check => !check.passed);
+            showToast(`Switch to ${targetBranch} blocked: ${failed.map(check => check.message).join('; ')}`, "error");
+            
+            if (window.confirm(`Preflight checks failed for ${targetBranch}:\n\n${failed.map(check => `- ${check.message}`).join('\n')}\n\nSwitch anyway?`)) {
+                await switchTraffic(true);
+            }
+            return;
+        }
+
+        // Freeze window, maintenance or canary in the way
+        if (response.status === 423 || response.status === 409) {
+            const { message } = await response.json();
+            showToast(message, "error");
+            return;
+        }
+
         if (!response.ok) throw new Error(await response.text());
 
         const result = await response.json();
@@ -390,14 +744,182 @@ async function switchTraffic() {
         // Then fetch full status
         updateEnvironmentStatus();
         
-        // Start progress bar for the switch operation
-        startDeploymentProgress();
+        // Follow the main site rebuild for the switch operation
+        startDeploymentProgress({ branch: 'main' });
     } catch (error) {
         console.error("Failed to switch traffic:", error);
         showToast(`Switch failed: ${error.message}`, "error");
     }
 }
 
+async function toggleMaintenance() {
+    if (webSocketManager.getConnectionState() !== 'connected') {
+        showToast("Cannot change maintenance mode - connection lost", "error");
+        return;
+    }
+
+    let body = { action: 'disable' };
+    
+    if (!maintenanceEnabled) {
+        const message = window.prompt("Maintenance page message (leave empty for the default):");
+        if (message === null) return;
+        
+        const minutes = window.prompt("End automatically after how many minutes? (leave empty to end manually)");
+        if (minutes === null) return;
+        
+        body = { action: 'enable' };
+        if (message.trim()) body.message = message.trim();
+        if (parseInt(minutes, 10) > 0) {
+            body.endsAt = new Date(Date.now() + parseInt(minutes, 10) * 60000).toISOString();
+        }
+    } else if (!window.confirm("Disable maintenance mode and restore traffic?")) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(projectPath('/environments/maintenance'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || result.message);
+        
+        updateMaintenanceUI(result.maintenance);
+        showToast(result.message, "success");
+        startDeploymentProgress({ branch: 'main' });
+        updateEnvironmentStatus();
+    } catch (error) {
+        console.error("Failed to change maintenance mode:", error);
+        showToast(`Maintenance change failed: ${error.message}`, "error");
+    }
+}
+
+// Show the banner and flip the toggle while maintenance is on
+function updateMaintenanceUI(maintenance) {
+    maintenanceEnabled = maintenance?.enabled === true;
+    
+    if (elements.maintenanceBanner) {
+        elements.maintenanceBanner.style.display = maintenanceEnabled ? 'flex' : 'none';
+    }
+    
+    if (elements.maintenanceBannerText && maintenanceEnabled) {
+        const until = maintenance.endsAt ? ` until ${new Date(maintenance.endsAt).toLocaleString()}` : '';
+        const restore = maintenance.previousBranch ? ` - ${maintenance.previousBranch} will be restored afterwards` : '';
+        elements.maintenanceBannerText.textContent = `Maintenance mode is on${until}: visitors see the maintenance page${restore}`;
+    }
+    
+    if (elements.maintenanceToggle) {
+        elements.maintenanceToggle.textContent = maintenanceEnabled ? "Disable Maintenance" : "Enable Maintenance";
+        elements.maintenanceToggle.classList.toggle('active', maintenanceEnabled);
+    }
+    
+    updateSwitchButtonState();
+}
+
+// Traffic can't be switched directly during maintenance or a canary
+function updateSwitchButtonState() {
+    if (elements.switchTraffic) {
+        elements.switchTraffic.disabled = maintenanceEnabled || canaryActive;
+    }
+}
+
+async function controlCanary(action, force = false) {
+    if (webSocketManager.getConnectionState() !== 'connected') {
+        showToast("Cannot control canary - connection lost", "error");
+        return;
+    }
+
+    if (action === 'abort' && !window.confirm("Abort the canary and send all traffic back?")) {
+        return;
+    }
+
+    try {
+        const body = action === 'start'
+            ? { action, targetBranch: getInactiveEnvironment(), force }
+            : { action };
+        
+        const response = await apiFetch(projectPath('/environments/canary'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        
+        const result = await response.json();
+
+        // Preflight refused the canary - show why and offer to override
+        if (response.status === 412 && result.preflight) {
+            const failed = result.preflight.checks.filter(check => !check.passed);
+            if (window.confirm(`Preflight checks failed for ${body.targetBranch}:\n\n${failed.map(check => `- ${check.message}`).join('\n')}\n\nStart the canary anyway?`)) {
+                await controlCanary('start', true);
+            }
+            return;
+        }
+
+        if (!response.ok) throw new Error(result.error || result.message);
+        
+        updateCanaryUI(result.canary);
+        showToast(result.message, "success");
+        
+        // Every weight change rebuilds the main site
+        if (action !== 'pause') {
+            startDeploymentProgress({ branch: 'main' });
+        }
+    } catch (error) {
+        console.error(`Canary ${action} failed:`, error);
+        showToast(`Canary ${action} failed: ${error.message}`, "error");
+    }
+}
+
+// Render the canary weight, steps and which controls apply
+function updateCanaryUI(rollout) {
+    if (!elements.canaryStatusText) return;
+    
+    const active = ['running', 'paused'].includes(rollout?.status);
+    
+    if (!rollout) {
+        elements.canaryStatusText.textContent = "No canary in progress";
+        elements.canaryWeight.textContent = '';
+    } else if (active) {
+        const check = rollout.lastCheck ? ` - last check: ${rollout.lastCheck.status}` : '';
+        elements.canaryStatusText.textContent = `${rollout.canaryBranch} canary ${rollout.status}${check}`;
+        elements.canaryWeight.textContent = `${rollout.weight}%`;
+    } else {
+        elements.canaryStatusText.textContent = `Last canary of ${rollout.canaryBranch} ${rollout.status}`;
+        elements.canaryWeight.textContent = `${rollout.weight}%`;
+    }
+    
+    elements.canaryProgressBar.style.width = `${rollout?.weight || 0}%`;
+    elements.canaryProgressBar.className = `progress-bar ${rollout?.status === 'aborted' ? 'error' : rollout?.status === 'paused' ? 'paused' : ''}`;
+    
+    elements.canarySteps.innerHTML = '';
+    (rollout?.steps || []).forEach((weight, index) => {
+        const step = document.createElement('li');
+        step.textContent = `${weight}%`;
+        if (index === rollout.stepIndex && active) {
+            step.className = 'current';
+        } else if (index <= rollout.stepIndex) {
+            step.className = 'done';
+        }
+        elements.canarySteps.appendChild(step);
+    });
+    
+    elements.canaryStartBtn.textContent = rollout?.status === 'paused' ? "Resume" : "Start Canary";
+    elements.canaryStartBtn.disabled = rollout?.status === 'running';
+    elements.canaryPauseBtn.disabled = rollout?.status !== 'running';
+    elements.canaryPromoteBtn.disabled = !active;
+    elements.canaryAbortBtn.disabled = !active;
+    
+    // Switching directly would fight the canary's routing
+    canaryActive = active;
+    updateSwitchButtonState();
+}
+
 function updateRollbackButtonState() {
     if (elements.rollbackButton) {
         // Enable rollback button if branches are swapped, disable if in original state
@@ -430,15 +952,25 @@ async function handleRollback() {
         
         showToast(`Rolling back to original configuration...`, "info");
         
-        const baseUrl = window.AppConfig?.apiBaseUrl || config.apiBaseUrl || 'http://localhost:3000';
-        const response = await fetch(`${baseUrl}/api/environments/switch`, {
+        const response = await apiFetch(projectPath('/environments/switch'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ targetBranch: originalActiveBranch })
+            body: JSON.stringify({ targetBranch: originalActiveBranch, requestApproval: Boolean(elements.requestApprovalToggle?.checked) })
         });
 
+        if (response.status === 202) {
+            await showApprovalRequested(response);
+            return;
+        }
+
+        if (response.status === 423 || response.status === 409) {
+            const { message } = await response.json();
+            showToast(message, "error");
+            return;
+        }
+
         if (!response.ok) throw new Error(await response.text());
 
         const result = await response.json();
@@ -460,8 +992,8 @@ async function handleRollback() {
         // Then fetch full status
         updateEnvironmentStatus();
         
-        // Start the deployment progress for rollback
-        startDeploymentProgress();
+        // Follow the main site rebuild for the rollback
+        startDeploymentProgress({ branch: 'main' });
     } catch (error) {
         console.error("Rollback failed:", error);
         showToast(`Rollback failed: ${error.message}`, "error");
@@ -478,8 +1010,7 @@ async function showRollbackOptions() {
         const branch = getInactiveEnvironment();
         showToast(`Fetching rollback points for ${branch}...`, "info");
         
-        const baseUrl = window.AppConfig?.apiBaseUrl || config.apiBaseUrl || 'http://localhost:3000';
-        const response = await fetch(`${baseUrl}/api/deployments/history/${branch}`);
+        const response = await apiFetch(projectPath(`/deployments/history/${branch}`));
         
         if (!response.ok) throw new Error(await response.text());
         
@@ -536,24 +1067,167 @@ function showRollbackSelectionUI(rollbackPoints, branch) {
 async function performRollback(branch, commitSha) {
     try {
         showToast(`Rolling back ${branch}...`, "info");
-        const baseUrl = window.AppConfig?.apiBaseUrl || config.apiBaseUrl || 'http://localhost:3000';
-        const response = await fetch(`${baseUrl}/api/deployments/rollback/${branch}/${commitSha}`, {
+        const response = await apiFetch(projectPath(`/deployments/rollback/${branch}/${commitSha}`), {
             method: 'POST'
         });
 
+        if (response.status === 423 || response.status === 409) {
+            const { message } = await response.json();
+            showToast(message, "error");
+            return;
+        }
+
         if (!response.ok) throw new Error(await response.text());
 
+        const result = await response.json();
         showToast(`Successfully rolled back ${branch}`, "success");
         updateEnvironmentStatus();
         
-        // Start the deployment progress for rollback
-        startDeploymentProgress();
+        // Follow the rebuild of the rolled back branch
+        startDeploymentProgress({ branch, deploymentId: result.deploymentId });
     } catch (error) {
         console.error("Rollback failed:", error);
         showToast(`Rollback failed: ${error.message}`, "error");
     }
 }
 
+// A switch or rollback now waits for approval
+async function showApprovalRequested(response) {
+    const { message } = await response.json();
+    showToast(message, "info");
+    fetchApprovals();
+}
+
+async function fetchApprovals() {
+    if (!elements.approvalList || !hasProjectPermission('approvals:read')) return;
+    
+    try {
+        const response = await apiFetch(projectPath('/approvals?status=pending'));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        
+        const { approvals } = await response.json();
+        renderApprovals(approvals);
+    } catch (error) {
+        console.error("Failed to fetch approvals:", error);
+    }
+}
+
+// Built with textContent - descriptions and comments come from other users
+function renderApprovals(approvals) {
+    const list = elements.approvalList;
+    const username = getUser()?.username;
+    const canDecide = hasProjectPermission('approvals:decide');
+    
+    list.replaceChildren();
+    if (elements.approvalCount) {
+        elements.approvalCount.textContent = approvals.length ? String(approvals.length) : '';
+    }
+    
+    if (!approvals.length) {
+        const empty = document.createElement('li');
+        empty.className = 'info-message';
+        empty.textContent = 'No changes awaiting approval';
+        list.appendChild(empty);
+        return;
+    }
+    
+    approvals.forEach(approval => {
+        const item = document.createElement('li');
+        item.className = 'approval-item';
+        
+        const title = document.createElement('strong');
+        title.textContent = approval.description;
+        
+        const meta = document.createElement('div');
+        meta.className = 'approval-meta';
+        meta.textContent = `Requested by ${approval.requestedBy} - ${approval.approvals.length} of ${approval.quorum} approvals - expires ${new Date(approval.expiresAt).toLocaleString()}`;
+        
+        const comments = document.createElement('ul');
+        comments.className = 'approval-comments';
+        approval.comments.forEach(comment => {
+            const line = document.createElement('li');
+            line.textContent = `${comment.by}: ${comment.text}`;
+            comments.appendChild(line);
+        });
+        
+        const actions = document.createElement('div');
+        actions.className = 'approval-actions';
+        
+        const commentInput = document.createElement('input');
+        commentInput.type = 'text';
+        commentInput.maxLength = 1000;
+        commentInput.placeholder = 'Comment';
+        actions.appendChild(commentInput);
+        
+        const addButton = (label, className, onClick) => {
+            const button = document.createElement('button');
+            button.className = className;
+            button.textContent = label;
+            button.addEventListener('click', () => onClick(commentInput.value.trim()));
+            actions.appendChild(button);
+            return button;
+        };
+        
+        addButton('Comment', 'secondary-button', (text) => {
+            if (text) commentOnApproval(approval.id, text);
+        });
+        
+        if (canDecide) {
+            const isMine = approval.requestedBy === username;
+            if (!isMine) {
+                const approveButton = addButton('Approve', 'primary-button', (text) => decideApproval(approval.id, 'approve', text));
+                approveButton.disabled = approval.approvals.some(entry => entry.by === username);
+            }
+            addButton(isMine ? 'Cancel' : 'Reject', 'secondary-button', (text) => decideApproval(approval.id, 'reject', text));
+        }
+        
+        item.append(title, meta, comments, actions);
+        list.appendChild(item);
+    });
+}
+
+async function decideApproval(id, decision, comment) {
+    try {
+        const response = await apiFetch(projectPath(`/approvals/${encodeURIComponent(id)}/${decision}`), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(comment ? { comment } : {})
+        });
+        const result = await response.json();
+        
+        showToast(result.message, response.ok ? "success" : "error");
+        
+        // The approval that met the quorum just moved traffic
+        if (result.approval?.status === 'executed') {
+            updateEnvironmentStatus();
+            startDeploymentProgress({ branch: 'main' });
+        }
+        fetchApprovals();
+    } catch (error) {
+        console.error(`Failed to ${decision} request:`, error);
+        showToast(`Could not ${decision} request: ${error.message}`, "error");
+    }
+}
+
+async function commentOnApproval(id, comment) {
+    try {
+        const response = await apiFetch(projectPath(`/approvals/${encodeURIComponent(id)}/comments`), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ comment })
+        });
+        
+        if (!response.ok) throw new Error((await response.json()).message);
+        fetchApprovals();
+    } catch (error) {
+        showToast(`Could not add comment: ${error.message}`, "error");
+    }
+}
+
 function getInactiveEnvironment() {
     return currentActiveEnvironment === 'blue' ? 'green' : 'blue';
 }
@@ -578,8 +1252,10 @@ function createDeploymentRow(deployment) {
             <td>${timestamp}</td>
             <td>${branch}</td>
             <td class="status-${status}">
-                <i class="fas fa-${status === 'success' ? 'check-circle' : 
-                  status === 'failed' ? 'times-circle' : 'question-circle'}"></i>
+                <i class="fas fa-${['success', 'ready'].includes(status) ? 'check-circle' : 
+                  ['failed', 'error'].includes(status) ? 'times-circle' :
+                  status === 'skipped' ? 'lock' :
+                  ['pending', 'committed', 'enqueued', 'building', 'processing'].includes(status) ? 'spinner fa-spin' : 'question-circle'}"></i>
                 ${deployment.status || 'Unknown'}
             </td>
         </tr>
@@ -623,7 +1299,10 @@ function setupFileUpload() {
     }
 
     if (fileUpload && fileList) {
-        fileUpload.addEventListener('change', () => updateFileList(fileUpload, fileList));
+        fileUpload.addEventListener('change', () => {
+            resetDeployPreview();
+            updateFileList(fileUpload, fileList);
+        });
     }
 
     if (fileDropZone && fileUpload) {
@@ -666,8 +1345,7 @@ function updateFileList(fileUpload, fileList) {
 
 async function updateEnvironmentStatus() {
     try {
-        const baseUrl = window.AppConfig?.apiBaseUrl || config.apiBaseUrl || 'http://localhost:3000';
-        const response = await fetch(`${baseUrl}/api/environments/status`);
+        const response = await apiFetch(projectPath('/environments/status'));
         
         if (!response.ok) throw new Error(`HTTP ${response.status}`);
         
@@ -681,11 +1359,15 @@ async function updateEnvironmentStatus() {
         }
         
         updateEnvironmentUI(status);
+        updateCanaryUI(status.canary);
+        updateMaintenanceUI(status.maintenance);
+        updateLockBadges(status.locks);
         
         // Update rollback button state based on environment status
         updateRollbackButtonState();
         
         await fetchDeploymentHistory();
+        await fetchApprovals();
     } catch (error) {
         console.error("Failed to update environment status:", error);
         showToast("Connection error - data may be stale", "error");
@@ -712,10 +1394,10 @@ function updateEnvironmentUIImmediate(activeEnv) {
     
     if (activeEnv === "blue") {
         environmentMessage = "Blue environment is active";
-        siteUrl = "https://blue--deployeaselive.netlify.app/";
+        siteUrl = getBranchUrl("blue");
     } else if (activeEnv === "green") {
         environmentMessage = "Green environment is active";
-        siteUrl = "https://green--deployeaselive.netlify.app/";
+        siteUrl = getBranchUrl("green");
     }
     
     if (elements.currentActiveEnv) {
@@ -752,14 +1434,14 @@ function updateEnvironmentUI(status) {
     if (elements.blueStatus) {
         elements.blueStatus.textContent = status.blue?.status === "active" ? "Active" : "Inactive";
         elements.blueStatus.className = `status-badge ${status.blue?.status === "active" ? "active" : "inactive"}`;
-        if (elements.blueHealthStatus) elements.blueHealthStatus.textContent = status.blue?.health || "Unknown";
+        updateHealthBadge(elements.blueHealthStatus, status.blue?.healthReport || { status: status.blue?.health });
     }
     
     // Update Green Environment
     if (elements.greenStatus) {
         elements.greenStatus.textContent = status.green?.status === "active" ? "Active" : "Inactive";
         elements.greenStatus.className = `status-badge ${status.green?.status === "active" ? "active" : "inactive"}`;
-        if (elements.greenHealthStatus) elements.greenHealthStatus.textContent = status.green?.health || "Unknown";
+        updateHealthBadge(elements.greenHealthStatus, status.green?.healthReport || { status: status.green?.health });
     }
 
     // Update current environment indicator with proper message format
@@ -768,10 +1450,10 @@ function updateEnvironmentUI(status) {
     
     if (activeEnv === "blue") {
         environmentMessage = "Blue environment is active";
-        siteUrl = "https://blue--deployeaselive.netlify.app/";
+        siteUrl = getBranchUrl("blue");
     } else if (activeEnv === "green") {
         environmentMessage = "Green environment is active";
-        siteUrl = "https://green--deployeaselive.netlify.app/";
+        siteUrl = getBranchUrl("green");
     }
     
     if (elements.currentActiveEnv) {
@@ -795,4 +1477,27 @@ function updateEnvironmentUI(status) {
     }
 }
 
+// Show who locked blue/green and why as a tooltip
+function updateLockBadges(locks) {
+    [['blue', elements.blueLockBadge], ['green', elements.greenLockBadge]].forEach(([branch, badge]) => {
+        if (!badge) return;
+        
+        const lock = locks?.[branch];
+        badge.style.display = lock ? 'inline-block' : 'none';
+        badge.title = lock
+            ? `Locked by ${lock.owner}: ${lock.reason}${lock.expiresAt ? `\nUntil ${new Date(lock.expiresAt).toLocaleString()}` : ''}`
+            : '';
+    });
+}
+
+// Show healthy/degraded/down with the probe's reasons as a tooltip
+function updateHealthBadge(badge, health) {
+    if (!badge) return;
+    
+    const status = health?.status || 'unknown';
+    badge.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+    badge.className = `value health-status ${status}`;
+    badge.title = health?.reasons?.length ? health.reasons.join('\n') : '';
+}
+
 document.addEventListener('DOMContentLoaded', initializeDashboard);
\ No newline at end of file
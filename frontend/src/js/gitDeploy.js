@@ -1,3 +1,6 @@
+import { apiFetch, requireLogin, withToken } from './auth.js';
+import { getProjectId, loadProjects, projectPath } from './projects.js';
+
 /**
  * GitDeployer class for handling Git-based deployments
  */
@@ -45,11 +48,14 @@ class GitDeployer {
             // Initialize event listeners
             this.initEventListeners();
             
-            // Connect to WebSocket for real-time updates
-            this.connectWebSocket();
-            
-            // Load initial data
-            this.loadInitialData();
+            // Connect and load data once signed in - the API refuses anonymous requests
+            requireLogin().then(() => loadProjects()).then(() => {
+                // Connect to WebSocket for real-time updates
+                this.connectWebSocket();
+                
+                // Load initial data
+                this.loadInitialData();
+            });
             
             console.log('GitDeployer initialized');
         } catch (error) {
@@ -95,6 +101,14 @@ class GitDeployer {
      */
     initEventListeners() {
         try {
+            // Another project picked in the header - follow its deployments
+            window.addEventListener('projectChanged', (e) => {
+                if (this.socket?.readyState === WebSocket.OPEN) {
+                    this.socket.send(JSON.stringify({ type: 'subscribe', projectId: e.detail.project.id }));
+                }
+                this.loadInitialData();
+            });
+            
             // Deploy button to show modal
             if (this.deployBtn) {
                 this.deployBtn.addEventListener('click', () => this.showModal());
@@ -179,7 +193,9 @@ class GitDeployer {
             }
 
             console.log('🔌 Connecting to ' + this.websocketUrl + '...');
-            this.socket = new WebSocket(this.websocketUrl);
+            const wsUrl = new URL(this.websocketUrl);
+            if (getProjectId()) wsUrl.searchParams.set('project', getProjectId());
+            this.socket = new WebSocket(withToken(wsUrl.toString()));
             
             this.socket.onopen = () => {
                 console.log('✅ Connected to deployment logs');
@@ -272,7 +288,7 @@ class GitDeployer {
      */
     fetchDeploymentHistory() {
         console.log(`\n           GET ${this.apiBaseUrl}/api/deployments/history/all`);
-        fetch(`${this.apiBaseUrl}/api/deployments/history/all`)
+        apiFetch(projectPath('/deployments/history/all'))
             .then(response => {
                 if (!response.ok) {
                     throw new Error(`HTTP error! Status: ${response.status}`);
@@ -297,7 +313,7 @@ class GitDeployer {
      */
     fetchEnvironmentStatus() {
         console.log(`\n           GET ${this.apiBaseUrl}/api/environments/status`);
-        fetch(`${this.apiBaseUrl}/api/environments/status`)
+        apiFetch(projectPath('/environments/status'))
             .then(response => {
                 if (!response.ok) {
                     throw new Error(`HTTP error! Status: ${response.status}`);
@@ -453,10 +469,12 @@ class GitDeployer {
         if (files.length > 0) {
             const file = files[0];
             
-            // Check if it's a zip or tar.gz file
+            // Plain files are deployed by the dashboard's JSON flow - only archives are handled here
             if (!/\.(zip|tar\.gz|tgz)$/i.test(file.name)) {
-                this.showToast('Please select a .zip or .tar.gz file', 'error');
-                this.resetModal();
+                this.selectedFile = null;
+                if (this.deployConfirmBtn) {
+                    this.deployConfirmBtn.disabled = false;
+                }
                 return;
             }
             
@@ -495,23 +513,39 @@ class GitDeployer {
             this.deployConfirmBtn.textContent = 'Deploying...';
         }
         
+        // Pick up the target from the modal in case the switcher was never changed
+        if (this.environmentSwitcher) {
+            this.switchEnvironment(this.environmentSwitcher.value);
+        }
+        
+        const commitMessage = document.getElementById('commitMessage')?.value;
+        
         const formData = new FormData();
         formData.append('file', this.selectedFile);
-        formData.append('environment', this.currentEnvironment);
+        formData.append('branch', this.currentEnvironment);
+        if (commitMessage) {
+            formData.append('commitMessage', commitMessage);
+        }
         
-        fetch(`${this.apiBaseUrl}/api/deployments/upload`, {
+        apiFetch(projectPath('/deployments/upload'), {
             method: 'POST',
             body: formData
         })
-        .then(response => {
+        .then(async response => {
             if (!response.ok) {
-                throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || errorData.message || `Server returned ${response.status}: ${response.statusText}`);
             }
             return response.json();
         })
         .then(data => {
             console.log('Deployment initiated:', data);
-            this.showToast(`Deployment #${data.deploymentId || 'unknown'} initiated`, 'success');
+            this.deployInProgress = false;
+            if (data.noChanges) {
+                this.showToast(data.message, 'info');
+            } else {
+                this.showToast(`Deployment #${data.deploymentId || 'unknown'} initiated`, 'success');
+            }
             
             // The rest of the process will be handled via WebSocket updates
             this.hideModal();
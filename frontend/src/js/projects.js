@@ -0,0 +1,106 @@
+// frontend/src/js/projects.js
+import { apiFetch, getUser } from './auth.js';
+
+// Project the dashboard works on - remembered across visits
+const PROJECT_KEY = 'deployeaseProject';
+
+// Projects the signed-in user can access, with their role in each
+let projects = [];
+// Request in flight - the dashboard and the deploy form both load projects on start
+let loading = null;
+
+export function getProjectId() {
+    return localStorage.getItem(PROJECT_KEY);
+}
+
+export function getProject() {
+    return projects.find(project => project.id === getProjectId()) || null;
+}
+
+// API path inside the selected project, e.g. projectPath('/environments/status')
+// Before the project list loads, paths without a project act on the server's default project
+export function projectPath(path) {
+    const projectId = getProjectId();
+    return projectId ? `/api/projects/${encodeURIComponent(projectId)}${path}` : `/api${path}`;
+}
+
+// Branch deploy URL of an environment in the selected project
+export function getBranchUrl(environment) {
+    const url = getProject()?.branchUrls?.[environment];
+    return url ? `${url}/` : '';
+}
+
+// Roles can differ per project (GitHub users get the role their repository permission allows)
+export function hasProjectPermission(permission) {
+    const project = getProject();
+    if (!project) return Boolean(getUser()?.permissions?.includes(permission));
+    return project.permissions.includes(permission);
+}
+
+export function loadProjects() {
+    if (!loading) {
+        loading = fetchProjects().finally(() => { loading = null; });
+    }
+    return loading;
+}
+
+async function fetchProjects() {
+    const response = await apiFetch('/api/projects').catch(() => null);
+    if (!response || !response.ok) return projects;
+
+    const result = await response.json();
+    projects = result.projects || [];
+
+    // Fall back to the default project when the remembered one is gone or no longer accessible
+    if (!getProject()) {
+        if (result.defaultProjectId) {
+            localStorage.setItem(PROJECT_KEY, result.defaultProjectId);
+        } else {
+            localStorage.removeItem(PROJECT_KEY);
+        }
+    }
+
+    renderProjectSelect();
+    return projects;
+}
+
+export function selectProject(projectId) {
+    if (projectId === getProjectId() || !projects.some(project => project.id === projectId)) return;
+
+    localStorage.setItem(PROJECT_KEY, projectId);
+    renderProjectSelect();
+    window.dispatchEvent(new CustomEvent('projectChanged', { detail: { project: getProject() } }));
+}
+
+function renderProjectSelect() {
+    const select = document.getElementById('projectSelect');
+    if (!select) return;
+
+    select.replaceChildren(...projects.map(project => {
+        const option = document.createElement('option');
+        option.value = project.id;
+        option.textContent = project.name;
+        option.title = project.repositoryUrl;
+        return option;
+    }));
+    select.value = getProjectId() || '';
+    select.disabled = projects.length < 2;
+}
+
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('projectSelect')?.addEventListener('change', (e) => selectProject(e.target.value));
+    });
+
+    // Another user may see other projects
+    window.addEventListener('authChanged', (e) => {
+        if (!e.detail.user) return;
+
+        const previous = getProjectId();
+        loadProjects().then(() => {
+            if (getProjectId() !== previous) {
+                window.dispatchEvent(new CustomEvent('projectChanged', { detail: { project: getProject() } }));
+            }
+        });
+    });
+}
\ No newline at end of file
@@ -1,5 +1,10 @@
 // frontend/src/js/websocket.js
 import config from './config.js';
+import { requireLogin, withToken } from './auth.js';
+import { getProjectId, loadProjects } from './projects.js';
+
+// Close code the server uses when the session ends or the token is revoked
+const CLOSE_UNAUTHORIZED = 4401;
 
 class WebSocketManager {
   constructor() {
@@ -34,8 +39,9 @@ class WebSocketManager {
     try {
       const wsUrl = new URL(config.websocketUrl);
       wsUrl.pathname = '/deployease';
+      if (getProjectId()) wsUrl.searchParams.set('project', getProjectId());
 
-      this.socket = new WebSocket(wsUrl.toString());
+      this.socket = new WebSocket(withToken(wsUrl.toString()));
       this.socket.onopen = this.handleOpen.bind(this);
       this.socket.onmessage = this.handleMessage.bind(this);
       this.socket.onerror = this.handleError.bind(this);
@@ -64,6 +70,7 @@ class WebSocketManager {
     // Send initial subscription message
     this.send({
       type: "subscribe",
+      projectId: getProjectId(),
       channels: ["deployment_logs"],
       client: "deployease-web"
     });
@@ -86,6 +93,11 @@ class WebSocketManager {
         return;
       }
 
+      // Sent for the previous project before the server saw the switch
+      if (data.projectId && data.projectId !== getProjectId()) {
+        return;
+      }
+
       // Handle specific message types
       switch(data.type) {
         case "log":
@@ -94,9 +106,63 @@ class WebSocketManager {
         
         case "deploy_status":
           this.log(`[DEPLOY] ${data.status.toUpperCase()}: ${data.message}`);
+          // Let the dashboard drive its progress bar from real Netlify states
+          document.dispatchEvent(new CustomEvent('deployStatusUpdate', { detail: data }));
+          break;
+        
+        case "environment_deploy":
+          this.log(`[NETLIFY] ${data.environment}: ${data.event.replace('deploy_', 'deploy ')}${data.errorMessage ? ` - ${data.errorMessage}` : ''}`);
+          document.dispatchEvent(new CustomEvent('environmentDeployEvent', { detail: data }));
+          break;
+        
+        case "deployment_update":
+          this.log(`[DEPLOY] New ${data.data.branch} deployment by ${data.data.committer}: ${data.data.commitMessage}`);
+          document.dispatchEvent(new CustomEvent('deploymentUpdated', { detail: data.data }));
+          break;
+        
+        case "environment_health":
+          this.log(`[HEALTH] ${data.environment} is ${data.status}${data.reasons.length ? ` - ${data.reasons.join('; ')}` : ''}`);
+          document.dispatchEvent(new CustomEvent('environmentHealthChanged', { detail: data }));
+          break;
+        
+        case "switch_verification":
+          this.log(`[VERIFY] ${data.status.toUpperCase()}: ${data.message}`);
+          break;
+        
+        case "canary_status":
+          this.log(`[CANARY] ${data.message}`);
+          document.dispatchEvent(new CustomEvent('canaryStatusChanged', { detail: data.rollout }));
+          break;
+        
+        case "maintenance_status":
+          this.log(`[MAINTENANCE] ${data.maintenance.enabled ? 'Enabled' : `Disabled - traffic restored to ${data.activeBranch}`}${data.reason ? ` (${data.reason})` : ''}`);
+          document.dispatchEvent(new CustomEvent('maintenanceStatusChanged', { detail: data.maintenance }));
+          break;
+        
+        case "environment_lock":
+          this.log(`[LOCK] ${data.environment} ${data.action}${data.by ? ` by ${data.by}` : ''} - ${data.lock.reason}`);
+          document.dispatchEvent(new CustomEvent('environmentLockChanged', { detail: data.locks }));
+          break;
+        
+        case "schedule_run":
+          this.log(`[SCHEDULE] ${data.name}: ${data.status}${data.message && data.status !== 'started' ? ` - ${data.message}` : ''}`);
+          document.dispatchEvent(new CustomEvent('scheduleRun', { detail: data }));
+          break;
+        
+        case "environment_rollback":
+          this.log(`[ROLLBACK] Traffic moved back to ${data.newActive}${data.reason ? ` - ${data.reason}` : ''}`);
+          document.dispatchEvent(new CustomEvent('environmentRolledBack', { detail: data }));
+          break;
+        
+        case "approval_request":
+          this.log(`[APPROVAL] ${data.request.description} ${data.event}${data.by ? ` by ${data.by}` : ''}`);
+          document.dispatchEvent(new CustomEvent('approvalChanged', { detail: data }));
           break;
         
         case "deployment_history":
+          if (data.data?.projectId && data.data.projectId !== getProjectId()) {
+            break;
+          }
           // Instead of logging raw JSON, handle deployment history separately
           this.handleDeploymentHistory(data.data);
           break;
@@ -139,6 +205,14 @@ class WebSocketManager {
     this.cleanup();
     this.connectionState = 'disconnected';
     
+    // Reconnect once signed in again rather than burning retry attempts
+    if (event.code === CLOSE_UNAUTHORIZED) {
+      this.log('Session ended - sign in again to reconnect');
+      this.connectionAttempts = 0;
+      requireLogin().then(() => this.connect());
+      return;
+    }
+    
     if (event.code !== 1000 || !this.isManualClose) {
       this.log(`Connection closed: ${event.reason || 'Unknown reason'}`);
       
@@ -234,6 +308,12 @@ class WebSocketManager {
     }
   }
 
+  // Follow another project's updates
+  subscribe(projectId) {
+    this.log(`Switching to project ${projectId}`);
+    this.send({ type: "subscribe", projectId });
+  }
+
   // Get connection state
   getConnectionState() {
     return this.connectionState;
@@ -253,6 +333,18 @@ if (typeof window !== 'undefined') {
   document.addEventListener('DOMContentLoaded', () => {
     // You can configure the max attempts here
     // webSocketManager.maxConnectionAttempts = 5; // Uncomment to change from default 3
+    requireLogin()
+      .then(() => loadProjects())
+      .then(() => webSocketManager.connect());
+  });
+
+  // Signed out, or signed in again after the session expired
+  window.addEventListener('authChanged', (e) => {
+    if (!e.detail.user) {
+      webSocketManager.disconnect();
+      return;
+    }
+    webSocketManager.connectionAttempts = 0;
     webSocketManager.connect();
   });
 